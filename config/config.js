@@ -1,4 +1,39 @@
 import "dotenv/config";
+import os from "os";
+
+/**
+ * Scheduler outputs from SCHEDULER_OUTPUTS, e.g.
+ * "main=1-10-20,studio2=2-10-20" (name=channel-layer-overlayLayer).
+ * The first one is the default output. Without the variable there is a
+ * single "main" output on CASPAR_CHANNEL / CASPAR_LAYER.
+ */
+function parseOutputs(raw, caspar) {
+  const outputs = String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, spec = ""] = entry.split("=");
+      const [channel, layer, overlayLayer] = spec.split("-").map(Number);
+      return {
+        name: name.trim(),
+        channel: channel || caspar.channel,
+        layer: layer || caspar.layer,
+        overlayLayer: overlayLayer || 20,
+      };
+    });
+
+  return outputs.length
+    ? outputs
+    : [
+        {
+          name: "main",
+          channel: caspar.channel,
+          layer: caspar.layer,
+          overlayLayer: 20,
+        },
+      ];
+}
 
 export const cfg = {
   port: Number(process.env.PORT || 4000),
@@ -7,6 +42,78 @@ export const cfg = {
     port: Number(process.env.CASPAR_PORT || 5250),
     channel: Number(process.env.CASPAR_CHANNEL || 1),
     layer: Number(process.env.CASPAR_LAYER || 10),
+    // Channel frame rate, used to convert seconds into SEEK frames
+    fps: Number(process.env.CASPAR_FPS || 25),
+  },
+  scheduler: {
+    // Resume a playlist interrupted by a backend restart
+    resumeOnRestart: process.env.SCHEDULER_RESUME_ON_RESTART !== "false",
+    // Resume the interrupted item at its offset (Caspar SEEK) instead of from the start
+    resumeWithSeek: process.env.SCHEDULER_RESUME_SEEK !== "false",
+    // Give up on runs interrupted longer ago than this
+    resumeMaxAgeMinutes: Number(
+      process.env.SCHEDULER_RESUME_MAX_AGE_MINUTES || 30
+    ),
+    // Hard-timed schedules: fade length when trimming the last item, media
+    // types used to fill gaps, and the smallest gap worth filling
+    hardEndFadeSeconds: Number(process.env.SCHEDULER_HARD_END_FADE || 3),
+    fillerTypes: (process.env.SCHEDULER_FILLER_TYPES || "SONG,JINGLE")
+      .split(",")
+      .map((t) => t.trim().toUpperCase())
+      .filter(Boolean),
+    fillMinSeconds: Number(process.env.SCHEDULER_FILL_MIN_SECONDS || 5),
+    // Follow the actual clip position/end via Caspar INFO polling ("caspar")
+    // or just wait for the stored duration ("timer")
+    endDetection: process.env.SCHEDULER_END_DETECTION || "caspar",
+    casparPollMs: Number(process.env.SCHEDULER_CASPAR_POLL_MS || 500),
+    // Preload the next item (LOADBG AUTO) so it follows without a gap;
+    // needs Caspar end detection
+    preload: process.env.SCHEDULER_PRELOAD !== "false",
+    // Backends sharing a database lease the schedules they air. The id must
+    // be unique per instance and stable across restarts (so a restarted
+    // instance can resume its own run); the lease is renewed every third of
+    // its length and lets another instance take over once it expires.
+    instanceId: process.env.SCHEDULER_INSTANCE_ID || os.hostname(),
+    leaseMs: Number(process.env.SCHEDULER_LEASE_MS || 30000),
+    // Schedules whose start was missed by more than graceMinutes (e.g. after
+    // downtime): SKIP, PLAY_LATE, JOIN_IN_PROGRESS or LATEST_ONLY. Schedules
+    // may set their own.
+    missed: {
+      policy: (
+        process.env.SCHEDULER_MISSED_POLICY || "PLAY_LATE"
+      ).toUpperCase(),
+      graceMinutes: Number(process.env.SCHEDULER_MISSED_GRACE_MINUTES || 5),
+    },
+    // Defaults for the dead-air fallback; can be changed at runtime
+    fallback: {
+      enabled: process.env.SCHEDULER_FALLBACK_ENABLED === "true",
+      mode: process.env.SCHEDULER_FALLBACK_MODE || "RANDOM_SONGS",
+      playlistId: process.env.SCHEDULER_FALLBACK_PLAYLIST_ID
+        ? Number(process.env.SCHEDULER_FALLBACK_PLAYLIST_ID)
+        : null,
+    },
+  },
+  station: {
+    // Default station timezone (IANA name); can be changed at runtime
+    timezone:
+      process.env.STATION_TIMEZONE ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+  },
+  // Defaults for separating RANDOM picks from recent plays (0 = rule off);
+  // can be changed at runtime. Rules are dropped title first, then artist,
+  // then track, when nothing else fits, unless relax is off.
+  separation: {
+    trackHours: Number(process.env.SEPARATION_TRACK_HOURS || 3),
+    artistMinutes: Number(process.env.SEPARATION_ARTIST_MINUTES || 60),
+    artistItems: Number(process.env.SEPARATION_ARTIST_ITEMS || 0),
+    titleMinutes: Number(process.env.SEPARATION_TITLE_MINUTES || 180),
+    relax: process.env.SEPARATION_RELAX !== "false",
+  },
+  clocks: {
+    // Keep this many hours of clock-generated schedules ahead (0 = manual only)
+    lookaheadHours: Number(process.env.CLOCK_LOOKAHEAD_HOURS || 0),
   },
   mediaDir: process.env.CASPAR_MEDIA_DIR,
 };
+
+cfg.outputs = parseOutputs(process.env.SCHEDULER_OUTPUTS, cfg.caspar);
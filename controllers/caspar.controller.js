@@ -26,7 +26,11 @@ import {
 } from "../services/caspar.js";
 import { casparBaseName } from "../services/file.js";
 import { prisma } from "../services/prisma.js";
-import { cancelCurrentSchedule } from "../services/scheduler.js";
+import { cancelSchedulesOnLayer } from "../services/scheduler.js";
+import {
+  normalizeTransitionFromBody,
+  serializeTransition,
+} from "../services/transitions.js";
 
 function parseIntOrDefault(v, dflt) {
   if (v === undefined || v === null) return dflt;
@@ -58,23 +62,9 @@ export async function play(req, res, next) {
       filter,
       showOverlay = true,
       overlayLayer,
+      transition,
     } = req.body || {};
 
-    // 🚫 CANCEL CURRENT SCHEDULE IF RUNNING (manual override)
-    try {
-      const cancelResult = await cancelCurrentSchedule("manual_caspar_play");
-      if (cancelResult?.cancelledScheduleId) {
-        console.log(
-          `[CASPAR PLAY] Cancelled running schedule #${cancelResult.cancelledScheduleId} due to manual Caspar play.`
-        );
-      }
-    } catch (e) {
-      console.warn(
-        "[CASPAR PLAY] Failed to cancel current schedule:",
-        e?.message || e
-      );
-    }
-
     // Resolve filename by id if needed and fetch metadata
     let mediaRecord = null;
     if (!fileName && id != null) {
@@ -101,6 +91,38 @@ export async function play(req, res, next) {
     const ch = parseIntOrDefault(channel, cfg.caspar.channel || 1);
     const ly = parseIntOrDefault(layer, cfg.caspar.layer || 10);
 
+    // Optional transition: "MIX" | { type: "CUT"|"MIX"|"WIPE", frames }
+    let transitionOption = null;
+    if (transition !== undefined && transition !== null) {
+      try {
+        transitionOption = serializeTransition(
+          normalizeTransitionFromBody(transition)
+        );
+      } catch (e) {
+        return res.status(400).json({ ok: false, message: e.message });
+      }
+    }
+
+    // 🚫 CANCEL SCHEDULES RUNNING ON THIS LAYER (manual override)
+    try {
+      const cancelled = await cancelSchedulesOnLayer(
+        ch,
+        ly,
+        "manual_caspar_play"
+      );
+      if (cancelled.length) {
+        const outputs = cancelled.join(", ");
+        console.log(
+          `[CASPAR PLAY] Cancelled running schedule on output(s) ${outputs} due to manual Caspar play.`
+        );
+      }
+    } catch (e) {
+      console.warn(
+        "[CASPAR PLAY] Failed to cancel current schedule:",
+        e?.message || e
+      );
+    }
+
     const base = casparBaseName(fileName.trim());
 
     // Build options object
@@ -110,6 +132,7 @@ export async function play(req, res, next) {
     if (seek !== undefined) options.seek = parseInt(seek);
     if (length !== undefined) options.length = parseInt(length);
     if (filter !== undefined) options.filter = filter;
+    if (transitionOption) options.transition = transitionOption;
 
     // Overlay options (always allow, metadata optional; fallback uses filename)
     if (showOverlay) {
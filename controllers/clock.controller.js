@@ -0,0 +1,372 @@
+// src/controllers/clock.controller.js
+import { generateClockSchedules } from "../services/clockGenerator.js";
+import { prisma } from "../services/prisma.js";
+import { WEEKDAY_CODES, parseDays } from "../services/recurrence.js";
+
+const MEDIA_TYPES = ["SONG", "JINGLE", "SPOT"];
+
+const CLOCK_INCLUDE = {
+  slots: { include: { media: true }, orderBy: { order: "asc" } },
+  dayparts: { orderBy: { id: "asc" } },
+};
+
+/* ───────────────────────── Helpers ───────────────────────── */
+
+/**
+ * Normalize clock slots from request body.
+ *
+ * slots: [{ minute, kind?, randomType?, mediaId?, count? }, ...]
+ *   - RANDOM (default): picks `count` items of `randomType` (SONG/JINGLE/SPOT)
+ *   - FIXED: airs `mediaId`
+ *
+ * Returns array of { order, minute, kind, randomType, mediaId, count }.
+ */
+function normalizeClockSlotsFromBody(slots) {
+  if (!Array.isArray(slots)) throw new Error("slots must be an array");
+
+  return slots.map((raw, index) => {
+    const minute = parseInt(raw.minute ?? 0, 10);
+    if (Number.isNaN(minute) || minute < 0 || minute > 59) {
+      throw new Error(`Invalid minute for clock slot ${index}`);
+    }
+
+    const count = parseInt(raw.count ?? 1, 10);
+    if (Number.isNaN(count) || count < 1) {
+      throw new Error(`Invalid count for clock slot ${index}`);
+    }
+
+    const kind =
+      String(raw.kind || (raw.mediaId ? "FIXED" : "RANDOM")).toUpperCase() ===
+      "FIXED"
+        ? "FIXED"
+        : "RANDOM";
+
+    if (kind === "FIXED") {
+      const mediaId = parseInt(raw.mediaId, 10);
+      if (!mediaId || Number.isNaN(mediaId)) {
+        throw new Error(`Invalid or missing mediaId for clock slot ${index}`);
+      }
+      return { order: index, minute, kind, randomType: null, mediaId, count };
+    }
+
+    const randomType = String(raw.randomType || "SONG").toUpperCase();
+    if (!MEDIA_TYPES.includes(randomType)) {
+      throw new Error(`Invalid randomType for clock slot: ${raw.randomType}`);
+    }
+    return { order: index, minute, kind, randomType, mediaId: null, count };
+  });
+}
+
+/**
+ * Normalize dayparts from request body.
+ *
+ * dayparts: [{ days?: "MON,TUE" | ["MON"], startHour, endHour }, ...]
+ * Hours are 0-24 with endHour exclusive; no days means every day.
+ */
+function normalizeDaypartsFromBody(dayparts) {
+  if (!Array.isArray(dayparts)) throw new Error("dayparts must be an array");
+
+  return dayparts.map((raw, index) => {
+    const startHour = parseInt(raw.startHour, 10);
+    const endHour = parseInt(raw.endHour, 10);
+    if (
+      Number.isNaN(startHour) ||
+      Number.isNaN(endHour) ||
+      startHour < 0 ||
+      endHour > 24 ||
+      startHour >= endHour
+    ) {
+      throw new Error(`Invalid hours for daypart ${index}`);
+    }
+
+    const days = parseDays(raw.days);
+    const invalid = days.filter((d) => !WEEKDAY_CODES.includes(d));
+    if (invalid.length) {
+      throw new Error(`Invalid daypart day(s): ${invalid.join(", ")}`);
+    }
+
+    return {
+      days: days.length
+        ? WEEKDAY_CODES.filter((d) => days.includes(d)).join(",")
+        : null,
+      startHour,
+      endHour,
+    };
+  });
+}
+
+async function validateSlotMediaExist(slots) {
+  const ids = Array.from(
+    new Set(slots.filter((s) => s.kind === "FIXED").map((s) => s.mediaId))
+  );
+  if (!ids.length) return;
+
+  const existing = await prisma.media.findMany({
+    where: { id: { in: ids } },
+    select: { id: true },
+  });
+  const existingSet = new Set(existing.map((m) => m.id));
+  const missing = ids.filter((id) => !existingSet.has(id));
+
+  if (missing.length) {
+    throw new Error(
+      `One or more media items not found (ids: ${missing.join(", ")})`
+    );
+  }
+}
+
+function serializeClockForClient(clock) {
+  return {
+    id: clock.id,
+    title: clock.title,
+    slots: (clock.slots || []).map((slot) => ({
+      id: slot.id,
+      order: slot.order,
+      minute: slot.minute,
+      kind: slot.kind,
+      randomType: slot.randomType,
+      count: slot.count,
+      mediaId: slot.mediaId,
+      media: slot.media
+        ? {
+            id: slot.media.id,
+            type: slot.media.type,
+            author: slot.media.author,
+            title: slot.media.title,
+            fileName: slot.media.fileName,
+            duration: slot.media.duration,
+          }
+        : null,
+    })),
+    dayparts: (clock.dayparts || []).map((dp) => ({
+      id: dp.id,
+      days: dp.days ? dp.days.split(",") : [],
+      startHour: dp.startHour,
+      endHour: dp.endHour,
+    })),
+    createdAt: clock.createdAt,
+    updatedAt: clock.updatedAt,
+  };
+}
+
+/**
+ * Parse title/slots/dayparts from body. `partial` allows omitting fields
+ * (update); omitted collections come back as undefined.
+ */
+async function readClockBody(body, { partial = false } = {}) {
+  const { title, slots, dayparts } = body || {};
+
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== "string" || !title.trim()) {
+      throw new Error("Clock title is required");
+    }
+  }
+
+  const normalizedSlots =
+    slots === undefined && partial
+      ? undefined
+      : normalizeClockSlotsFromBody(slots || []);
+  if (normalizedSlots) await validateSlotMediaExist(normalizedSlots);
+
+  const normalizedDayparts =
+    dayparts === undefined
+      ? partial
+        ? undefined
+        : []
+      : normalizeDaypartsFromBody(dayparts);
+
+  return {
+    title: title !== undefined ? title.trim() : undefined,
+    slots: normalizedSlots,
+    dayparts: normalizedDayparts,
+  };
+}
+
+/* ───────────────────────── Controllers ───────────────────────── */
+
+/**
+ * GET /api/clocks - Get all hour clocks with slots and dayparts
+ */
+export async function listClocks(req, res, next) {
+  try {
+    const clocks = await prisma.clock.findMany({
+      include: CLOCK_INCLUDE,
+      orderBy: { title: "asc" },
+    });
+
+    res.json({
+      ok: true,
+      clocks: clocks.map(serializeClockForClient),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/clocks/:id - Get specific clock
+ */
+export async function getClock(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const clock = await prisma.clock.findUnique({
+      where: { id },
+      include: CLOCK_INCLUDE,
+    });
+
+    if (!clock) {
+      return res.status(404).json({ ok: false, message: "Clock not found" });
+    }
+
+    res.json({ ok: true, clock: serializeClockForClient(clock) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clocks - Create a clock
+ * Body: { title, slots: [...], dayparts?: [...] }
+ */
+export async function createClock(req, res, next) {
+  try {
+    let data;
+    try {
+      data = await readClockBody(req.body);
+      if (!data.slots.length) {
+        throw new Error("Clock must contain at least one slot");
+      }
+    } catch (e) {
+      return res.status(400).json({
+        ok: false,
+        message: e.message || "Invalid clock",
+      });
+    }
+
+    const clock = await prisma.clock.create({
+      data: {
+        title: data.title,
+        slots: { create: data.slots },
+        dayparts: { create: data.dayparts },
+      },
+      include: CLOCK_INCLUDE,
+    });
+
+    res.status(201).json({
+      ok: true,
+      clock: serializeClockForClient(clock),
+      message: "Clock created successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/clocks/:id - Update a clock
+ * Body: { title?, slots?, dayparts? } - given collections replace the old ones.
+ * Already generated schedules are left as they are.
+ */
+export async function updateClock(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await prisma.clock.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ ok: false, message: "Clock not found" });
+    }
+
+    let data;
+    try {
+      data = await readClockBody(req.body, { partial: true });
+      if (data.slots && !data.slots.length) {
+        throw new Error("Clock must contain at least one slot");
+      }
+    } catch (e) {
+      return res.status(400).json({
+        ok: false,
+        message: e.message || "Invalid clock",
+      });
+    }
+
+    const clock = await prisma.$transaction(async (tx) => {
+      if (data.slots) {
+        await tx.clockSlot.deleteMany({ where: { clockId: id } });
+      }
+      if (data.dayparts) {
+        await tx.clockDaypart.deleteMany({ where: { clockId: id } });
+      }
+
+      return tx.clock.update({
+        where: { id },
+        data: {
+          ...(data.title !== undefined ? { title: data.title } : {}),
+          ...(data.slots ? { slots: { create: data.slots } } : {}),
+          ...(data.dayparts ? { dayparts: { create: data.dayparts } } : {}),
+        },
+        include: CLOCK_INCLUDE,
+      });
+    });
+
+    res.json({
+      ok: true,
+      clock: serializeClockForClient(clock),
+      message: "Clock updated successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/clocks/:id - Delete a clock
+ * Schedules it generated stay in place.
+ */
+export async function deleteClock(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await prisma.clock.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ ok: false, message: "Clock not found" });
+    }
+
+    await prisma.clock.delete({ where: { id } });
+
+    res.json({ ok: true, message: "Clock deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/clocks/generate - Generate playlists + schedules from clocks
+ * Body: { from?, hours?, replace? }
+ */
+export async function generateFromClocks(req, res, next) {
+  try {
+    const { from, hours, replace } = req.body || {};
+
+    let result;
+    try {
+      result = await generateClockSchedules({
+        from: from ? new Date(from) : undefined,
+        hours: hours ?? 24,
+        replace: replace === true || replace === "true",
+      });
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    const total = result.generated.reduce((n, g) => n + g.schedules.length, 0);
+
+    res.status(201).json({
+      ok: true,
+      ...result,
+      message: `${total} schedule(s) generated`,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
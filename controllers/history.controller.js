@@ -1,4 +1,9 @@
 import { prisma } from "../services/prisma.js";
+import {
+  formatStationTime,
+  getStationTimezone,
+  stationDay,
+} from "../services/stationTime.js";
 
 export async function listHistory(req, res, next) {
   try {
@@ -23,6 +28,7 @@ export async function listHistory(req, res, next) {
       id: record.id,
       mediaId: record.mediaId,
       datetime: record.datetime,
+      datetimeLocal: formatStationTime(record.datetime),
       media: {
         id: record.media.id,
         type: record.media.type,
@@ -39,6 +45,7 @@ export async function listHistory(req, res, next) {
     res.json({
       ok: true,
       history: transformed,
+      timezone: getStationTimezone(),
       pagination: {
         page,
         limit,
@@ -91,6 +98,7 @@ export async function addHistory(req, res, next) {
       id: history.id,
       mediaId: history.mediaId,
       datetime: history.datetime,
+      datetimeLocal: formatStationTime(history.datetime),
       media: {
         id: history.media.id,
         type: history.media.type,
@@ -116,20 +124,23 @@ export async function addHistory(req, res, next) {
 
 /**
  * GET /api/history/today - Get today's history
+ * Query: date? ("YYYY-MM-DD", default today). Days are the station's
+ * calendar days in its timezone.
  */
 export async function getTodayHistory(req, res, next) {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    let day;
+    try {
+      day = stationDay(req.query.date || new Date());
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
 
     const history = await prisma.history.findMany({
       where: {
         datetime: {
-          gte: today,
-          lt: tomorrow,
+          gte: day.start,
+          lt: day.end,
         },
       },
       include: {
@@ -144,6 +155,7 @@ export async function getTodayHistory(req, res, next) {
       id: record.id,
       mediaId: record.mediaId,
       datetime: record.datetime,
+      datetimeLocal: formatStationTime(record.datetime),
       media: {
         id: record.media.id,
         type: record.media.type,
@@ -160,7 +172,10 @@ export async function getTodayHistory(req, res, next) {
     res.json({
       ok: true,
       history: transformed,
-      date: today,
+      date: day.date,
+      timezone: getStationTimezone(),
+      from: day.start,
+      to: day.end,
       count: history.length,
     });
   } catch (error) {
@@ -513,6 +513,7 @@ export async function searchSuggestions(req, res, next) {
 /**
  * PUT /api/media/:id - Update media metadata
  * Uses Media.type only (SONG/JINGLE/SPOT)
+ * rotationCategoryId: category id, or null to take it out of rotation
  */
 export async function updateMedia(req, res, next) {
   try {
@@ -524,6 +525,7 @@ export async function updateMedia(req, res, next) {
       bpm,
       type, // SONG/JINGLE/SPOT (optional)
       language,
+      rotationCategoryId,
     } = req.body;
 
     const media = await prisma.media.findUnique({ where: { id } });
@@ -535,6 +537,22 @@ export async function updateMedia(req, res, next) {
     const normalizedType = type ? normalizeType(type) : null;
     const resolvedType = normalizedType || media.type;
 
+    const categoryId =
+      rotationCategoryId == null ? null : parseInt(rotationCategoryId, 10);
+    if (rotationCategoryId != null) {
+      const category =
+        categoryId &&
+        (await prisma.rotationCategory.findUnique({
+          where: { id: categoryId },
+        }));
+      if (!category) {
+        return res.status(400).json({
+          ok: false,
+          message: `Rotation category not found: ${rotationCategoryId}`,
+        });
+      }
+    }
+
     const updated = await prisma.media.update({
       where: { id },
       data: {
@@ -544,6 +562,9 @@ export async function updateMedia(req, res, next) {
         ...(bpm !== undefined && { bpm: bpm ? parseInt(bpm) : null }),
         ...(resolvedType && { type: resolvedType }),
         ...(language !== undefined && { language }),
+        ...(rotationCategoryId !== undefined && {
+          rotationCategoryId: categoryId,
+        }),
       },
     });
 
@@ -1,10 +1,31 @@
+import { cfg } from "../config/config.js";
 import {
   casparPause,
   casparPlay,
   casparResume,
+  casparSeek,
   casparStop,
 } from "../services/caspar.js";
 import { prisma } from "../services/prisma.js";
+import { findRunnerOnLayer } from "../services/scheduler.js";
+
+/**
+ * Seek the clip on a layer to `positionMs`. On a scheduler output's layer
+ * the runner does it, so its timer stays in step with Caspar; otherwise
+ * CALL SEEK goes straight to Caspar.
+ */
+async function seekLayer(channel, layer, positionMs) {
+  const runner = findRunnerOnLayer(channel, layer);
+  if (runner && (await runner.seekCurrentItem(positionMs))) {
+    return {
+      output: runner.name,
+      currentMedia: runner.getCurrentPlayingMedia(),
+    };
+  }
+
+  const frame = Math.floor((positionMs / 1000) * cfg.caspar.fps);
+  return { casparResponse: await casparSeek(channel, layer, frame) };
+}
 
 /**
  * POST /api/player/play - Play media with options
@@ -151,6 +172,54 @@ export async function resumePlayback(req, res, next) {
   }
 }
 
+/**
+ * POST /api/player/seek - Jump within the playing clip
+ * Body: { position (seconds), channel?, layer? }
+ */
+export async function seekPlayback(req, res, next) {
+  try {
+    const { channel = 1, layer = 10, position } = req.body;
+
+    const seconds = Number(position);
+    if (position === undefined || !Number.isFinite(seconds) || seconds < 0) {
+      return res.status(400).json({
+        ok: false,
+        message: "position must be a non-negative number of seconds",
+      });
+    }
+
+    const result = await seekLayer(channel, layer, seconds * 1000);
+
+    res.json({
+      ok: true,
+      position: seconds,
+      ...result,
+      message: `Playback moved to ${seconds}s`,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/player/restart - Restart the playing clip from the beginning
+ */
+export async function restartPlayback(req, res, next) {
+  try {
+    const { channel = 1, layer = 10 } = req.body;
+
+    const result = await seekLayer(channel, layer, 0);
+
+    res.json({
+      ok: true,
+      ...result,
+      message: "Playback restarted",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * POST /api/player/playlist/play - Play entire playlist
  */
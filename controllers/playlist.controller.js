@@ -1,5 +1,18 @@
 // src/controllers/playlist.controller.js
 import { prisma } from "../services/prisma.js";
+import {
+  normalizeRandomCriteria,
+  serializeRandomCriteria,
+} from "../services/randomCriteria.js";
+import {
+  evaluateSmartPlaylist,
+  normalizeSmartPlaylistFromBody,
+  serializeSmartPlaylist,
+} from "../services/smartPlaylists.js";
+import {
+  normalizeItemTransition,
+  serializeTransition,
+} from "../services/transitions.js";
 
 /* ───────────────────────── Helpers ───────────────────────── */
 
@@ -7,11 +20,16 @@ import { prisma } from "../services/prisma.js";
  * Normalize playlist items from request body.
  *
  * Supports:
- *   - New format: items: [{ kind, mediaId, randomType }, ...]
+ *   - New format: items: [{ kind, mediaId, randomType, criteria?, transition? }, ...]
  *   - Legacy format: mediaIds: [1,2,3]
  *
+ * `criteria` on RANDOM items narrows what they may pick (see
+ * normalizeRandomCriteria); it is ignored on FIXED items.
+ *
  * Returns array of:
- *   { order, kind: 'FIXED'|'RANDOM', mediaId: number|null, randomType: 'SONG'|'JINGLE'|'SPOT'|null }
+ *   { order, kind: 'FIXED'|'RANDOM', mediaId: number|null, randomType: 'SONG'|'JINGLE'|'SPOT'|null,
+ *     transition: 'CUT'|'MIX'|'WIPE'|null, transitionFrames: number|null,
+ *     criteria: { randomLanguage, randomYearFrom, ... } (RANDOM items only) }
  */
 function normalizePlaylistItemsFromBody(body) {
   const { items, mediaIds = [] } = body || {};
@@ -21,6 +39,7 @@ function normalizePlaylistItemsFromBody(body) {
     items.forEach((raw, index) => {
       const rawKind = String(raw.kind || "FIXED").toUpperCase();
       const kind = rawKind === "RANDOM" ? "RANDOM" : "FIXED";
+      const transition = normalizeItemTransition(raw.transition, index);
 
       if (kind === "RANDOM") {
         // For RANDOM slots we only care about randomType (MediaType).
@@ -40,6 +59,8 @@ function normalizePlaylistItemsFromBody(body) {
           kind,
           mediaId: null,
           randomType,
+          ...transition,
+          criteria: normalizeRandomCriteria(raw.criteria, index),
         });
       } else {
         // FIXED
@@ -54,6 +75,7 @@ function normalizePlaylistItemsFromBody(body) {
           kind: "FIXED",
           mediaId,
           randomType: null,
+          ...transition,
         });
       }
     });
@@ -102,11 +124,63 @@ async function validateFixedMediaExist(normalizedItems) {
   }
 }
 
+/**
+ * Validate that rotation categories targeted by RANDOM items exist.
+ */
+async function validateRandomCategoriesExist(normalizedItems) {
+  const ids = Array.from(
+    new Set(
+      normalizedItems
+        .map((it) => it.criteria?.randomCategoryId)
+        .filter((id) => id != null)
+    )
+  );
+  if (!ids.length) return;
+
+  const existing = await prisma.rotationCategory.findMany({
+    where: { id: { in: ids } },
+    select: { id: true },
+  });
+  const existingSet = new Set(existing.map((c) => c.id));
+  const missing = ids.filter((id) => !existingSet.has(id));
+
+  if (missing.length) {
+    throw new Error(
+      `One or more rotation categories not found (ids: ${missing.join(", ")})`
+    );
+  }
+}
+
 /**
  * Map Playlist (with playlistItems + media) to client-friendly structure.
- * Handles both FIXED and RANDOM items.
+ * Handles both FIXED and RANDOM items; a smart playlist's items are the
+ * `smartMedia` it currently evaluates to.
  */
-function serializePlaylistForClient(playlist) {
+function serializePlaylistForClient(playlist, smartMedia = null) {
+  if (playlist.smart) {
+    return {
+      ...serializePlaylistForClient({ ...playlist, smart: false }),
+      smart: serializeSmartPlaylist(playlist),
+      items: (smartMedia || []).map((m, order) => ({
+        id: m.id,
+        kind: "SMART",
+        isRandom: false,
+        randomType: null,
+        criteria: null,
+        order,
+        type: m.type,
+        transition: null,
+        author: m.author,
+        title: m.title,
+        year: m.year,
+        fileName: m.fileName,
+        duration: m.duration,
+        language: m.language,
+        bpm: m.bpm,
+      })),
+    };
+  }
+
   const items = (playlist.playlistItems || []).map((item) => {
     const isRandom = item.kind === "RANDOM" || (!item.media && item.randomType);
     if (isRandom) {
@@ -115,8 +189,10 @@ function serializePlaylistForClient(playlist) {
         kind: "RANDOM",
         isRandom: true,
         randomType: item.randomType || null,
+        criteria: serializeRandomCriteria(item),
         order: item.order,
         type: item.randomType || null,
+        transition: serializeTransition(item),
         author: null,
         title: null,
         year: null,
@@ -133,8 +209,10 @@ function serializePlaylistForClient(playlist) {
       kind: item.kind || "FIXED",
       isRandom: false,
       randomType: null,
+      criteria: null,
       order: item.order,
       type: m.type,
+      transition: serializeTransition(item),
       author: m.author,
       title: m.title,
       year: m.year,
@@ -152,12 +230,23 @@ function serializePlaylistForClient(playlist) {
     mediaIds: (playlist.playlistItems || [])
       .filter((it) => it.kind === "FIXED" && it.mediaId != null)
       .map((it) => it.mediaId),
+    smart: null,
     items,
     createdAt: playlist.createdAt,
     updatedAt: playlist.updatedAt,
   };
 }
 
+/**
+ * serializePlaylistForClient, evaluating a smart playlist first.
+ */
+async function serializeWithSmartMedia(playlist) {
+  const smartMedia = playlist.smart
+    ? await evaluateSmartPlaylist(playlist)
+    : null;
+  return serializePlaylistForClient(playlist, smartMedia);
+}
+
 /* ───────────────────────── Controllers ───────────────────────── */
 
 /**
@@ -186,8 +275,8 @@ export async function listPlaylists(req, res, next) {
       },
     });
 
-    const transformed = playlists.map((playlist) =>
-      serializePlaylistForClient(playlist)
+    const transformed = await Promise.all(
+      playlists.map(serializeWithSmartMedia)
     );
 
     res.json({
@@ -227,7 +316,7 @@ export async function getPlaylist(req, res, next) {
       });
     }
 
-    const transformed = serializePlaylistForClient(playlist);
+    const transformed = await serializeWithSmartMedia(playlist);
 
     res.json({
       ok: true,
@@ -242,7 +331,9 @@ export async function getPlaylist(req, res, next) {
  * POST /api/playlists - Create new playlist
  * Body supports:
  *   - { title, mediaIds: number[] }  (legacy)
- *   - { title, items: [{ kind, mediaId?, randomType? }, ...] } (new)
+ *   - { title, items: [{ kind, mediaId?, randomType?, criteria? }, ...] } (new)
+ *   - { title, smart: { filter, order?, maxItems?, targetSeconds? } }
+ *     (smart playlist, see normalizeSmartPlaylistFromBody)
  */
 export async function createPlaylist(req, res, next) {
   try {
@@ -255,41 +346,56 @@ export async function createPlaylist(req, res, next) {
       });
     }
 
-    let itemsNormalized;
+    let smartData;
     try {
-      itemsNormalized = normalizePlaylistItemsFromBody(req.body);
-      if (!itemsNormalized.length) {
+      smartData = normalizeSmartPlaylistFromBody(req.body.smart);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    // Smart playlists have no items of their own
+    let itemsNormalized = [];
+    if (!smartData?.smart) {
+      try {
+        itemsNormalized = normalizePlaylistItemsFromBody(req.body);
+        if (!itemsNormalized.length) {
+          return res.status(400).json({
+            ok: false,
+            message: "Playlist must contain at least one item",
+          });
+        }
+      } catch (e) {
         return res.status(400).json({
           ok: false,
-          message: "Playlist must contain at least one item",
+          message: e.message || "Invalid playlist items",
         });
       }
-    } catch (e) {
-      return res.status(400).json({
-        ok: false,
-        message: e.message || "Invalid playlist items",
-      });
-    }
 
-    // Validate FIXED media references
-    try {
-      await validateFixedMediaExist(itemsNormalized);
-    } catch (e) {
-      return res.status(400).json({
-        ok: false,
-        message: e.message || "One or more media items not found",
-      });
+      // Validate FIXED media references
+      try {
+        await validateFixedMediaExist(itemsNormalized);
+        await validateRandomCategoriesExist(itemsNormalized);
+      } catch (e) {
+        return res.status(400).json({
+          ok: false,
+          message: e.message || "One or more media items not found",
+        });
+      }
     }
 
     const playlist = await prisma.playlist.create({
       data: {
         title: title.trim(),
+        ...smartData,
         playlistItems: {
           create: itemsNormalized.map((it) => ({
             mediaId: it.kind === "FIXED" ? it.mediaId : null,
             order: it.order,
             kind: it.kind,
             randomType: it.kind === "RANDOM" ? it.randomType : null,
+            transition: it.transition ?? null,
+            transitionFrames: it.transitionFrames ?? null,
+            ...it.criteria,
           })),
         },
       },
@@ -305,7 +411,7 @@ export async function createPlaylist(req, res, next) {
       },
     });
 
-    const transformed = serializePlaylistForClient(playlist);
+    const transformed = await serializeWithSmartMedia(playlist);
 
     res.status(201).json({
       ok: true,
@@ -319,7 +425,8 @@ export async function createPlaylist(req, res, next) {
 
 /**
  * PUT /api/playlists/:id - Update playlist (title + items)
- * Body supports same formats as createPlaylist.
+ * Body supports same formats as createPlaylist. A smart playlist can be
+ * renamed with { title } alone; smart: null makes it a regular one again.
  */
 export async function updatePlaylist(req, res, next) {
   try {
@@ -345,29 +452,41 @@ export async function updatePlaylist(req, res, next) {
       });
     }
 
-    let itemsNormalized;
+    let smartData;
     try {
-      itemsNormalized = normalizePlaylistItemsFromBody(req.body);
-      if (!itemsNormalized.length) {
+      smartData = normalizeSmartPlaylistFromBody(req.body.smart);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    // A smart playlist keeps its definition unless a new one (or null, to
+    // turn it back into a regular playlist with items) is sent
+    let itemsNormalized = [];
+    if (!(smartData ? smartData.smart : existingPlaylist.smart)) {
+      try {
+        itemsNormalized = normalizePlaylistItemsFromBody(req.body);
+        if (!itemsNormalized.length) {
+          return res.status(400).json({
+            ok: false,
+            message: "Playlist must contain at least one item",
+          });
+        }
+      } catch (e) {
         return res.status(400).json({
           ok: false,
-          message: "Playlist must contain at least one item",
+          message: e.message || "Invalid playlist items",
         });
       }
-    } catch (e) {
-      return res.status(400).json({
-        ok: false,
-        message: e.message || "Invalid playlist items",
-      });
-    }
 
-    try {
-      await validateFixedMediaExist(itemsNormalized);
-    } catch (e) {
-      return res.status(400).json({
-        ok: false,
-        message: e.message || "One or more media items not found",
-      });
+      try {
+        await validateFixedMediaExist(itemsNormalized);
+        await validateRandomCategoriesExist(itemsNormalized);
+      } catch (e) {
+        return res.status(400).json({
+          ok: false,
+          message: e.message || "One or more media items not found",
+        });
+      }
     }
 
     const playlist = await prisma.$transaction(async (tx) => {
@@ -381,12 +500,16 @@ export async function updatePlaylist(req, res, next) {
         where: { id },
         data: {
           title: title.trim(),
+          ...smartData,
           playlistItems: {
             create: itemsNormalized.map((it) => ({
               mediaId: it.kind === "FIXED" ? it.mediaId : null,
               order: it.order,
               kind: it.kind,
               randomType: it.kind === "RANDOM" ? it.randomType : null,
+              transition: it.transition ?? null,
+              transitionFrames: it.transitionFrames ?? null,
+              ...it.criteria,
             })),
           },
         },
@@ -403,7 +526,7 @@ export async function updatePlaylist(req, res, next) {
       });
     });
 
-    const transformed = serializePlaylistForClient(playlist);
+    const transformed = await serializeWithSmartMedia(playlist);
 
     res.json({
       ok: true,
@@ -451,12 +574,12 @@ export async function deletePlaylist(req, res, next) {
  *
  * Body:
  *   - FIXED:  { mediaId: number }
- *   - RANDOM: { kind: "RANDOM", randomType: "SONG"|"JINGLE"|"SPOT" }
+ *   - RANDOM: { kind: "RANDOM", randomType: "SONG"|"JINGLE"|"SPOT", criteria? }
  */
 export async function addPlaylistItem(req, res, next) {
   try {
     const playlistId = parseInt(req.params.id, 10);
-    const { mediaId, kind, randomType } = req.body || {};
+    const { mediaId, kind, randomType, criteria } = req.body || {};
 
     // Check if playlist exists
     const playlist = await prisma.playlist.findUnique({
@@ -470,6 +593,12 @@ export async function addPlaylistItem(req, res, next) {
         message: "Playlist not found",
       });
     }
+    if (playlist.smart) {
+      return res.status(409).json({
+        ok: false,
+        message: "Smart playlists get their items from their filter",
+      });
+    }
 
     const rawKind = String(
       kind || (mediaId ? "FIXED" : "RANDOM")
@@ -488,6 +617,14 @@ export async function addPlaylistItem(req, res, next) {
 
       const nextOrder = playlist.playlistItems.length;
 
+      let criteriaColumns;
+      try {
+        criteriaColumns = normalizeRandomCriteria(criteria, nextOrder);
+        await validateRandomCategoriesExist([{ criteria: criteriaColumns }]);
+      } catch (e) {
+        return res.status(400).json({ ok: false, message: e.message });
+      }
+
       const playlistItem = await prisma.playlistItem.create({
         data: {
           playlistId,
@@ -495,6 +632,7 @@ export async function addPlaylistItem(req, res, next) {
           order: nextOrder,
           kind: "RANDOM",
           randomType: rtUpper,
+          ...criteriaColumns,
         },
         include: {
           media: true,
@@ -508,6 +646,7 @@ export async function addPlaylistItem(req, res, next) {
           kind: "RANDOM",
           isRandom: true,
           randomType: rtUpper,
+          criteria: serializeRandomCriteria(playlistItem),
           order: playlistItem.order,
           type: rtUpper,
           author: null,
@@ -642,7 +781,7 @@ export async function removePlaylistItem(req, res, next) {
 /**
  * GET /api/playlists/:id/resolve
  * Resolve a playlist with RANDOM slots filled in with actual media items.
- * Each call generates fresh random picks.
+ * Each call generates fresh random picks; rotation state is left as is.
  */
 export async function resolvePlaylist(req, res, next) {
   try {
@@ -659,7 +798,9 @@ export async function resolvePlaylist(req, res, next) {
       "../services/playlistRandomResolver.js"
     );
 
-    const resolved = await resolvePlaylistForSchedule(playlistId);
+    const resolved = await resolvePlaylistForSchedule(playlistId, {
+      persist: false,
+    });
 
     // Convert to client-friendly format
     // Since items are now resolved, treat them all as actual media
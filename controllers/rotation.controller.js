@@ -0,0 +1,253 @@
+// src/controllers/rotation.controller.js
+import { prisma } from "../services/prisma.js";
+import {
+  normalizeRotationCategoryFromBody,
+  serializeRotationCategory,
+} from "../services/rotation.js";
+
+const CATEGORY_INCLUDE = { _count: { select: { media: true } } };
+
+/* ───────────────────────── Helpers ───────────────────────── */
+
+async function totalWeight() {
+  const { _sum } = await prisma.rotationCategory.aggregate({
+    _sum: { weight: true },
+  });
+  return _sum.weight || 0;
+}
+
+async function nameTaken(name, exceptId = null) {
+  const existing = await prisma.rotationCategory.findUnique({
+    where: { name },
+    select: { id: true },
+  });
+  return Boolean(existing && existing.id !== exceptId);
+}
+
+function parseMediaIds(raw) {
+  if (!Array.isArray(raw) || !raw.length) {
+    throw new Error("mediaIds must be a non-empty array");
+  }
+  return Array.from(
+    new Set(
+      raw.map((value) => {
+        const id = parseInt(value, 10);
+        if (!id || Number.isNaN(id)) {
+          throw new Error(`Invalid media id ${value}`);
+        }
+        return id;
+      })
+    )
+  );
+}
+
+/* ───────────────────────── Controllers ───────────────────────── */
+
+/**
+ * GET /api/rotation-categories - All rotation categories with their
+ * weights, share of weighted picks, track counts and rotation state
+ */
+export async function listRotationCategories(req, res, next) {
+  try {
+    const [categories, total] = await Promise.all([
+      prisma.rotationCategory.findMany({
+        include: CATEGORY_INCLUDE,
+        orderBy: { name: "asc" },
+      }),
+      totalWeight(),
+    ]);
+
+    res.json({
+      ok: true,
+      categories: categories.map((c) => serializeRotationCategory(c, total)),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/rotation-categories - Create a rotation category
+ * Body: { name, weight? } (weight defaults to 1; 0 leaves it out of
+ * weighted picks)
+ */
+export async function createRotationCategory(req, res, next) {
+  try {
+    let data;
+    try {
+      data = normalizeRotationCategoryFromBody(req.body);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    if (await nameTaken(data.name)) {
+      return res.status(409).json({
+        ok: false,
+        message: `A category named "${data.name}" already exists`,
+      });
+    }
+
+    const category = await prisma.rotationCategory.create({
+      data,
+      include: CATEGORY_INCLUDE,
+    });
+
+    res.status(201).json({
+      ok: true,
+      category: serializeRotationCategory(category, await totalWeight()),
+      message: "Rotation category created successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/rotation-categories/:id - Rename or reweight a category
+ * Body: { name?, weight?, resetRotation?: true }
+ * resetRotation clears its pick counter, e.g. after a weight change.
+ */
+export async function updateRotationCategory(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await prisma.rotationCategory.findUnique({
+      where: { id },
+    });
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        message: "Rotation category not found",
+      });
+    }
+
+    let data;
+    try {
+      data = normalizeRotationCategoryFromBody(req.body, { partial: true });
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    if (data.name && (await nameTaken(data.name, id))) {
+      return res.status(409).json({
+        ok: false,
+        message: `A category named "${data.name}" already exists`,
+      });
+    }
+    if (req.body?.resetRotation === true) {
+      data.pickCount = 0;
+      data.lastPickedAt = null;
+    }
+
+    const category = await prisma.rotationCategory.update({
+      where: { id },
+      data,
+      include: CATEGORY_INCLUDE,
+    });
+
+    res.json({
+      ok: true,
+      category: serializeRotationCategory(category, await totalWeight()),
+      message: "Rotation category updated successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/rotation-categories/:id - Delete a category
+ * Its tracks become uncategorized; RANDOM slots targeting it pick from the
+ * whole library again.
+ */
+export async function deleteRotationCategory(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await prisma.rotationCategory.findUnique({
+      where: { id },
+    });
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        message: "Rotation category not found",
+      });
+    }
+
+    await prisma.rotationCategory.delete({ where: { id } });
+
+    res.json({ ok: true, message: "Rotation category deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/rotation-categories/:id/media - Move tracks into a category
+ * Body: { mediaIds: number[] } (a track is in at most one category)
+ */
+export async function assignRotationMedia(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await prisma.rotationCategory.findUnique({
+      where: { id },
+    });
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        message: "Rotation category not found",
+      });
+    }
+
+    let mediaIds;
+    try {
+      mediaIds = parseMediaIds(req.body?.mediaIds);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    const { count } = await prisma.media.updateMany({
+      where: { id: { in: mediaIds } },
+      data: { rotationCategoryId: id },
+    });
+
+    res.json({
+      ok: true,
+      updated: count,
+      message: `${count} track(s) moved to ${existing.name}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/rotation-categories/:id/media - Take tracks out of a category
+ * Body: { mediaIds: number[] }
+ */
+export async function unassignRotationMedia(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    let mediaIds;
+    try {
+      mediaIds = parseMediaIds(req.body?.mediaIds);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    const { count } = await prisma.media.updateMany({
+      where: { id: { in: mediaIds }, rotationCategoryId: id },
+      data: { rotationCategoryId: null },
+    });
+
+    res.json({
+      ok: true,
+      updated: count,
+      message: `${count} track(s) removed from the category`,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
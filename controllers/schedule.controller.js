@@ -1,14 +1,42 @@
 // src/controllers/schedule.controller.js
+import {
+  normalizeHardTimingFromBody,
+  serializeHardTiming,
+} from "../services/hardTiming.js";
+import {
+  normalizeMissedPolicyFromBody,
+  serializeMissedPolicy,
+} from "../services/missedSchedules.js";
 import { prisma } from "../services/prisma.js";
+import { serializeRandomCriteria } from "../services/randomCriteria.js";
+import { serializeSmartPlaylist } from "../services/smartPlaylists.js";
+import { findScheduleConflicts } from "../services/scheduleConflicts.js";
+import {
+  normalizeRecurrenceFromBody,
+  serializeRecurrence,
+} from "../services/recurrence.js";
 import {
-  getSchedulerStatus,
-  stopCurrentSchedule,
+  DEFAULT_OUTPUT,
+  findRunnerForSchedule,
+  getScheduleRunner,
+  listScheduleRunners,
 } from "../services/scheduler.js";
+import {
+  formatStationTime,
+  getStationTimezone,
+  parseStationDateTime,
+  stationLocalTime,
+} from "../services/stationTime.js";
+import {
+  normalizeTransitionFromBody,
+  serializeTransition,
+} from "../services/transitions.js";
 
 /* ───────────────────────── Helpers ───────────────────────── */
 
 /**
  * Same serializer as playlist.controller (duplicated here to avoid extra imports).
+ * Smart playlists are not evaluated here; their items come with a resolve.
  */
 function serializePlaylistForClient(playlist) {
   const items = (playlist.playlistItems || []).map((item) => {
@@ -19,8 +47,10 @@ function serializePlaylistForClient(playlist) {
         kind: "RANDOM",
         isRandom: true,
         randomType: item.randomType || null,
+        criteria: serializeRandomCriteria(item),
         order: item.order,
         type: item.randomType || null,
+        transition: serializeTransition(item),
         author: null,
         title: null,
         year: null,
@@ -37,8 +67,10 @@ function serializePlaylistForClient(playlist) {
       kind: item.kind || "FIXED",
       isRandom: false,
       randomType: null,
+      criteria: null,
       order: item.order,
       type: m.type,
+      transition: serializeTransition(item),
       author: m.author,
       title: m.title,
       year: m.year,
@@ -55,20 +87,84 @@ function serializePlaylistForClient(playlist) {
     mediaIds: (playlist.playlistItems || [])
       .filter((it) => it.kind === "FIXED" && it.mediaId != null)
       .map((it) => it.mediaId),
+    smart: serializeSmartPlaylist(playlist),
     items,
     createdAt: playlist.createdAt,
     updatedAt: playlist.updatedAt,
   };
 }
 
+const PREEMPTION_MODES = [
+  "HARD_CUT",
+  "END_OF_ITEM",
+  "END_OF_PLAYLIST",
+  "QUEUE_AFTER",
+];
+
+/**
+ * Read optional { priority, preemption } from request body.
+ * Returns only the fields that were provided; throws on invalid values.
+ */
+function normalizePreemptionFromBody(body) {
+  const { priority, preemption } = body || {};
+  const data = {};
+
+  if (priority !== undefined && priority !== null && priority !== "") {
+    const p = parseInt(priority, 10);
+    if (Number.isNaN(p)) {
+      throw new Error("Invalid priority");
+    }
+    data.priority = p;
+  }
+
+  if (preemption !== undefined && preemption !== null && preemption !== "") {
+    const mode = String(preemption).toUpperCase();
+    if (!PREEMPTION_MODES.includes(mode)) {
+      throw new Error(`Invalid preemption mode: ${preemption}`);
+    }
+    data.preemption = mode;
+  }
+
+  return data;
+}
+
+/**
+ * Read optional `output` (name of a configured output) from request body.
+ * Returns { output } when provided, {} otherwise; throws on unknown outputs.
+ */
+function normalizeOutputFromBody(body) {
+  const { output } = body || {};
+  if (output === undefined) return {};
+
+  const runner = getScheduleRunner(output || DEFAULT_OUTPUT);
+  if (!runner) {
+    throw new Error(`Unknown output: ${output}`);
+  }
+  return { output: runner.name };
+}
+
+function isForced(req) {
+  const force = req.body?.force ?? req.query?.force;
+  return force === true || force === "true";
+}
+
 /* ───────────────────────── Controllers ───────────────────────── */
 
 /**
  * GET /api/schedules - Get all schedules (with slim playlist info)
+ * Query: includeArchived=true to also return schedules that have finished airing,
+ *        output=name to only list one output's schedules
  */
 export async function listSchedules(req, res, next) {
   try {
+    const includeArchived = String(req.query.includeArchived) === "true";
+    const output = req.query.output ? String(req.query.output) : null;
+
     const schedules = await prisma.schedule.findMany({
+      where: {
+        ...(includeArchived ? {} : { archivedAt: null }),
+        ...(output ? { output } : {}),
+      },
       include: {
         playlist: {
           include: {
@@ -92,6 +188,18 @@ export async function listSchedules(req, res, next) {
       id: schedule.id,
       playlistId: schedule.playlistId,
       datetime: schedule.datetime,
+      datetimeLocal: formatStationTime(schedule.datetime),
+      recurrence: serializeRecurrence(schedule),
+      priority: schedule.priority,
+      preemption: schedule.preemption,
+      hardTiming: serializeHardTiming(schedule),
+      transition: serializeTransition(schedule),
+      missed: serializeMissedPolicy(schedule),
+      output: schedule.output,
+      lease: schedule.leaseOwner
+        ? { owner: schedule.leaseOwner, expiresAt: schedule.leaseExpiresAt }
+        : null,
+      archivedAt: schedule.archivedAt,
       playlist: {
         id: schedule.playlist.id,
         title: schedule.playlist.title,
@@ -104,6 +212,7 @@ export async function listSchedules(req, res, next) {
     res.json({
       ok: true,
       schedules: transformed,
+      timezone: getStationTimezone(),
     });
   } catch (error) {
     next(error);
@@ -112,11 +221,31 @@ export async function listSchedules(req, res, next) {
 
 /**
  * POST /api/schedules - Create new schedule
- * Body: { playlistId:number, datetime: ISO string }
+ * Body: { playlistId:number, datetime: ISO string, recurrence?: rule,
+ *         priority?: number, preemption?: "HARD_CUT"|"END_OF_ITEM"|"END_OF_PLAYLIST"|"QUEUE_AFTER",
+ *         hardTiming?: true | { durationSeconds?, trimMode?: "CUT"|"FADE", fillGaps? },
+ *         transition?: "MIX" | { type: "CUT"|"MIX"|"WIPE", frames? },
+ *         missed?: "SKIP" | { policy?, graceMinutes? }, output?: name }
+ *
+ * recurrence: "DAILY" | "WEEKDAYS" | "WEEKLY" | "HOURLY" or
+ *   { frequency, interval?, days?: ["MON",...], until?: ISO, count? }
+ * `datetime` is the first occurrence. A datetime without an offset
+ * ("2026-03-29T20:00") is station local time (see /api/station); responses
+ * carry it as `datetimeLocal` next to the UTC `datetime`.
+ * hardTiming: end exactly `durationSeconds` after the start (or at the next
+ *   schedule), trimming the last items and filling any gap.
+ * transition: how items change over (playlist items may set their own).
+ * missed: what happens if the start is missed by more than graceMinutes
+ *   (SKIP, PLAY_LATE, JOIN_IN_PROGRESS or LATEST_ONLY; default from config).
+ * output: the Caspar output that airs it (default: the first configured one).
+ *
+ * Responds 409 with `conflicts` when the new schedule would overlap pending
+ * ones (by estimated playlist duration); pass force: true to create anyway.
  */
 export async function createSchedule(req, res, next) {
   try {
-    const { playlistId, datetime } = req.body;
+    const { playlistId, datetime, recurrence, hardTiming, transition, missed } =
+      req.body;
 
     if (!playlistId || !datetime) {
       return res.status(400).json({
@@ -143,7 +272,7 @@ export async function createSchedule(req, res, next) {
       });
     }
 
-    const dt = new Date(datetime);
+    const dt = parseStationDateTime(datetime);
     if (Number.isNaN(dt.getTime())) {
       return res.status(400).json({
         ok: false,
@@ -151,10 +280,57 @@ export async function createSchedule(req, res, next) {
       });
     }
 
+    let recurrenceData;
+    let preemptionData;
+    let hardTimingData;
+    let transitionData;
+    let missedData;
+    let outputData;
+    try {
+      recurrenceData = normalizeRecurrenceFromBody(recurrence);
+      preemptionData = normalizePreemptionFromBody(req.body);
+      hardTimingData = normalizeHardTimingFromBody(hardTiming);
+      transitionData = normalizeTransitionFromBody(transition);
+      missedData = normalizeMissedPolicyFromBody(missed);
+      outputData = {
+        output: DEFAULT_OUTPUT,
+        ...normalizeOutputFromBody(req.body),
+      };
+    } catch (e) {
+      return res.status(400).json({
+        ok: false,
+        message: e.message || "Invalid schedule options",
+      });
+    }
+
+    const conflicts = await findScheduleConflicts({
+      playlistId: pid,
+      datetime: dt,
+      localTime: stationLocalTime(dt),
+      ...(recurrenceData || {}),
+      ...preemptionData,
+      ...(hardTimingData || {}),
+      ...outputData,
+    });
+    if (conflicts.length && !isForced(req)) {
+      return res.status(409).json({
+        ok: false,
+        message: "Schedule overlaps existing schedules",
+        conflicts,
+      });
+    }
+
     const schedule = await prisma.schedule.create({
       data: {
         playlistId: pid,
         datetime: dt,
+        localTime: stationLocalTime(dt),
+        ...(recurrenceData || {}),
+        ...preemptionData,
+        ...(hardTimingData || {}),
+        ...(transitionData || {}),
+        ...(missedData || {}),
+        ...outputData,
       },
       include: {
         playlist: {
@@ -174,6 +350,14 @@ export async function createSchedule(req, res, next) {
       id: schedule.id,
       playlistId: schedule.playlistId,
       datetime: schedule.datetime,
+      datetimeLocal: formatStationTime(schedule.datetime),
+      recurrence: serializeRecurrence(schedule),
+      priority: schedule.priority,
+      preemption: schedule.preemption,
+      hardTiming: serializeHardTiming(schedule),
+      transition: serializeTransition(schedule),
+      missed: serializeMissedPolicy(schedule),
+      output: schedule.output,
       playlist: {
         id: schedule.playlist.id,
         title: schedule.playlist.title,
@@ -186,7 +370,11 @@ export async function createSchedule(req, res, next) {
     res.status(201).json({
       ok: true,
       schedule: transformed,
-      message: "Schedule created successfully",
+      timezone: getStationTimezone(),
+      conflicts,
+      message: conflicts.length
+        ? "Schedule created despite overlapping schedules"
+        : "Schedule created successfully",
     });
   } catch (error) {
     next(error);
@@ -217,13 +405,15 @@ export async function deleteSchedule(req, res, next) {
       });
     }
 
-    // Check if this schedule is currently running
-    const status = getSchedulerStatus();
-    const isCurrentlyRunning = status.runningJob?.scheduleId === id;
+    // Check if this schedule is currently running on any output
+    const runner = findRunnerForSchedule(id);
 
-    if (isCurrentlyRunning) {
-      // Stop the scheduler - this will clean up internal state and delete from DB
-      await stopCurrentSchedule();
+    if (runner) {
+      // Stop the scheduler - this will clean up internal state and retire the
+      // schedule. Recurring schedules are only moved forward, so delete
+      // whatever is left afterwards.
+      await runner.stopCurrentSchedule();
+      await prisma.schedule.deleteMany({ where: { id } });
     } else {
       // Not currently running, just delete from DB
       await prisma.schedule.delete({
@@ -242,17 +432,27 @@ export async function deleteSchedule(req, res, next) {
 
 /**
  * GET /api/schedules/upcoming - Get upcoming schedules (next 10)
+ * Schedules on air on any output come first. Query: output=name to only
+ * list one output's schedules.
  */
 export async function getUpcomingSchedules(req, res, next) {
   try {
     const now = new Date();
-    const status = getSchedulerStatus();
-    const runningScheduleId =
-      status.runningJob?.scheduleId ??
-      status.currentSchedulePlaylist?.scheduleId ??
-      null;
+    const output = req.query.output ? String(req.query.output) : null;
+    const runningScheduleIds = listScheduleRunners()
+      .filter((runner) => !output || runner.name === output)
+      .map((runner) => {
+        const status = runner.getStatus();
+        return (
+          status.runningJob?.scheduleId ??
+          status.currentSchedulePlaylist?.scheduleId ??
+          null
+        );
+      })
+      .filter((id) => id != null);
 
     const schedules = await prisma.schedule.findMany({
+      where: { archivedAt: null, ...(output ? { output } : {}) },
       include: {
         playlist: {
           include: {
@@ -269,10 +469,10 @@ export async function getUpcomingSchedules(req, res, next) {
       take: 10,
     });
 
-    let runningSchedule = null;
-    if (runningScheduleId != null) {
-      runningSchedule = await prisma.schedule.findUnique({
-        where: { id: runningScheduleId },
+    let runningSchedules = [];
+    if (runningScheduleIds.length) {
+      runningSchedules = await prisma.schedule.findMany({
+        where: { id: { in: runningScheduleIds } },
         include: {
           playlist: {
             include: {
@@ -286,23 +486,34 @@ export async function getUpcomingSchedules(req, res, next) {
       });
     }
 
-    const merged = runningSchedule
-      ? [
-          runningSchedule,
-          ...schedules.filter((s) => s.id !== runningSchedule.id),
-        ]
-      : schedules;
+    const runningIds = new Set(runningSchedules.map((s) => s.id));
+    const merged = [
+      ...runningSchedules,
+      ...schedules.filter((s) => !runningIds.has(s.id)),
+    ];
 
     const transformed = merged.map((schedule) => ({
       id: schedule.id,
       playlistId: schedule.playlistId,
       datetime: schedule.datetime,
+      datetimeLocal: formatStationTime(schedule.datetime),
+      recurrence: serializeRecurrence(schedule),
+      priority: schedule.priority,
+      preemption: schedule.preemption,
+      hardTiming: serializeHardTiming(schedule),
+      transition: serializeTransition(schedule),
+      missed: serializeMissedPolicy(schedule),
+      output: schedule.output,
+      lease: schedule.leaseOwner
+        ? { owner: schedule.leaseOwner, expiresAt: schedule.leaseExpiresAt }
+        : null,
       playlist: serializePlaylistForClient(schedule.playlist),
     }));
 
     res.json({
       ok: true,
       schedules: transformed,
+      timezone: getStationTimezone(),
       currentTime: now,
     });
   } catch (error) {
@@ -312,12 +523,19 @@ export async function getUpcomingSchedules(req, res, next) {
 
 /**
  * PUT /api/schedules/:id - Update schedule
- * Body can include { playlistId?: number, datetime?: ISO string }
+ * Body can include { playlistId?: number, datetime?: ISO string, recurrence?: rule,
+ *                   priority?: number, preemption?: mode, hardTiming?: options,
+ *                   transition?: options, missed?: policy, output?: name }
+ * Pass recurrence: null (or "NONE") to turn a recurring schedule back into a one-shot,
+ * hardTiming: null to turn hard timing off and missed: null to use the
+ * default missed-event policy.
+ * Overlaps are checked like on create (409 unless force: true).
  */
 export async function updateSchedule(req, res, next) {
   try {
     const id = parseInt(req.params.id, 10);
-    const { playlistId, datetime } = req.body;
+    const { playlistId, datetime, recurrence, hardTiming, transition, missed } =
+      req.body;
 
     if (Number.isNaN(id)) {
       return res
@@ -349,17 +567,44 @@ export async function updateSchedule(req, res, next) {
     }
 
     if (datetime !== undefined && datetime !== null) {
-      const dt = new Date(datetime);
+      const dt = parseStationDateTime(datetime);
       if (Number.isNaN(dt.getTime())) {
         return res.status(400).json({ ok: false, message: "Invalid datetime" });
       }
       data.datetime = dt;
+      data.localTime = stationLocalTime(dt);
+      // Moving an archived schedule to a new time puts it back on air
+      data.archivedAt = null;
+    }
+
+    try {
+      Object.assign(data, normalizeRecurrenceFromBody(recurrence) || {});
+      Object.assign(data, normalizePreemptionFromBody(req.body));
+      Object.assign(data, normalizeHardTimingFromBody(hardTiming) || {});
+      Object.assign(data, normalizeTransitionFromBody(transition) || {});
+      Object.assign(data, normalizeMissedPolicyFromBody(missed) || {});
+      Object.assign(data, normalizeOutputFromBody(req.body));
+    } catch (e) {
+      return res.status(400).json({
+        ok: false,
+        message: e.message || "Invalid schedule options",
+      });
     }
 
     if (!Object.keys(data).length) {
       return res.status(400).json({
         ok: false,
-        message: "Nothing to update. Provide playlistId and/or datetime.",
+        message:
+          "Nothing to update. Provide playlistId, datetime, recurrence, priority, preemption, hardTiming, transition, missed and/or output.",
+      });
+    }
+
+    const conflicts = await findScheduleConflicts({ ...existing, ...data });
+    if (conflicts.length && !isForced(req)) {
+      return res.status(409).json({
+        ok: false,
+        message: "Schedule overlaps existing schedules",
+        conflicts,
       });
     }
 
@@ -382,13 +627,25 @@ export async function updateSchedule(req, res, next) {
       id: schedule.id,
       playlistId: schedule.playlistId,
       datetime: schedule.datetime,
+      datetimeLocal: formatStationTime(schedule.datetime),
+      recurrence: serializeRecurrence(schedule),
+      priority: schedule.priority,
+      preemption: schedule.preemption,
+      hardTiming: serializeHardTiming(schedule),
+      transition: serializeTransition(schedule),
+      missed: serializeMissedPolicy(schedule),
+      output: schedule.output,
       playlist: serializePlaylistForClient(schedule.playlist),
     };
 
     res.json({
       ok: true,
       schedule: transformed,
-      message: "Schedule updated successfully",
+      timezone: getStationTimezone(),
+      conflicts,
+      message: conflicts.length
+        ? "Schedule updated despite overlapping schedules"
+        : "Schedule updated successfully",
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,327 @@
+// src/controllers/scheduleCalendar.controller.js
+import multer from "multer";
+import { normalizeHardTimingFromBody } from "../services/hardTiming.js";
+import {
+  parseCalendarEvents,
+  recurrenceFromRRule,
+  renderSchedulesCalendar,
+} from "../services/icalendar.js";
+import { prisma } from "../services/prisma.js";
+import {
+  estimatePlaylistDurations,
+  findScheduleConflicts,
+} from "../services/scheduleConflicts.js";
+import {
+  getNextOccurrence,
+  normalizeRecurrenceFromBody,
+} from "../services/recurrence.js";
+import { DEFAULT_OUTPUT, getScheduleRunner } from "../services/scheduler.js";
+import {
+  formatStationTime,
+  stationLocalTime,
+} from "../services/stationTime.js";
+
+// Guard against runaway catch-up of very old recurring events
+const MAX_CATCH_UP_STEPS = 100000;
+
+/* ───────────────────────── Multer ───────────────────────── */
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// .ics as multipart field "file"; other bodies pass through untouched
+export const calendarUploadMiddleware = upload.single("file");
+
+/* ───────────────────────── Helpers ───────────────────────── */
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Move a recurring event that started in the past to its first occurrence
+ * from `now` on, counting the skipped ones against its COUNT. Returns null
+ * when the series is already over.
+ */
+function firstPendingOccurrence(data, now) {
+  let current = { ...data };
+  let steps = 0;
+  while (current.datetime < now) {
+    const next = getNextOccurrence(current, current.datetime);
+    if (!next || ++steps > MAX_CATCH_UP_STEPS) return null;
+    current = {
+      ...current,
+      datetime: next,
+      occurrenceCount: (current.occurrenceCount || 0) + 1,
+    };
+  }
+  return current;
+}
+
+/**
+ * Playlist an event stands for: the one named in X-STARPLAYER-PLAYLIST-ID
+ * (our own export), else the one titled like the event. Returns
+ * { playlist } or { reason }.
+ */
+function matchPlaylist(event, playlists, byTitle) {
+  const exportedId = parseInt(event.x["X-STARPLAYER-PLAYLIST-ID"], 10);
+  if (!Number.isNaN(exportedId) && playlists.has(exportedId)) {
+    return { playlist: playlists.get(exportedId) };
+  }
+
+  const title = (event.summary || "").trim().toLowerCase();
+  if (!title) return { reason: "Event has no title" };
+
+  const matches = byTitle.get(title) || [];
+  if (matches.length > 1) {
+    return {
+      reason: `Title matches ${matches.length} playlists`,
+      candidates: matches.map((p) => p.id),
+    };
+  }
+  if (!matches.length) return { reason: "No playlist with this title" };
+  return { playlist: matches[0] };
+}
+
+/* ───────────────────────── Controllers ───────────────────────── */
+
+/**
+ * GET /api/schedules/export.ics - Pending schedules as an iCalendar file
+ * Query: output=name to only export one output's schedules
+ *
+ * One event per schedule at its next occurrence, recurring ones with an
+ * RRULE, in the station's timezone. Events last the hard-timed duration or
+ * the playlist's estimated airtime. Our own X-STARPLAYER-* properties let
+ * an exported file be imported again.
+ */
+export async function exportSchedulesIcs(req, res, next) {
+  try {
+    const output = req.query.output ? String(req.query.output) : null;
+
+    const schedules = await prisma.schedule.findMany({
+      where: { archivedAt: null, ...(output ? { output } : {}) },
+      include: { playlist: { select: { title: true } } },
+      orderBy: { datetime: "asc" },
+    });
+
+    const estimated = await estimatePlaylistDurations(
+      schedules.map((s) => s.playlistId)
+    );
+    const durations = new Map(
+      schedules.map((s) => [
+        s.id,
+        s.hardEnd && s.durationSeconds
+          ? s.durationSeconds
+          : estimated.get(s.playlistId) || 0,
+      ])
+    );
+
+    const ics = renderSchedulesCalendar(schedules, {
+      name: output ? `Starplayer (${output})` : "Starplayer",
+      durations,
+    });
+    const fileName = output ? `schedules-${output}.ics` : "schedules.ics";
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(ics);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/schedules/import - Create schedules from an iCalendar file
+ * Body: multipart with the .ics as `file`, or JSON { ics };
+ *       output?: name, dryRun?: true, force?: true
+ *
+ * Events are mapped to playlists by title (SUMMARY = playlist title, case
+ * insensitive) or, for files exported here, by X-STARPLAYER-PLAYLIST-ID.
+ * Supported recurrences: hourly, daily, weekly on given days and weekdays,
+ * with UNTIL/COUNT. Recurring events that started in the past begin at
+ * their next occurrence. Events overlapping pending schedules are skipped
+ * unless force is set; dryRun reports without creating anything.
+ *
+ * Responds with { created, unmatched, skipped }: unmatched events found no
+ * playlist, skipped ones could not be scheduled (reason given). EXDATE
+ * exceptions can't be kept and are noted on the created entry.
+ */
+export async function importSchedulesIcs(req, res, next) {
+  try {
+    const body = req.body || {};
+    const text = req.file ? req.file.buffer.toString("utf8") : body.ics;
+    if (!text) {
+      return res.status(400).json({
+        ok: false,
+        message: 'Upload the .ics as "file" or send it as "ics"',
+      });
+    }
+
+    let events;
+    try {
+      events = parseCalendarEvents(text);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    const requestedOutput = body.output ?? req.query.output;
+    const outputRunner = requestedOutput
+      ? getScheduleRunner(String(requestedOutput))
+      : null;
+    if (requestedOutput && !outputRunner) {
+      return res.status(400).json({
+        ok: false,
+        message: `Unknown output: ${requestedOutput}`,
+      });
+    }
+    const dryRun = isTrue(body.dryRun ?? req.query.dryRun);
+    const force = isTrue(body.force ?? req.query.force);
+
+    const playlistRows = await prisma.playlist.findMany({
+      select: { id: true, title: true },
+    });
+    const playlists = new Map(playlistRows.map((p) => [p.id, p]));
+    const byTitle = new Map();
+    for (const p of playlistRows) {
+      const key = (p.title || "").trim().toLowerCase();
+      byTitle.set(key, [...(byTitle.get(key) || []), p]);
+    }
+
+    const now = new Date();
+    const created = [];
+    const unmatched = [];
+    const skipped = [];
+
+    for (const event of events) {
+      const report = {
+        uid: event.uid,
+        summary: event.summary,
+        start: event.start,
+      };
+      const skip = (reason, extra = {}) =>
+        skipped.push({ ...report, reason, ...extra });
+
+      if (event.status === "CANCELLED") {
+        skip("Event is cancelled");
+        continue;
+      }
+      if (event.recurrenceId) {
+        skip("Changed occurrences of a series are not supported");
+        continue;
+      }
+      if (event.error) {
+        skip(event.error);
+        continue;
+      }
+      if (event.allDay) {
+        skip("All-day events have no start time");
+        continue;
+      }
+
+      const match = matchPlaylist(event, playlists, byTitle);
+      if (!match.playlist) {
+        const { reason, candidates } = match;
+        unmatched.push({
+          ...report,
+          reason,
+          ...(candidates && { candidates }),
+        });
+        continue;
+      }
+
+      let data;
+      try {
+        const hardEnd = isTrue(
+          String(event.x["X-STARPLAYER-HARD-END"] || "").toLowerCase()
+        );
+        const priority = parseInt(event.x["X-STARPLAYER-PRIORITY"], 10);
+        const eventOutput = getScheduleRunner(event.x["X-STARPLAYER-OUTPUT"]);
+
+        data = {
+          playlistId: match.playlist.id,
+          datetime: event.start,
+          localTime: stationLocalTime(event.start),
+          ...(normalizeRecurrenceFromBody(
+            event.rrule ? recurrenceFromRRule(event.rrule) : null
+          ) || {}),
+          ...(Number.isNaN(priority) ? {} : { priority }),
+          ...(hardEnd
+            ? normalizeHardTimingFromBody(
+                event.durationSeconds > 0
+                  ? { durationSeconds: event.durationSeconds }
+                  : true
+              )
+            : {}),
+          output: (outputRunner || eventOutput)?.name || DEFAULT_OUTPUT,
+        };
+      } catch (e) {
+        skip(e.message);
+        continue;
+      }
+
+      if (data.datetime < now) {
+        const pending =
+          data.recurrence !== "NONE" ? firstPendingOccurrence(data, now) : null;
+        if (!pending) {
+          skip("Event is in the past");
+          continue;
+        }
+        data = pending;
+      }
+
+      const existing = await prisma.schedule.findFirst({
+        where: {
+          archivedAt: null,
+          playlistId: data.playlistId,
+          output: data.output,
+          datetime: data.datetime,
+        },
+        select: { id: true },
+      });
+      if (existing) {
+        skip("Already scheduled", { scheduleId: existing.id });
+        continue;
+      }
+
+      const conflicts = await findScheduleConflicts(data);
+      if (conflicts.length && !force) {
+        skip("Overlaps existing schedules", { conflicts });
+        continue;
+      }
+
+      const entry = {
+        ...report,
+        playlistId: data.playlistId,
+        playlistTitle: match.playlist.title,
+        datetime: data.datetime,
+        datetimeLocal: formatStationTime(data.datetime),
+        recurrence: data.recurrence,
+        output: data.output,
+        ...(event.exdates.length && {
+          note: `${event.exdates.length} excluded date(s) ignored`,
+        }),
+      };
+      if (!dryRun) {
+        const schedule = await prisma.schedule.create({ data });
+        entry.scheduleId = schedule.id;
+      }
+      created.push(entry);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      ok: true,
+      dryRun,
+      events: events.length,
+      created,
+      unmatched,
+      skipped,
+      message: `${dryRun ? "Would create" : "Created"} ${
+        created.length
+      } schedule(s); ${unmatched.length} unmatched, ${skipped.length} skipped`,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,155 @@
+// src/controllers/scheduleRun.controller.js
+import { prisma } from "../services/prisma.js";
+import { serializeScheduleRun } from "../services/scheduleRunLog.js";
+
+const OUTCOMES = [
+  "RUNNING",
+  "COMPLETED",
+  "STOPPED",
+  "PREEMPTED",
+  "FAILED",
+  "EMPTY",
+  "MISSED",
+];
+
+/**
+ * Build a ScheduleRun `where` clause from query params:
+ *   outcome=COMPLETED,FAILED  playlistId  output  from/to (ISO, on startedAt)
+ * Throws on invalid values.
+ */
+function buildRunFilter(query) {
+  const where = {};
+
+  if (query.outcome) {
+    const outcomes = String(query.outcome)
+      .split(",")
+      .map((o) => o.trim().toUpperCase())
+      .filter(Boolean);
+    const invalid = outcomes.filter((o) => !OUTCOMES.includes(o));
+    if (invalid.length) {
+      throw new Error(`Invalid outcome: ${invalid.join(", ")}`);
+    }
+    where.outcome = { in: outcomes };
+  }
+
+  if (query.playlistId) {
+    const pid = parseInt(query.playlistId, 10);
+    if (Number.isNaN(pid)) throw new Error("Invalid playlistId");
+    where.playlistId = pid;
+  }
+
+  if (query.output) where.output = String(query.output);
+
+  const startedAt = {};
+  if (query.from) {
+    const from = new Date(query.from);
+    if (Number.isNaN(from.getTime())) throw new Error("Invalid from date");
+    startedAt.gte = from;
+  }
+  if (query.to) {
+    const to = new Date(query.to);
+    if (Number.isNaN(to.getTime())) throw new Error("Invalid to date");
+    startedAt.lt = to;
+  }
+  if (Object.keys(startedAt).length) where.startedAt = startedAt;
+
+  return where;
+}
+
+async function sendRunPage(req, res, where) {
+  const limit = parseInt(req.query.limit) || 50;
+  const page = parseInt(req.query.page) || 1;
+  const skip = (page - 1) * limit;
+
+  const [runs, total] = await Promise.all([
+    prisma.scheduleRun.findMany({
+      where,
+      orderBy: { startedAt: "desc" },
+      skip,
+      take: limit,
+    }),
+    prisma.scheduleRun.count({ where }),
+  ]);
+
+  res.json({
+    ok: true,
+    runs: runs.map(serializeScheduleRun),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+}
+
+/**
+ * GET /api/scheduler/runs - Browse the run log of all schedules
+ * Query: outcome?, playlistId?, output?, from?, to?, page?, limit?
+ */
+export async function listScheduleRuns(req, res, next) {
+  try {
+    let where;
+    try {
+      where = buildRunFilter(req.query);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    await sendRunPage(req, res, where);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/scheduler/runs/:runId - Get a single run log entry
+ */
+export async function getScheduleRun(req, res, next) {
+  try {
+    const runId = parseInt(req.params.runId, 10);
+    if (Number.isNaN(runId)) {
+      return res.status(400).json({ ok: false, message: "Invalid run id" });
+    }
+
+    const run = await prisma.scheduleRun.findUnique({ where: { id: runId } });
+    if (!run) {
+      return res.status(404).json({ ok: false, message: "Run not found" });
+    }
+
+    res.json({ ok: true, run: serializeScheduleRun(run) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/schedules/:id/runs - Run log of one schedule
+ * Query: outcome?, from?, to?, page?, limit?
+ */
+export async function listRunsForSchedule(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "Invalid schedule id" });
+    }
+
+    const schedule = await prisma.schedule.findUnique({ where: { id } });
+    if (!schedule) {
+      return res.status(404).json({ ok: false, message: "Schedule not found" });
+    }
+
+    let where;
+    try {
+      where = { ...buildRunFilter(req.query), scheduleId: id };
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    await sendRunPage(req, res, where);
+  } catch (error) {
+    next(error);
+  }
+}
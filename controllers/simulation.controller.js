@@ -0,0 +1,48 @@
+// src/controllers/simulation.controller.js
+import {
+  MAX_SIMULATION_HOURS,
+  simulateSchedule,
+} from "../services/schedulerSimulation.js";
+import { parseStationDateTime } from "../services/stationTime.js";
+
+/**
+ * POST /api/scheduler/simulate - Dry-run the programming on a virtual clock
+ * (also /api/scheduler/outputs/:output/simulate)
+ * Body: { from? (ISO, default now; without an offset station local time),
+ *         hours? (default 24) }
+ * Nothing is played or written: schedules, run log and history are
+ * simulated in memory and returned with every event the runner emitted.
+ */
+export async function simulate(req, res, next) {
+  try {
+    const { from: rawFrom, hours: rawHours } = req.body || {};
+
+    const from = rawFrom ? parseStationDateTime(rawFrom) : new Date();
+    if (Number.isNaN(from.getTime())) {
+      return res.status(400).json({ ok: false, message: "Invalid from date" });
+    }
+
+    const hours = rawHours === undefined ? 24 : Number(rawHours);
+    if (!(hours > 0) || hours > MAX_SIMULATION_HOURS) {
+      return res.status(400).json({
+        ok: false,
+        message: `hours must be between 0 and ${MAX_SIMULATION_HOURS}`,
+      });
+    }
+
+    const startedAt = Date.now();
+    const simulation = await simulateSchedule({
+      output: req.runner?.name,
+      from,
+      hours,
+    });
+
+    res.json({
+      ok: true,
+      ...simulation,
+      tookMs: Date.now() - startedAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
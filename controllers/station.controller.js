@@ -0,0 +1,109 @@
+// src/controllers/station.controller.js
+import {
+  getSeparationRules,
+  updateSeparationRules,
+} from "../services/separation.js";
+import {
+  formatStationTime,
+  getStationTimezone,
+  loadStationSettings,
+  updateStationSettings,
+} from "../services/stationTime.js";
+
+function serializeStation(settings) {
+  const now = new Date();
+  return {
+    timezone: settings.timezone,
+    now,
+    nowLocal: formatStationTime(now),
+  };
+}
+
+/**
+ * GET /api/station - Station settings (timezone) and the station's clock
+ */
+export async function getStation(req, res, next) {
+  try {
+    const settings = await loadStationSettings();
+    res.json({ ok: true, station: serializeStation(settings) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/station - Update station settings
+ * Body: { timezone?: IANA zone name, e.g. "Europe/Prague" }
+ * Schedules keep their instant; recurring ones follow the new zone's wall
+ * clock from their next occurrence on.
+ */
+export async function updateStation(req, res, next) {
+  try {
+    let settings;
+    try {
+      settings = await updateStationSettings({
+        timezone: req.body?.timezone,
+      });
+    } catch (e) {
+      return res.status(400).json({
+        ok: false,
+        message: e.message || "Invalid station settings",
+      });
+    }
+
+    console.log(`[Station] Timezone set to ${getStationTimezone()}`);
+    res.json({
+      ok: true,
+      station: serializeStation(settings),
+      message: "Station settings updated",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/station/separation - Separation rules for RANDOM picks
+ */
+export async function getSeparation(req, res, next) {
+  try {
+    const separation = await getSeparationRules();
+    res.json({ ok: true, separation });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/station/separation - Update separation rules
+ * Body: { trackHours?, artistMinutes?, artistItems?, titleMinutes?, relax? }
+ *   - trackHours:    same track not within this many hours
+ *   - artistMinutes: same artist not within this many minutes
+ *   - artistItems:   ... nor within this many items
+ *   - titleMinutes:  same title, in any version, not within this many minutes
+ *   - relax:         drop rules when nothing fits (else the slot is skipped)
+ * 0 turns a rule off. Applies to RANDOM picks made from now on; resolutions
+ * already locked for upcoming schedules keep their picks.
+ */
+export async function updateSeparation(req, res, next) {
+  try {
+    let separation;
+    try {
+      separation = await updateSeparationRules(req.body || {});
+    } catch (e) {
+      return res.status(400).json({
+        ok: false,
+        message: e.message || "Invalid separation rules",
+      });
+    }
+
+    console.log("[Station] Separation rules updated");
+    res.json({
+      ok: true,
+      separation,
+      message: "Separation rules updated",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
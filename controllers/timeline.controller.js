@@ -0,0 +1,56 @@
+// src/controllers/timeline.controller.js
+import { parseStationDateTime } from "../services/stationTime.js";
+import { MAX_TIMELINE_DAYS, buildTimeline } from "../services/timeline.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET /api/scheduler/timeline - Projected program log
+ * (also /api/scheduler/outputs/:output/timeline)
+ * Query: from? (ISO, default now), to? (ISO, default from + 24h); times
+ * without an offset are station local time
+ * Previewing locks the RANDOM picks of the listed occurrences; rotation
+ * categories only move on when they air.
+ */
+export async function getTimeline(req, res, next) {
+  try {
+    const from = req.query.from
+      ? parseStationDateTime(req.query.from)
+      : new Date();
+    if (Number.isNaN(from.getTime())) {
+      return res.status(400).json({ ok: false, message: "Invalid from date" });
+    }
+
+    const to = req.query.to
+      ? parseStationDateTime(req.query.to)
+      : new Date(from.getTime() + DAY_MS);
+    if (Number.isNaN(to.getTime())) {
+      return res.status(400).json({ ok: false, message: "Invalid to date" });
+    }
+    if (to <= from) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "to must be after from" });
+    }
+    if (to - from > MAX_TIMELINE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        ok: false,
+        message: `Timeline range is limited to ${MAX_TIMELINE_DAYS} days`,
+      });
+    }
+
+    const timeline = await buildTimeline({
+      output: req.runner?.name,
+      from,
+      to,
+    });
+
+    res.json({
+      ok: true,
+      ...timeline,
+      generatedAt: new Date(),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
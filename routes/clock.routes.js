@@ -0,0 +1,21 @@
+// src/routes/clock.routes.js
+import { Router } from "express";
+import {
+  createClock,
+  deleteClock,
+  generateFromClocks,
+  getClock,
+  listClocks,
+  updateClock,
+} from "../controllers/clock.controller.js";
+
+const router = Router();
+
+router.get("/", listClocks);
+router.post("/generate", generateFromClocks);
+router.get("/:id", getClock);
+router.post("/", createClock);
+router.put("/:id", updateClock);
+router.delete("/:id", deleteClock);
+
+export default router;
@@ -5,7 +5,9 @@ import {
   playMedia,
   playPlaylist,
   quickPlay,
+  restartPlayback,
   resumePlayback,
+  seekPlayback,
   stopPlayback,
 } from "../controllers/player.controller.js";
 
@@ -15,6 +17,8 @@ router.post("/play", playMedia);
 router.post("/stop", stopPlayback);
 router.post("/pause", pausePlayback);
 router.post("/resume", resumePlayback);
+router.post("/seek", seekPlayback);
+router.post("/restart", restartPlayback);
 router.post("/playlist/play", playPlaylist);
 router.get("/now-playing", getNowPlaying);
 router.post("/quick-play", quickPlay);
@@ -0,0 +1,21 @@
+// src/routes/rotation.routes.js
+import { Router } from "express";
+import {
+  assignRotationMedia,
+  createRotationCategory,
+  deleteRotationCategory,
+  listRotationCategories,
+  unassignRotationMedia,
+  updateRotationCategory,
+} from "../controllers/rotation.controller.js";
+
+const router = Router();
+
+router.get("/", listRotationCategories);
+router.post("/", createRotationCategory);
+router.put("/:id", updateRotationCategory);
+router.delete("/:id", deleteRotationCategory);
+router.post("/:id/media", assignRotationMedia);
+router.delete("/:id/media", unassignRotationMedia);
+
+export default router;
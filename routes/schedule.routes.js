@@ -8,31 +8,23 @@ import {
   updateSchedule,
 } from "../controllers/schedule.controller.js";
 import {
-  getSchedulerStatus,
-  startScheduleRunner,
-} from "../services/scheduler.js";
+  calendarUploadMiddleware,
+  exportSchedulesIcs,
+  importSchedulesIcs,
+} from "../controllers/scheduleCalendar.controller.js";
+import { listRunsForSchedule } from "../controllers/scheduleRun.controller.js";
+import { getSchedulerStatus } from "../services/scheduler.js";
 
 const router = Router();
 
-// Initialize scheduler when this module is loaded
-if (!global.__SCHEDULE_RUNNER_STARTED__) {
-  try {
-    startScheduleRunner();
-    global.__SCHEDULE_RUNNER_STARTED__ = true;
-    console.log("[ScheduleRouter] Scheduler started.");
-  } catch (e) {
-    console.warn(
-      "[ScheduleRouter] Failed to start scheduler:",
-      e?.message || e
-    );
-  }
-}
-
 router.get("/", listSchedules);
 router.get("/upcoming", getUpcomingSchedules);
+router.get("/export.ics", exportSchedulesIcs);
+router.post("/import", calendarUploadMiddleware, importSchedulesIcs);
 router.post("/", createSchedule);
 router.delete("/:id", deleteSchedule);
 router.put("/:id", updateSchedule);
+router.get("/:id/runs", listRunsForSchedule);
 
 router.get("/status", (req, res) => {
   try {
@@ -1,22 +1,155 @@
 // src/routes/scheduler.routes.js
 import { Router } from "express";
 import {
-  getCurrentPlayingMedia,
-  getCurrentSchedulePlaylist,
-  getSchedulerStatus,
-  onSchedulerEvent,
+  getScheduleRun,
+  listScheduleRuns,
+} from "../controllers/scheduleRun.controller.js";
+import { simulate } from "../controllers/simulation.controller.js";
+import { getTimeline } from "../controllers/timeline.controller.js";
+import {
+  getScheduleRunner,
+  listScheduleRunners,
 } from "../services/scheduler.js";
 
 const router = Router();
 
+// Routes served per output: /api/scheduler/outputs/:output/... and, for the
+// default output, /api/scheduler/...
+const runnerRouter = Router({ mergeParams: true });
+
+runnerRouter.use((req, res, next) => {
+  const runner = getScheduleRunner(req.params.output);
+  if (!runner) {
+    return res.status(404).json({
+      ok: false,
+      message: `Unknown output: ${req.params.output}`,
+    });
+  }
+  req.runner = runner;
+  next();
+});
+
+/**
+ * Run a transport command against the running schedule and reply with the
+ * resulting scheduler state. The scheduler functions emit their own SSE
+ * events, so connected clients see the change on /events as well.
+ * Responds 409 when there is no running schedule to control.
+ */
+async function handleControl(req, res, command, action) {
+  const { runner } = req;
+  try {
+    const result = await action(runner);
+
+    if (!result) {
+      return res.status(409).json({
+        ok: false,
+        command,
+        message: runner.getBreakInStatus()
+          ? "A break-in is on air"
+          : "No schedule is currently running",
+      });
+    }
+
+    res.json({
+      ok: true,
+      command,
+      output: runner.name,
+      result: typeof result === "object" ? result : null,
+      currentMedia: runner.getCurrentPlayingMedia(),
+      currentPlaylist: runner.getCurrentSchedulePlaylist(),
+      status: runner.getStatus(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      command,
+      message: `Failed to ${command} current schedule`,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Apply a live edit to the running schedule's queue. The runner broadcasts
+ * a "queue_updated" event on /events. Responds 400 on an invalid edit and
+ * 409 when there is no running schedule.
+ */
+async function handleQueueEdit(req, res, edit) {
+  const { runner } = req;
+  let playlist;
+  try {
+    playlist = await runner.editCurrentQueue(edit);
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      command: edit.action,
+      message: error.message || "Invalid queue edit",
+    });
+  }
+
+  if (!playlist) {
+    return res.status(409).json({
+      ok: false,
+      command: edit.action,
+      message: "No schedule is currently running",
+    });
+  }
+
+  res.json({
+    ok: true,
+    command: edit.action,
+    output: runner.name,
+    currentIndex: runner.getStatus().runningJob?.currentIndex ?? null,
+    currentPlaylist: playlist,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * GET /api/scheduler/outputs - Configured outputs and their runner status
+ */
+router.get("/outputs", (req, res) => {
+  try {
+    res.json({
+      ok: true,
+      outputs: listScheduleRunners().map((runner) => ({
+        ...runner.output,
+        status: runner.getStatus(),
+        currentMedia: runner.getCurrentPlayingMedia(),
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to list outputs",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/scheduler/runs - Browse the run log of all outputs
+ * Query: outcome?, playlistId?, output? (output name), from?, to?, page?,
+ * limit?
+ */
+router.get("/runs", listScheduleRuns);
+
+/**
+ * GET /api/scheduler/runs/:runId - Get a single run log entry
+ */
+router.get("/runs/:runId", getScheduleRun);
+
 /**
  * GET /api/scheduler/status - Get scheduler status
  */
-router.get("/status", (req, res) => {
+runnerRouter.get("/status", (req, res) => {
   try {
-    const status = getSchedulerStatus();
+    const status = req.runner.getStatus();
     res.json({
       ok: true,
+      output: req.runner.name,
       status,
       timestamp: new Date().toISOString(),
     });
@@ -32,12 +165,13 @@ router.get("/status", (req, res) => {
 /**
  * GET /api/scheduler/current-media - Get current playing media
  */
-router.get("/current-media", (req, res) => {
+runnerRouter.get("/current-media", (req, res) => {
   try {
-    const currentMedia = getCurrentPlayingMedia();
-    const currentPlaylist = getCurrentSchedulePlaylist();
+    const currentMedia = req.runner.getCurrentPlayingMedia();
+    const currentPlaylist = req.runner.getCurrentSchedulePlaylist();
     res.json({
       ok: true,
+      output: req.runner.name,
       currentMedia,
       currentPlaylist,
       timestamp: new Date().toISOString(),
@@ -51,10 +185,257 @@ router.get("/current-media", (req, res) => {
   }
 });
 
+/**
+ * POST /api/scheduler/pause - Pause the running schedule (timer + Caspar)
+ */
+runnerRouter.post("/pause", (req, res) =>
+  handleControl(req, res, "pause", (runner) => runner.pauseCurrentSchedule())
+);
+
+/**
+ * POST /api/scheduler/resume - Resume a paused schedule
+ */
+runnerRouter.post("/resume", (req, res) =>
+  handleControl(req, res, "resume", (runner) => runner.resumeCurrentSchedule())
+);
+
+/**
+ * POST /api/scheduler/next - Skip to the next item (alias: /skip)
+ */
+runnerRouter.post(["/next", "/skip"], (req, res) =>
+  handleControl(req, res, "next", (runner) => runner.nextInCurrentSchedule())
+);
+
+/**
+ * POST /api/scheduler/restart - Restart the current item from the beginning
+ */
+runnerRouter.post("/restart", (req, res) =>
+  handleControl(req, res, "restart", (runner) => runner.restartCurrentItem())
+);
+
+/**
+ * POST /api/scheduler/seek - Jump within the current item (Caspar SEEK)
+ * Body: { position } (seconds from the start of the item)
+ */
+runnerRouter.post("/seek", (req, res) => {
+  const position = Number(req.body?.position);
+  if (!Number.isFinite(position) || position < 0) {
+    return res.status(400).json({
+      ok: false,
+      command: "seek",
+      message: "position must be a non-negative number of seconds",
+    });
+  }
+  return handleControl(req, res, "seek", (runner) =>
+    runner.seekCurrentItem(position * 1000)
+  );
+});
+
+/**
+ * POST /api/scheduler/stop - Stop the running schedule
+ */
+runnerRouter.post("/stop", (req, res) =>
+  handleControl(req, res, "stop", (runner) => runner.stopCurrentSchedule())
+);
+
+/**
+ * GET /api/scheduler/break-in - The break-in on air, if any
+ */
+runnerRouter.get("/break-in", (req, res) => {
+  res.json({
+    ok: true,
+    output: req.runner.name,
+    breakIn: req.runner.getBreakInStatus(),
+  });
+});
+
+/**
+ * POST /api/scheduler/break-in - Interrupt programming with a media item or
+ * playlist right now
+ * Body: { mediaId } | { playlistId }, mode?: "RESUME" | "ABANDON"
+ * RESUME (default) continues the suspended schedule where it was afterwards,
+ * ABANDON stops it.
+ */
+runnerRouter.post("/break-in", async (req, res) => {
+  const { runner } = req;
+  let breakIn;
+  try {
+    breakIn = await runner.startBreakIn(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      message: error.message || "Invalid break-in",
+    });
+  }
+
+  if (!breakIn) {
+    return res.status(409).json({
+      ok: false,
+      message: "A break-in is already on air",
+    });
+  }
+
+  res.json({
+    ok: true,
+    output: runner.name,
+    breakIn,
+    status: runner.getStatus(),
+    message: "Break-in started",
+  });
+});
+
+/**
+ * POST /api/scheduler/break-in/stop - End the break-in early
+ * Body: { mode? } overrides the mode chosen at the start
+ */
+runnerRouter.post("/break-in/stop", async (req, res) => {
+  const { runner } = req;
+  let stopped;
+  try {
+    stopped = await runner.stopBreakIn(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      message: error.message || "Invalid break-in mode",
+    });
+  }
+
+  if (!stopped) {
+    return res.status(409).json({
+      ok: false,
+      message: "No break-in is on air",
+    });
+  }
+
+  res.json({
+    ok: true,
+    output: runner.name,
+    currentMedia: runner.getCurrentPlayingMedia(),
+    status: runner.getStatus(),
+    message: "Break-in stopped",
+  });
+});
+
+/**
+ * GET /api/scheduler/queue - The running schedule's queue and position
+ */
+runnerRouter.get("/queue", (req, res) => {
+  try {
+    res.json({
+      ok: true,
+      output: req.runner.name,
+      currentIndex: req.runner.getStatus().runningJob?.currentIndex ?? null,
+      currentPlaylist: req.runner.getCurrentSchedulePlaylist(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to get queue",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/scheduler/queue/next - Play a media item after the current one
+ * Body: { mediaId }
+ */
+runnerRouter.post("/queue/next", (req, res) =>
+  handleQueueEdit(req, res, {
+    action: "play_next",
+    mediaId: req.body?.mediaId,
+  })
+);
+
+/**
+ * POST /api/scheduler/queue/append - Add a media item to the end of the queue
+ * Body: { mediaId }
+ */
+runnerRouter.post("/queue/append", (req, res) =>
+  handleQueueEdit(req, res, { action: "append", mediaId: req.body?.mediaId })
+);
+
+/**
+ * POST /api/scheduler/queue/move - Reorder an upcoming item
+ * Body: { from, to } (queue positions)
+ */
+runnerRouter.post("/queue/move", (req, res) =>
+  handleQueueEdit(req, res, {
+    action: "move",
+    from: req.body?.from,
+    to: req.body?.to,
+  })
+);
+
+/**
+ * POST /api/scheduler/queue/:index/replace - Replace an upcoming RANDOM pick
+ * Body: { mediaId? } (without it another random item is drawn)
+ */
+runnerRouter.post("/queue/:index/replace", (req, res) =>
+  handleQueueEdit(req, res, {
+    action: "replace",
+    index: req.params.index,
+    mediaId: req.body?.mediaId,
+  })
+);
+
+/**
+ * DELETE /api/scheduler/queue/:index - Remove an upcoming item
+ */
+runnerRouter.delete("/queue/:index", (req, res) =>
+  handleQueueEdit(req, res, { action: "remove", index: req.params.index })
+);
+
+/**
+ * GET /api/scheduler/fallback - Dead-air fallback settings and state
+ */
+runnerRouter.get("/fallback", async (req, res) => {
+  try {
+    res.json({
+      ok: true,
+      output: req.runner.name,
+      settings: await req.runner.getFallbackSettings(),
+      status: req.runner.getFallbackStatus(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: "Failed to get fallback settings",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/scheduler/fallback - Update dead-air fallback settings
+ * Body: { enabled?, mode?: "PLAYLIST" | "RANDOM_SONGS", playlistId? }
+ */
+runnerRouter.put("/fallback", async (req, res) => {
+  try {
+    const settings = await req.runner.updateFallbackSettings(req.body || {});
+    res.json({
+      ok: true,
+      output: req.runner.name,
+      settings,
+      status: req.runner.getFallbackStatus(),
+      message: "Fallback settings updated",
+    });
+  } catch (error) {
+    res.status(400).json({
+      ok: false,
+      message: error.message || "Invalid fallback settings",
+    });
+  }
+});
+
+runnerRouter.get("/timeline", getTimeline);
+runnerRouter.post("/simulate", simulate);
+
 /**
  * GET /api/scheduler/events - Server-Sent Events for real-time updates
  */
-router.get("/events", (req, res) => {
+runnerRouter.get("/events", (req, res) => {
   res.writeHead(200, {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
@@ -67,7 +448,7 @@ router.get("/events", (req, res) => {
   };
 
   // Subscribe to scheduler events
-  const unsubscribe = onSchedulerEvent((event, data) => {
+  const unsubscribe = req.runner.onEvent((event, data) => {
     sendEvent(event, data);
   });
 
@@ -92,4 +473,7 @@ router.get("/events", (req, res) => {
   });
 });
 
+router.use("/outputs/:output", runnerRouter);
+router.use("/", runnerRouter);
+
 export default router;
@@ -0,0 +1,17 @@
+// src/routes/station.routes.js
+import { Router } from "express";
+import {
+  getSeparation,
+  getStation,
+  updateSeparation,
+  updateStation,
+} from "../controllers/station.controller.js";
+
+const router = Router();
+
+router.get("/", getStation);
+router.put("/", updateStation);
+router.get("/separation", getSeparation);
+router.put("/separation", updateSeparation);
+
+export default router;
@@ -2,13 +2,18 @@ import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
 import casparRoutes from "./routes/caspar.routes.js";
+import clockRoutes from "./routes/clock.routes.js";
 import historyRoutes from "./routes/history.routes.js";
 import mediaRoutes from "./routes/media.routes.js";
 import playerRoutes from "./routes/player.routes.js";
 import playlistRoutes from "./routes/playlist.routes.js";
+import rotationRoutes from "./routes/rotation.routes.js";
 import scheduleRoutes from "./routes/schedule.routes.js";
 import schedulerRoutes from "./routes/scheduler.routes.js";
+import stationRoutes from "./routes/station.routes.js";
+import { startClockGenerator } from "./services/clockGenerator.js";
 import { startScheduleRunner } from "./services/scheduler.js";
+import { loadStationSettings } from "./services/stationTime.js";
 
 dotenv.config();
 const app = express();
@@ -52,8 +57,19 @@ app.use("/api/schedules", scheduleRoutes);
 app.use("/api/history", historyRoutes);
 app.use("/api/player", playerRoutes);
 app.use("/api/scheduler", schedulerRoutes);
+app.use("/api/clocks", clockRoutes);
+app.use("/api/station", stationRoutes);
+app.use("/api/rotation-categories", rotationRoutes);
 
-startScheduleRunner();
+// Recurrence is computed in the station's timezone, so load it first
+loadStationSettings()
+  .catch((e) =>
+    console.warn("[Station] Failed to load settings:", e?.message || e)
+  )
+  .finally(() => {
+    startScheduleRunner();
+    startClockGenerator();
+  });
 
 app.get("/", (req, res) => {
   res.send("API is running...");
@@ -14,6 +14,8 @@ class CasparCGSocket {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.responseBuffer = "";
+    // Response whose data lines are still arriving (200/201 replies)
+    this.pendingResponse = null;
   }
 
   async connect() {
@@ -39,7 +41,8 @@ class CasparCGSocket {
 
         lines.forEach((line) => {
           const trimmed = line.trim();
-          if (trimmed) this.processResponseLine(trimmed);
+          if (this.pendingResponse) this.collectResponseLine(trimmed);
+          else if (trimmed) this.processResponseLine(trimmed);
         });
       });
 
@@ -79,22 +82,29 @@ class CasparCGSocket {
       const statusCode = parts[2];
       const callback = this.responseCallbacks.get(reqId);
 
-      if (callback) {
-        const responseObj = {
-          requestId: reqId,
-          statusCode: parseInt(statusCode, 10),
-          data: parts.slice(3).join(" "),
-          raw: line,
-          success:
-            Number(statusCode) >= 200 && Number(statusCode) < 400
-              ? true
-              : false,
-        };
+      const responseObj = {
+        requestId: reqId,
+        statusCode: parseInt(statusCode, 10),
+        data: parts.slice(3).join(" "),
+        raw: line,
+        success:
+          Number(statusCode) >= 200 && Number(statusCode) < 400 ? true : false,
+      };
 
-        if (line.includes("CLS") && statusCode === "200") {
-          responseObj.mediaList = this.parseMediaList(line);
-        }
+      // 201 is followed by one data line, 200 by data lines up to an empty
+      // line. Collect them (even with nobody waiting, so they aren't
+      // mistaken for responses) before answering.
+      if (statusCode === "201" || statusCode === "200") {
+        this.pendingResponse = {
+          responseObj,
+          callback,
+          multiline: statusCode === "200",
+          lines: [],
+        };
+        return;
+      }
 
+      if (callback) {
         callback(responseObj);
         this.responseCallbacks.delete(reqId);
       }
@@ -107,6 +117,26 @@ class CasparCGSocket {
     }
   }
 
+  collectResponseLine(line) {
+    const pending = this.pendingResponse;
+    if (line) pending.lines.push(line);
+    if (pending.multiline && line) return;
+
+    this.pendingResponse = null;
+    const { responseObj, callback } = pending;
+    responseObj.lines = pending.lines;
+    responseObj.body = pending.lines.join("\n");
+
+    if (responseObj.raw.includes("CLS")) {
+      responseObj.mediaList = this.parseMediaList(responseObj.body);
+    }
+
+    if (callback) {
+      callback(responseObj);
+      this.responseCallbacks.delete(responseObj.requestId);
+    }
+  }
+
   handleImmediateResponse(line) {
     const parts = line.split(" ");
     if (parts.length < 1) return;
@@ -164,14 +194,19 @@ class CasparCGSocket {
     return mediaItems;
   }
 
-  async sendCommand(command, timeoutMs = 2000, expectResponse = true) {
+  async sendCommand(
+    command,
+    timeoutMs = 2000,
+    expectResponse = true,
+    quiet = false
+  ) {
     try {
       if (!this.connected) await this.connect();
 
       const reqId = this.generateRequestId();
       const fullCommand = `REQ ${reqId} ${command}\r\n`;
 
-      console.log(`📤 Sending: ${fullCommand.trim()}`);
+      if (!quiet) console.log(`📤 Sending: ${fullCommand.trim()}`);
 
       if (!expectResponse) {
         this.socket.write(fullCommand);
@@ -188,7 +223,9 @@ class CasparCGSocket {
       return new Promise((resolve) => {
         const timeout = setTimeout(() => {
           this.responseCallbacks.delete(reqId);
-          console.log(`⚠️ Command timeout, assuming success: ${command}`);
+          if (!quiet) {
+            console.log(`⚠️ Command timeout, assuming success: ${command}`);
+          }
           resolve({
             requestId: reqId,
             statusCode: 202,
@@ -412,6 +449,22 @@ export async function casparHideOverlay(channel = 1, overlayLayer = 20) {
   };
 }
 
+/**
+ * PLAY/LOADBG parameters after the clip name. `options.transition` is
+ * { type: "CUT"|"MIX"|"WIPE", frames } (CUT or 0 frames: plain cut).
+ */
+function buildClipParams(options = {}) {
+  let params = "";
+  if (options.loop) params += " LOOP";
+  const { type, frames } = options.transition || {};
+  if (type && type !== "CUT" && frames > 0) params += ` ${type} ${frames}`;
+  if (options.seek !== undefined) params += ` SEEK ${options.seek}`;
+  if (options.length !== undefined) params += ` LENGTH ${options.length}`;
+  if (options.filter !== undefined) params += ` FILTER ${options.filter}`;
+  if (options.auto) params += " AUTO";
+  return params;
+}
+
 export async function casparPlay(
   fileName,
   channel = 1,
@@ -420,16 +473,64 @@ export async function casparPlay(
 ) {
   const socket = getCasparSocket();
 
-  let command = `PLAY ${channel}-${layer} "${fileName}"`;
-  if (options.loop) command += " LOOP";
-  if (options.auto) command += " AUTO";
-  if (options.seek !== undefined) command += ` SEEK ${options.seek}`;
-  if (options.length !== undefined) command += ` LENGTH ${options.length}`;
-  if (options.filter !== undefined) command += ` FILTER ${options.filter}`;
+  const command = `PLAY ${channel}-${layer} "${fileName}"${buildClipParams(
+    options
+  )}`;
 
   console.log(`[Caspar] Sending play command: ${command}`);
   const response = await socket.sendFireAndForget(command);
 
+  await casparAnnounceMedia(fileName, channel, layer, options);
+
+  return {
+    success: true,
+    response,
+    command,
+    assumed: true,
+  };
+}
+
+/**
+ * Preload a clip on the layer's background. With `options.auto` Caspar
+ * starts it (with `options.transition`) as soon as the foreground ends.
+ */
+export async function casparLoadBg(
+  fileName,
+  channel = 1,
+  layer = 10,
+  options = {}
+) {
+  const socket = getCasparSocket();
+  const command = `LOADBG ${channel}-${layer} "${fileName}"${buildClipParams(
+    options
+  )}`;
+  const response = await socket.sendFireAndForget(command);
+  return { success: true, response, command, assumed: true };
+}
+
+/**
+ * Drop whatever is preloaded on the layer's background.
+ */
+export async function casparClearBackground(channel = 1, layer = 10) {
+  const socket = getCasparSocket();
+  const command = `LOADBG ${channel}-${layer} EMPTY`;
+  const response = await socket.sendFireAndForget(command);
+  return { success: true, response, command, assumed: true };
+}
+
+/**
+ * Mixer reset and now-playing overlay for a clip that just went on air,
+ * either by PLAY or on its own from the background (LOADBG AUTO).
+ * Options: showOverlay, overlayLayer, artist, title, mediaType.
+ */
+export async function casparAnnounceMedia(
+  fileName,
+  channel = 1,
+  layer = 10,
+  options = {}
+) {
+  const socket = getCasparSocket();
+
   // Ensure audio is unmuted at both layer and channel level
   try {
     await socket.sendFireAndForget(`MIXER ${channel}-${layer} VOLUME 1`);
@@ -555,13 +656,6 @@ export async function casparPlay(
       );
     }
   }
-
-  return {
-    success: true,
-    response,
-    command,
-    assumed: true,
-  };
 }
 
 export async function casparPause(channel = 1, layer = 10) {
@@ -578,6 +672,17 @@ export async function casparResume(channel = 1, layer = 10) {
   return { success: true, response, command, assumed: true };
 }
 
+/**
+ * Jump to `frame` within the clip on a layer (CALL SEEK). Playback carries
+ * on from there; a paused clip stays paused.
+ */
+export async function casparSeek(channel = 1, layer = 10, frame = 0) {
+  const socket = getCasparSocket();
+  const command = `CALL ${channel}-${layer} SEEK ${Math.max(0, frame)}`;
+  const response = await socket.sendFireAndForget(command);
+  return { success: true, response, command, assumed: true };
+}
+
 export async function casparStop(channel = 1, layer = 10) {
   const socket = getCasparSocket();
   const command = `STOP ${channel}-${layer}`;
@@ -585,6 +690,22 @@ export async function casparStop(channel = 1, layer = 10) {
   return { success: true, response, command, assumed: true };
 }
 
+/**
+ * Ramp a layer's volume to `volume` over `frames` (used to fade out an item
+ * that runs past a hard end). casparPlay resets the volume to 1.
+ */
+export async function casparFadeVolume(
+  channel = 1,
+  layer = 10,
+  volume = 0,
+  frames = 0
+) {
+  const socket = getCasparSocket();
+  const command = `MIXER ${channel}-${layer} VOLUME ${volume} ${frames}`;
+  const response = await socket.sendFireAndForget(command);
+  return { success: true, response, command, assumed: true };
+}
+
 export async function casparClear(channel = 1) {
   const socket = getCasparSocket();
   const command = `CLEAR ${channel}`;
@@ -618,6 +739,89 @@ export async function casparInfo(channel = 1, layer = 10) {
   return { success: response.success, response, command };
 }
 
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse the XML of `INFO channel-layer` into the foreground clip's playback
+ * state. Handles both the 2.0 (frame-number / nb_frames) and the 2.1+
+ * (<time>elapsed total</time>) layouts.
+ *
+ * Returns { empty, fileName, paused, elapsedMs, durationMs } (times null
+ * when unknown), or null when the XML isn't a layer description.
+ */
+export function parseCasparLayerInfo(xml, fps = cfg.caspar.fps) {
+  if (!xml || !xml.includes("<")) return null;
+
+  const foreground =
+    (xml.match(/<foreground>([\s\S]*?)<\/foreground>/) || [])[1] || xml;
+  const fileName =
+    xmlValue(foreground, "filename") ||
+    xmlValue(foreground, "path") ||
+    xmlValue(foreground, "name");
+  const producerType = xmlValue(foreground, "type");
+  const empty =
+    !fileName ||
+    producerType === "empty-producer" ||
+    /<producer>\s*empty\s*<\/producer>/.test(foreground);
+
+  let elapsedMs = null;
+  let durationMs = null;
+
+  const times = Array.from(foreground.matchAll(/<time>([^<]*)<\/time>/g))
+    .flatMap((m) => m[1].trim().split(/\s+/))
+    .map(Number);
+  if (times.length >= 2 && times.every((t) => !Number.isNaN(t))) {
+    elapsedMs = Math.round(times[0] * 1000);
+    durationMs = Math.round(times[1] * 1000);
+  } else {
+    const frame = Number(
+      xmlValue(foreground, "file-frame-number") ??
+        xmlValue(foreground, "frame-number")
+    );
+    const frames = Number(
+      xmlValue(foreground, "file-nb-frames") ??
+        xmlValue(foreground, "nb_frames") ??
+        xmlValue(foreground, "nb-frames")
+    );
+    if (fps > 0 && !Number.isNaN(frame) && frames > 0) {
+      elapsedMs = Math.round((frame / fps) * 1000);
+      durationMs = Math.round((frames / fps) * 1000);
+    }
+  }
+
+  const paused =
+    xmlValue(foreground, "paused") === "true" ||
+    xmlValue(xml, "status") === "paused";
+
+  return {
+    empty,
+    fileName: empty ? null : fileName,
+    paused,
+    elapsedMs,
+    durationMs,
+  };
+}
+
+/**
+ * Current playback state of a layer (see parseCasparLayerInfo), or null
+ * when Caspar didn't answer with layer info in time.
+ */
+export async function casparLayerState(channel = 1, layer = 10, timeoutMs) {
+  const socket = getCasparSocket();
+  // Polled while items play, so keep it out of the command log
+  const response = await socket.sendCommand(
+    `INFO ${channel}-${layer}`,
+    timeoutMs ?? 1000,
+    true,
+    true
+  );
+  if (!response.success || response.assumed) return null;
+  return parseCasparLayerInfo(response.body || "");
+}
+
 export async function casparInfoTemplate(channel = 1, layer = 10) {
   const socket = getCasparSocket();
   const command = `INFO ${channel}-${layer} TEMPLATE`;
@@ -832,9 +1036,14 @@ export async function casparQuickPlay(fileName, channel = 1, layer = 10) {
 export default {
   // Media Control
   casparPlay,
+  casparLoadBg,
+  casparClearBackground,
+  casparAnnounceMedia,
   casparPause,
   casparResume,
+  casparSeek,
   casparStop,
+  casparFadeVolume,
   casparClear,
   casparClearLayer,
 
@@ -845,6 +1054,7 @@ export default {
   // Media Information
   casparList,
   casparInfo,
+  casparLayerState,
   casparInfoTemplate,
 
   // Template Control
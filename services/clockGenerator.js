@@ -0,0 +1,283 @@
+// src/services/clockGenerator.js
+import dayjs from "dayjs";
+import { cfg } from "../config/config.js";
+import { pickRandomMediaByType } from "./playlistRandomResolver.js";
+import { createSeparationContext } from "./separation.js";
+import { prisma } from "./prisma.js";
+import { WEEKDAY_CODES, parseDays } from "./recurrence.js";
+import { parseStationDateTime, stationTime } from "./stationTime.js";
+
+const GENERATE_EVERY_MS = 15 * 60 * 1000;
+const MAX_HOURS = 24 * 14;
+const HOUR_MS = 60 * 60 * 1000;
+
+let _generatorHandle = null;
+let _generating = false;
+
+/**
+ * Find the clock for the hour starting at `hourStart` among dayparts
+ * ordered newest first (so the most recently created daypart wins).
+ */
+function findDaypartForHour(dayparts, hourStart) {
+  const day = WEEKDAY_CODES[hourStart.day()];
+  const hour = hourStart.hour();
+
+  return (
+    dayparts.find((dp) => {
+      const days = parseDays(dp.days);
+      if (days.length && !days.includes(day)) return false;
+      return hour >= dp.startHour && hour < dp.endHour;
+    }) || null
+  );
+}
+
+/**
+ * Group a clock's slots into segments: slots sharing a minute air back to
+ * back, starting at that minute past the hour.
+ */
+export function groupClockSlots(slots) {
+  const byMinute = new Map();
+  [...slots]
+    .sort((a, b) => a.minute - b.minute || a.order - b.order)
+    .forEach((slot) => {
+      if (!byMinute.has(slot.minute)) byMinute.set(slot.minute, []);
+      byMinute.get(slot.minute).push(slot);
+    });
+
+  return Array.from(byMinute, ([minute, segmentSlots]) => ({
+    minute,
+    slots: segmentSlots,
+  }));
+}
+
+/**
+ * Turn a segment's slots into concrete media, using the same RANDOM picking
+ * as playlists. `usedMediaIds` is shared across the hour so nothing repeats
+ * within it. Slots with no candidate are skipped, like RANDOM playlist slots.
+ * `separation` carries the station's separation rules across segments.
+ */
+async function resolveSegment(segment, usedMediaIds, separation) {
+  const media = [];
+
+  for (const slot of segment.slots) {
+    for (let i = 0; i < Math.max(1, slot.count || 1); i++) {
+      if (slot.kind === "FIXED") {
+        if (slot.media) {
+          media.push(slot.media);
+          separation.add(slot.media);
+        }
+        continue;
+      }
+
+      const picked = await pickRandomMediaByType(
+        slot.randomType || "SONG",
+        Array.from(usedMediaIds),
+        null,
+        { separation }
+      );
+      if (!picked) continue;
+
+      usedMediaIds.add(picked.id);
+      separation.add(picked);
+      media.push(picked);
+    }
+  }
+
+  return media;
+}
+
+/**
+ * Drop not-yet-aired clock schedules in [start, end) along with their
+ * generated playlists.
+ */
+async function removeGeneratedSchedules(start, end) {
+  const pending = await prisma.schedule.findMany({
+    where: {
+      clockId: { not: null },
+      archivedAt: null,
+      datetime: { gte: start, lt: end, gt: new Date() },
+    },
+    select: { playlistId: true },
+  });
+
+  const playlistIds = Array.from(new Set(pending.map((s) => s.playlistId)));
+  if (!playlistIds.length) return 0;
+
+  // Deleting the playlist cascades to its items and schedules
+  await prisma.playlist.deleteMany({ where: { id: { in: playlistIds } } });
+  return playlistIds.length;
+}
+
+/**
+ * Generate concrete playlists and schedules from hour clocks, hour by hour.
+ *
+ * Options:
+ *   from     - first hour to generate (rounded down to the hour; default now)
+ *   hours    - number of hours (default 24, max two weeks)
+ *   replace  - regenerate hours that already have clock schedules
+ *              (only segments that haven't aired yet are replaced)
+ *
+ * Segments whose start time has already passed are not generated.
+ * Returns { generated: [...], skipped: [{ hour, reason }] }.
+ */
+export async function generateClockSchedules({
+  from,
+  hours = 24,
+  replace = false,
+} = {}) {
+  const first = from ? parseStationDateTime(from) : new Date();
+  if (Number.isNaN(first.getTime())) throw new Error("Invalid from date");
+  // Hours and dayparts are the station's local ones
+  const start = stationTime(first).startOf("hour");
+
+  const count = parseInt(hours, 10);
+  if (Number.isNaN(count) || count < 1 || count > MAX_HOURS) {
+    throw new Error(`hours must be between 1 and ${MAX_HOURS}`);
+  }
+
+  const dayparts = await prisma.clockDaypart.findMany({
+    include: {
+      clock: {
+        include: { slots: { include: { media: true } } },
+      },
+    },
+    orderBy: { id: "desc" },
+  });
+
+  const generated = [];
+  const skipped = [];
+  const now = dayjs();
+  // Shared by all generated hours, so separation carries over between them
+  const separation = await createSeparationContext({ at: now.toDate() });
+
+  for (let h = 0; h < count; h++) {
+    // Elapsed hours, so the repeated/skipped hour of a DST switch is right
+    const hourStart = stationTime(start.valueOf() + h * HOUR_MS);
+    const hourEnd = stationTime(hourStart.valueOf() + HOUR_MS);
+
+    if (!hourEnd.isAfter(now)) {
+      skipped.push({ hour: hourStart.toDate(), reason: "in_past" });
+      continue;
+    }
+
+    const daypart = findDaypartForHour(dayparts, hourStart);
+    if (!daypart || !daypart.clock.slots.length) {
+      skipped.push({ hour: hourStart.toDate(), reason: "no_clock" });
+      continue;
+    }
+
+    if (replace) {
+      // Whatever is left afterwards has already aired and is skipped below
+      await removeGeneratedSchedules(hourStart.toDate(), hourEnd.toDate());
+    } else {
+      const existing = await prisma.schedule.count({
+        where: {
+          clockId: { not: null },
+          datetime: { gte: hourStart.toDate(), lt: hourEnd.toDate() },
+        },
+      });
+      if (existing) {
+        skipped.push({
+          hour: hourStart.toDate(),
+          reason: "already_generated",
+        });
+        continue;
+      }
+    }
+
+    const clock = daypart.clock;
+    const usedMediaIds = new Set();
+    const schedules = [];
+
+    for (const segment of groupClockSlots(clock.slots)) {
+      const airAt = hourStart.add(segment.minute, "minute");
+      if (!airAt.isAfter(now)) continue;
+
+      separation.advanceTo(airAt.toDate());
+      const media = await resolveSegment(segment, usedMediaIds, separation);
+      if (!media.length) continue;
+
+      const playlist = await prisma.playlist.create({
+        data: {
+          title: `${clock.title} ${airAt.format("YYYY-MM-DD HH:mm")}`,
+          playlistItems: {
+            create: media.map((m, order) => ({
+              mediaId: m.id,
+              order,
+              kind: "FIXED",
+              randomType: null,
+            })),
+          },
+          schedules: {
+            // Clock segments follow each other, so let the previous item end
+            create: [
+              {
+                datetime: airAt.toDate(),
+                output: cfg.outputs[0].name,
+                clockId: clock.id,
+                preemption: "END_OF_ITEM",
+              },
+            ],
+          },
+        },
+        include: { schedules: true },
+      });
+
+      schedules.push({
+        scheduleId: playlist.schedules[0].id,
+        playlistId: playlist.id,
+        title: playlist.title,
+        datetime: airAt.toDate(),
+        itemCount: media.length,
+      });
+    }
+
+    generated.push({
+      hour: hourStart.toDate(),
+      clockId: clock.id,
+      clockTitle: clock.title,
+      schedules,
+    });
+  }
+
+  return { generated, skipped };
+}
+
+async function runLookahead() {
+  if (_generating) return;
+  _generating = true;
+  try {
+    const { generated } = await generateClockSchedules({
+      hours: cfg.clocks.lookaheadHours,
+    });
+    const total = generated.reduce((n, g) => n + g.schedules.length, 0);
+    if (total) {
+      console.log(`[Clocks] Generated ${total} schedule(s) from hour clocks`);
+    }
+  } catch (e) {
+    console.error("[Clocks] Generation error:", e?.message || e);
+  } finally {
+    _generating = false;
+  }
+}
+
+/**
+ * Keep `cfg.clocks.lookaheadHours` of clock schedules generated ahead.
+ * Does nothing when the lookahead is 0.
+ */
+export function startClockGenerator() {
+  if (_generatorHandle || !(cfg.clocks.lookaheadHours > 0)) return;
+
+  console.log(
+    `[Clocks] Generating ${cfg.clocks.lookaheadHours}h ahead from hour clocks`
+  );
+  runLookahead();
+  _generatorHandle = setInterval(runLookahead, GENERATE_EVERY_MS);
+}
+
+export function stopClockGenerator() {
+  if (_generatorHandle) {
+    clearInterval(_generatorHandle);
+    _generatorHandle = null;
+  }
+}
@@ -0,0 +1,174 @@
+// src/services/hardTiming.js
+import { cfg } from "../config/config.js";
+import { prisma } from "./prisma.js";
+
+export const TRIM_MODES = ["CUT", "FADE"];
+
+// Items without a known duration are assumed to run this long
+const UNKNOWN_DURATION_MS = 5000;
+// Filler candidates considered per pick (longest fitting first)
+const FILLER_CANDIDATES = 5;
+
+/**
+ * Normalize hard timing options from request body.
+ *
+ * Accepts:
+ *   - undefined  → null (leave untouched)
+ *   - null|false → turns hard timing off
+ *   - true       → hard end at the next schedule, default trim/fill
+ *   - { enabled?, durationSeconds?, trimMode?: "CUT"|"FADE", fillGaps? }
+ *
+ * Returns the Schedule columns to write, or null. Throws on invalid input.
+ */
+export function normalizeHardTimingFromBody(raw) {
+  if (raw === undefined) return null;
+  if (raw === null || raw === false) return { hardEnd: false };
+
+  const opts = raw === true ? {} : raw;
+  const data = { hardEnd: opts.enabled !== false };
+
+  if (opts.durationSeconds !== undefined) {
+    if (opts.durationSeconds === null || opts.durationSeconds === "") {
+      data.durationSeconds = null;
+    } else {
+      const duration = parseInt(opts.durationSeconds, 10);
+      if (Number.isNaN(duration) || duration < 1) {
+        throw new Error("durationSeconds must be a positive integer");
+      }
+      data.durationSeconds = duration;
+    }
+  }
+
+  if (opts.trimMode !== undefined) {
+    const mode = String(opts.trimMode).toUpperCase();
+    if (!TRIM_MODES.includes(mode)) {
+      throw new Error(`Invalid trimMode: ${opts.trimMode}`);
+    }
+    data.trimMode = mode;
+  }
+
+  if (opts.fillGaps !== undefined) data.fillGaps = !!opts.fillGaps;
+
+  return data;
+}
+
+/**
+ * Client-facing view of a schedule's hard timing (null when off).
+ */
+export function serializeHardTiming(schedule) {
+  if (!schedule?.hardEnd) return null;
+  return {
+    durationSeconds: schedule.durationSeconds ?? null,
+    endsAtNextSchedule: schedule.durationSeconds == null,
+    trimMode: schedule.trimMode,
+    fillGaps: schedule.fillGaps,
+  };
+}
+
+/**
+ * When must this occurrence be off air? `datetime + durationSeconds`, or
+ * the start of the next pending schedule on the same output. Null when the
+ * schedule isn't hard-timed or there is nothing to end at.
+ */
+export async function resolveHardEnd(schedule) {
+  if (!schedule?.hardEnd || !schedule.datetime) return null;
+
+  const start = new Date(schedule.datetime);
+  if (schedule.durationSeconds) {
+    return new Date(start.getTime() + schedule.durationSeconds * 1000);
+  }
+
+  const next = await prisma.schedule.findFirst({
+    where: {
+      archivedAt: null,
+      id: { not: schedule.id },
+      datetime: { gt: start },
+      ...(schedule.output ? { output: schedule.output } : {}),
+    },
+    orderBy: { datetime: "asc" },
+    select: { datetime: true },
+  });
+
+  return next?.datetime ?? null;
+}
+
+export function itemDurationMs(media) {
+  return typeof media.duration === "number" && media.duration > 0
+    ? media.duration * 1000
+    : UNKNOWN_DURATION_MS;
+}
+
+/**
+ * Pick library items to fill `gapSeconds`, longest fitting first (randomly
+ * among the few longest so fills vary), until less than
+ * `cfg.scheduler.fillMinSeconds` is left.
+ */
+export async function pickFillersForGap(gapSeconds, excludeIds = []) {
+  const used = new Set(excludeIds);
+  const fillers = [];
+  let remaining = Math.floor(gapSeconds);
+
+  while (remaining >= cfg.scheduler.fillMinSeconds) {
+    const candidates = await prisma.media.findMany({
+      where: {
+        type: { in: cfg.scheduler.fillerTypes },
+        duration: { gt: 0, lte: remaining },
+        ...(used.size ? { NOT: { id: { in: Array.from(used) } } } : {}),
+      },
+      orderBy: { duration: "desc" },
+      take: FILLER_CANDIDATES,
+    });
+    if (!candidates.length) break;
+
+    const pick = candidates[Math.floor(Math.random() * candidates.length)];
+    used.add(pick.id);
+    fillers.push(pick);
+    remaining -= pick.duration;
+  }
+
+  return fillers;
+}
+
+/**
+ * Fit a resolved queue into `windowMs`: items that would start after the
+ * window are dropped, the last one is left to be cut/faded at the hard end,
+ * and (with `fillGaps`) an underrun is padded with filler items.
+ *
+ * Returns { queue, dropped, overrunMs, fillers }.
+ */
+export async function fitQueueToWindow(queue, windowMs, { fillGaps = true }) {
+  const fitted = [];
+  let elapsed = 0;
+  let dropped = 0;
+
+  for (const media of queue) {
+    if (elapsed >= windowMs) {
+      dropped += 1;
+      continue;
+    }
+    fitted.push(media);
+    elapsed += itemDurationMs(media);
+  }
+
+  let fillers = [];
+  if (fillGaps && elapsed < windowMs) {
+    fillers = (
+      await pickFillersForGap(
+        (windowMs - elapsed) / 1000,
+        fitted.map((m) => m.id)
+      )
+    ).map((m) => ({
+      ...m,
+      playlistItemId: null,
+      playlistItemKind: "FILLER",
+      randomType: null,
+    }));
+  }
+
+  return {
+    queue: [...fitted, ...fillers],
+    dropped,
+    overrunMs: Math.max(0, elapsed - windowMs),
+    fillers: fillers.length,
+  };
+}
@@ -0,0 +1,405 @@
+// src/services/icalendar.js
+import dayjs from "dayjs";
+import timezone from "dayjs/plugin/timezone.js";
+import utc from "dayjs/plugin/utc.js";
+import { listOccurrences, parseDays, WEEKDAY_CODES } from "./recurrence.js";
+import { getStationTimezone, isValidTimezone } from "./stationTime.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const PRODID = "-//Starplayer//Schedules//EN";
+const UID_DOMAIN = "starplayer";
+const MAX_LINE_OCTETS = 75;
+
+// iCalendar weekdays ("MO") ↔ recurrence day codes ("MON")
+const ICAL_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORKWEEK = ["MON", "TUE", "WED", "THU", "FRI"];
+
+// RRULE parts the schedule model can't express
+const UNSUPPORTED_RRULE_PARTS = [
+  "BYSECOND",
+  "BYMINUTE",
+  "BYHOUR",
+  "BYMONTHDAY",
+  "BYYEARDAY",
+  "BYWEEKNO",
+  "BYMONTH",
+  "BYSETPOS",
+];
+
+/* ───────────────────────── Rendering ───────────────────────── */
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+function formatUtc(date) {
+  return dayjs(date).utc().format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return `PT${h}H${m}M${s}S`;
+}
+
+// Pending occurrence as station wall-clock time, at the show's own time of
+// day when a DST gap had moved `datetime`
+function formatStart(schedule, tz) {
+  const local = dayjs(schedule.datetime).tz(tz);
+  const time =
+    schedule.recurrence !== "HOURLY" && schedule.localTime
+      ? schedule.localTime.replace(/:/g, "")
+      : local.format("HHmmss");
+  return `${local.format("YYYYMMDD")}T${time}`;
+}
+
+// Occurrences left from the pending one on, when a count limits them
+function remainingCount(schedule) {
+  if (!schedule.recurrenceCount) return null;
+  const left = schedule.recurrenceCount - (schedule.occurrenceCount || 0);
+  if (!schedule.recurrenceUntil) return left;
+  // Both limits set: whichever ends the series first
+  const until = new Date(new Date(schedule.recurrenceUntil).getTime() + 1);
+  return listOccurrences(schedule, until, Math.max(1, left)).length;
+}
+
+function buildRRule(schedule) {
+  if (!schedule.recurrence || schedule.recurrence === "NONE") return null;
+
+  const interval = Math.max(1, schedule.recurrenceInterval || 1);
+  const parts = [];
+  switch (schedule.recurrence) {
+    case "HOURLY":
+      parts.push("FREQ=HOURLY", `INTERVAL=${interval}`);
+      break;
+    case "DAILY":
+      parts.push("FREQ=DAILY", `INTERVAL=${interval}`);
+      break;
+    case "WEEKDAYS":
+      parts.push("FREQ=WEEKLY", "BYDAY=MO,TU,WE,TH,FR");
+      break;
+    case "WEEKLY": {
+      parts.push("FREQ=WEEKLY", `INTERVAL=${interval}`);
+      const days = parseDays(schedule.recurrenceDays);
+      if (days.length) {
+        parts.push(
+          `BYDAY=${days
+            .map((d) => ICAL_DAYS[WEEKDAY_CODES.indexOf(d)])
+            .join(",")}`
+        );
+      }
+      break;
+    }
+    default:
+      return null;
+  }
+
+  // COUNT and UNTIL are exclusive
+  const count = remainingCount(schedule);
+  if (count != null) {
+    parts.push(`COUNT=${Math.max(1, count)}`);
+  } else if (schedule.recurrenceUntil) {
+    parts.push(`UNTIL=${formatUtc(schedule.recurrenceUntil)}`);
+  }
+  return parts.join(";");
+}
+
+/**
+ * Render schedules as an iCalendar (RFC 5545) document, one VEVENT per
+ * schedule starting at its pending occurrence, with an RRULE for recurring
+ * ones. Times carry the station's TZID so calendar tools keep shows at the
+ * same wall-clock time across DST switches.
+ *
+ * `schedules` rows need `playlist.title`; `durations` maps schedule ids to
+ * the event length in seconds (events without one have no end).
+ */
+export function renderSchedulesCalendar(
+  schedules,
+  { name = "Starplayer", durations = new Map(), now = new Date() } = {}
+) {
+  const tz = getStationTimezone();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${tz}`,
+  ];
+
+  for (const schedule of schedules) {
+    const durationSeconds = durations.get(schedule.id);
+    const title = schedule.playlist?.title || `PL${schedule.playlistId}`;
+    const rrule = buildRRule(schedule);
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:schedule-${schedule.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART;TZID=${tz}:${formatStart(schedule, tz)}`,
+      ...(durationSeconds > 0
+        ? [`DURATION:${formatDuration(durationSeconds)}`]
+        : []),
+      ...(rrule ? [`RRULE:${rrule}`] : []),
+      `SUMMARY:${escapeText(title)}`,
+      `DESCRIPTION:${escapeText(
+        `Playlist #${schedule.playlistId} on ${schedule.output}, priority ${schedule.priority}`
+      )}`,
+      `X-STARPLAYER-SCHEDULE-ID:${schedule.id}`,
+      `X-STARPLAYER-PLAYLIST-ID:${schedule.playlistId}`,
+      `X-STARPLAYER-OUTPUT:${escapeText(schedule.output)}`,
+      `X-STARPLAYER-PRIORITY:${schedule.priority}`,
+      ...(schedule.hardEnd ? ["X-STARPLAYER-HARD-END:TRUE"] : []),
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/* ───────────────────────── Parsing ───────────────────────── */
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, c) =>
+    c === "n" || c === "N" ? "\n" : c
+  );
+}
+
+// "DTSTART;TZID=Europe/Prague:20261019T200000" →
+// { name, params: { TZID }, value }
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf("=");
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param
+        .slice(eq + 1)
+        .replace(/^"|"$/g, "");
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * DATE or DATE-TIME value → { date, allDay }. UTC ("Z") and TZID times are
+ * absolute; floating times are read in the station's zone, as are TZIDs
+ * this server doesn't know (e.g. Windows zone names).
+ */
+function parseDateValue(value, params = {}) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    String(value).trim()
+  );
+  if (!m) throw new Error(`Invalid date: ${value}`);
+
+  const [, y, mo, d, h = "00", mi = "00", s = "00", z] = m;
+  const iso = `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+  const allDay = params.VALUE === "DATE" || m[4] === undefined;
+  if (z) return { date: dayjs.utc(iso).toDate(), allDay };
+
+  const tz = isValidTimezone(params.TZID) ? params.TZID : getStationTimezone();
+  return { date: dayjs.tz(iso, tz).toDate(), allDay };
+}
+
+// "P1DT2H30M" / "PT45M" / "P1W" → seconds
+function parseDuration(value) {
+  const m =
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      String(value).trim()
+    );
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  const seconds =
+    Number(w) * 604800 +
+    Number(d) * 86400 +
+    Number(h) * 3600 +
+    Number(mi) * 60 +
+    Number(s);
+  return sign === "-" ? -seconds : seconds;
+}
+
+/**
+ * RRULE value → a rule for normalizeRecurrenceFromBody. Throws when the
+ * rule can't be expressed as a schedule recurrence (monthly, "first
+ * Monday", by-hour lists, ...).
+ */
+export function recurrenceFromRRule(value) {
+  const rule = {};
+  for (const part of String(value).split(";")) {
+    const [key, val] = part.split("=");
+    if (key) rule[key.toUpperCase()] = val ?? "";
+  }
+
+  const unsupported = UNSUPPORTED_RRULE_PARTS.filter((p) => p in rule);
+  if (unsupported.length) {
+    throw new Error(`Unsupported recurrence (${unsupported.join(", ")})`);
+  }
+
+  const interval = rule.INTERVAL ? parseInt(rule.INTERVAL, 10) : 1;
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.toUpperCase().split(",").filter(Boolean)
+    : [];
+  if (byDay.some((d) => !ICAL_DAYS.includes(d))) {
+    throw new Error(`Unsupported recurrence days: ${rule.BYDAY}`);
+  }
+  const days = byDay.map((d) => WEEKDAY_CODES[ICAL_DAYS.indexOf(d)]);
+
+  // A date-only UNTIL includes that whole day
+  const until = /^\d{8}$/.test(rule.UNTIL || "")
+    ? `${rule.UNTIL}T235959`
+    : rule.UNTIL;
+  const limits = {
+    ...(until && { until: parseDateValue(until).date }),
+    ...(rule.COUNT && { count: rule.COUNT }),
+  };
+
+  const freq = String(rule.FREQ || "").toUpperCase();
+  if (freq === "HOURLY" && !days.length) {
+    return { frequency: "HOURLY", interval, ...limits };
+  }
+  if (freq === "DAILY" && !days.length) {
+    return { frequency: "DAILY", interval, ...limits };
+  }
+  // Daily limited to some weekdays is a weekly rule on those days
+  if (freq === "WEEKLY" || (freq === "DAILY" && interval === 1)) {
+    const isWorkweek =
+      interval === 1 &&
+      days.length === WORKWEEK.length &&
+      WORKWEEK.every((d) => days.includes(d));
+    if (isWorkweek) return { frequency: "WEEKDAYS", ...limits };
+    return {
+      frequency: "WEEKLY",
+      interval: freq === "WEEKLY" ? interval : 1,
+      days,
+      ...limits,
+    };
+  }
+  throw new Error(`Unsupported recurrence frequency: ${rule.FREQ || "none"}`);
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document.
+ *
+ * Returns [{ uid, summary, description, start, allDay, durationSeconds,
+ * rrule, recurrenceId, status, exdates, x }] where `x` holds the event's
+ * X- properties by name. Invalid dates are reported as `error`.
+ * Throws when the text isn't an iCalendar document.
+ */
+export function parseCalendarEvents(text) {
+  const source = String(text || "");
+  if (!/BEGIN:VCALENDAR/i.test(source)) {
+    throw new Error("Not an iCalendar file (BEGIN:VCALENDAR missing)");
+  }
+
+  const lines = source
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(Boolean);
+
+  const events = [];
+  let event = null;
+  let nested = 0; // VALARM and other components inside a VEVENT
+
+  for (const raw of lines) {
+    const line = parseContentLine(raw);
+    if (!line) continue;
+    const { name, params, value } = line;
+
+    if (name === "BEGIN") {
+      if (event) nested += 1;
+      else if (value.toUpperCase() === "VEVENT") {
+        event = { props: {}, x: {}, exdates: [] };
+      }
+      continue;
+    }
+    if (name === "END") {
+      if (event && nested) nested -= 1;
+      else if (event && value.toUpperCase() === "VEVENT") {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+    if (!event || nested) continue;
+
+    if (name === "EXDATE") event.exdates.push(value);
+    else if (name.startsWith("X-")) event.x[name] = unescapeText(value);
+    else event.props[name] = { params, value };
+  }
+
+  return events.map(({ props, x, exdates }) => {
+    const text = (key) =>
+      props[key] ? unescapeText(props[key].value).trim() : null;
+    const parsed = {
+      uid: text("UID"),
+      summary: text("SUMMARY"),
+      description: text("DESCRIPTION"),
+      start: null,
+      allDay: false,
+      durationSeconds: null,
+      rrule: props.RRULE?.value || null,
+      recurrenceId: props["RECURRENCE-ID"]?.value || null,
+      status: text("STATUS")?.toUpperCase() || null,
+      exdates,
+      x,
+      error: null,
+    };
+
+    try {
+      if (!props.DTSTART) throw new Error("Event has no DTSTART");
+      const start = parseDateValue(props.DTSTART.value, props.DTSTART.params);
+      parsed.start = start.date;
+      parsed.allDay = start.allDay;
+
+      if (props.DURATION) {
+        parsed.durationSeconds = parseDuration(props.DURATION.value);
+      } else if (props.DTEND) {
+        const end = parseDateValue(props.DTEND.value, props.DTEND.params);
+        parsed.durationSeconds = Math.round((end.date - start.date) / 1000);
+      }
+    } catch (e) {
+      parsed.error = e.message;
+    }
+    return parsed;
+  });
+}
@@ -0,0 +1,74 @@
+// src/services/missedSchedules.js
+import { cfg } from "../config/config.js";
+
+export const MISSED_POLICIES = [
+  "SKIP",
+  "PLAY_LATE",
+  "JOIN_IN_PROGRESS",
+  "LATEST_ONLY",
+];
+
+/**
+ * Normalize a schedule's missed-event policy from request body.
+ *
+ * Accepts:
+ *   - undefined → null (leave untouched)
+ *   - null      → back to the global default (cfg.scheduler.missed)
+ *   - "SKIP" | { policy?, graceMinutes? }
+ *
+ * Returns the Schedule columns to write, or null. Throws on invalid input.
+ */
+export function normalizeMissedPolicyFromBody(raw) {
+  if (raw === undefined) return null;
+  if (raw === null) return { missedPolicy: null, missedGraceMinutes: null };
+
+  const opts = typeof raw === "string" ? { policy: raw } : raw;
+  if (!opts || typeof opts !== "object") {
+    throw new Error("Invalid missed policy");
+  }
+
+  const data = {};
+  if (opts.policy !== undefined) {
+    const policy = opts.policy === null ? null : String(opts.policy);
+    if (policy !== null && !MISSED_POLICIES.includes(policy.toUpperCase())) {
+      throw new Error(`Invalid missed policy: ${opts.policy}`);
+    }
+    data.missedPolicy = policy && policy.toUpperCase();
+  }
+
+  if (opts.graceMinutes !== undefined) {
+    if (opts.graceMinutes === null || opts.graceMinutes === "") {
+      data.missedGraceMinutes = null;
+    } else {
+      const minutes = parseInt(opts.graceMinutes, 10);
+      if (Number.isNaN(minutes) || minutes < 0) {
+        throw new Error("graceMinutes must be a non-negative integer");
+      }
+      data.missedGraceMinutes = minutes;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Policy in effect for a schedule: its own, else the global default.
+ * Returns { policy, graceMinutes }.
+ */
+export function missedPolicyFor(schedule) {
+  return {
+    policy: schedule?.missedPolicy || cfg.scheduler.missed.policy,
+    graceMinutes:
+      schedule?.missedGraceMinutes ?? cfg.scheduler.missed.graceMinutes,
+  };
+}
+
+/**
+ * Client-facing view: the policy in effect and whether it is the default.
+ */
+export function serializeMissedPolicy(schedule) {
+  return {
+    ...missedPolicyFor(schedule),
+    isDefault: !schedule?.missedPolicy && schedule?.missedGraceMinutes == null,
+  };
+}
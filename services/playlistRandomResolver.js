@@ -1,16 +1,45 @@
 // src/services/playlistRandomResolver.js
 import { prisma } from "./prisma.js";
+import {
+  WEIGHTED_CATEGORY,
+  randomCriteriaWhere,
+  serializeRandomCriteria,
+} from "./randomCriteria.js";
+import { createRotationContext } from "./rotation.js";
+import { createSeparationContext } from "./separation.js";
+import { evaluateSmartPlaylist } from "./smartPlaylists.js";
 
 /**
  * Pick a random Media of given MediaType (SONG/JINGLE/SPOT),
  * excluding already used mediaIds (no reuse within single playlist).
- * No fallback to other types.
+ * `criteria` (see serializeRandomCriteria) narrows the candidates further.
+ * No fallback to other types or looser criteria.
+ *
+ * With a `separation` context (see createSeparationContext) the pick also
+ * keeps the station's artist/title separation rules, relaxing them only
+ * when nothing else is left.
+ *
+ * A `criteria.category` makes it a rotation pick instead: the least
+ * recently played track of that category (or, for "WEIGHTED", of the most
+ * overdue category that has one), counted in `rotation` (see
+ * createRotationContext; a throwaway one when not given).
  */
-async function pickRandomMediaByType(type, excludeIds = []) {
-  const where =
-    excludeIds.length > 0
-      ? { type, NOT: { id: { in: excludeIds } } }
-      : { type };
+export async function pickRandomMediaByType(
+  type,
+  excludeIds = [],
+  criteria = null,
+  { separation = null, rotation = null } = {}
+) {
+  const where = { type, ...randomCriteriaWhere(criteria) };
+  if (excludeIds.length > 0) where.NOT = { id: { in: excludeIds } };
+
+  if (criteria?.category != null) {
+    return pickFromRotation(type, where, criteria.category, {
+      separation,
+      rotation: rotation || (await createRotationContext({ persist: false })),
+    });
+  }
+  if (separation) return pickSeparated(type, where, separation);
 
   const total = await prisma.media.count({ where });
 
@@ -27,6 +56,52 @@ async function pickRandomMediaByType(type, excludeIds = []) {
   return result || null;
 }
 
+function separate(type, rows, separation) {
+  if (!separation) return rows;
+  const { candidates, relaxed } = separation.filter(rows);
+  if (candidates.length && relaxed.length) {
+    console.log(
+      `[Separation] No ${type} fits every rule; relaxed: ${relaxed.join(", ")}`
+    );
+  }
+  return candidates;
+}
+
+async function pickSeparated(type, where, separation) {
+  const rows = await prisma.media.findMany({
+    where,
+    select: { id: true, author: true, title: true },
+  });
+  const candidates = separate(type, rows, separation);
+  if (!candidates.length) return null;
+
+  const pick = candidates[Math.floor(Math.random() * candidates.length)];
+  return prisma.media.findUnique({ where: { id: pick.id } });
+}
+
+async function pickFromRotation(type, where, category, options) {
+  const { separation, rotation } = options;
+  const categoryIds =
+    category === WEIGHTED_CATEGORY
+      ? rotation.categoryOrder().map((c) => c.id)
+      : [category];
+
+  for (const categoryId of categoryIds) {
+    const rows = await prisma.media.findMany({
+      where: { ...where, rotationCategoryId: categoryId },
+      select: { id: true, author: true, title: true, rotationPickedAt: true },
+    });
+    const pick = await rotation.leastRecentlyPlayed(
+      separate(type, rows, separation)
+    );
+    if (!pick) continue;
+
+    await rotation.record(categoryId, pick.id);
+    return prisma.media.findUnique({ where: { id: pick.id } });
+  }
+  return null;
+}
+
 /**
  * Resolve a Playlist (including RANDOM slots) into an ordered list of
  * "playable" items for a single run of that playlist.
@@ -35,15 +110,27 @@ async function pickRandomMediaByType(type, excludeIds = []) {
  *   {
  *     playlistId,
  *     playlistItemId,
- *     kind: "FIXED"|"RANDOM",
+ *     kind: "FIXED"|"RANDOM"|"SMART",
  *     randomType: "SONG"|"JINGLE"|"SPOT"|null,
+ *     criteria: object|null,   (RANDOM slots, see serializeRandomCriteria)
  *     media: Media
  *   }
  *
  * NOTE: RANDOM items are resolved fresh on each call, so if a playlist
  * is used multiple times in schedules, it will produce different songs.
+ *
+ * RANDOM picks keep the station's separation rules against the History
+ * before `at` (when the playlist is to air, default now) and the items
+ * queued ahead of them. Rotation picks move their categories on; with
+ * `persist: false` (previews) that is not saved.
+ *
+ * A smart playlist resolves to its filter's current result, as SMART items
+ * without a playlistItemId.
  */
-export async function resolvePlaylistForSchedule(playlistId) {
+export async function resolvePlaylistForSchedule(
+  playlistId,
+  { at = new Date(), persist = true } = {}
+) {
   const playlist = await prisma.playlist.findUnique({
     where: { id: playlistId },
     include: {
@@ -58,20 +145,37 @@ export async function resolvePlaylistForSchedule(playlistId) {
     throw new Error(`Playlist not found for id=${playlistId}`);
   }
 
+  if (playlist.smart) {
+    const media = await evaluateSmartPlaylist(playlist, { at });
+    return media.map((m) => ({
+      playlistId: playlist.id,
+      playlistItemId: null,
+      kind: "SMART",
+      randomType: null,
+      criteria: null,
+      media: m,
+    }));
+  }
+
   const usedMediaIds = new Set(
     (playlist.playlistItems || [])
       .filter((item) => item.mediaId)
       .map((item) => item.mediaId)
   );
   const resolved = [];
+  const separation = await createSeparationContext({ at });
+  const rotation = await createRotationContext({ at, persist });
 
   for (const item of playlist.playlistItems) {
     if (item.kind === "RANDOM" || (!item.media && item.randomType)) {
-      const randomType = "SONG";
+      const randomType = item.randomType || "SONG";
+      const criteria = serializeRandomCriteria(item);
 
       const media = await pickRandomMediaByType(
         randomType,
-        Array.from(usedMediaIds)
+        Array.from(usedMediaIds),
+        criteria,
+        { separation, rotation }
       );
 
       if (!media) {
@@ -82,23 +186,27 @@ export async function resolvePlaylistForSchedule(playlistId) {
       }
 
       usedMediaIds.add(media.id);
+      separation.add(media);
 
       resolved.push({
         playlistId: playlist.id,
         playlistItemId: item.id,
         kind: "RANDOM",
         randomType,
+        criteria,
         media,
       });
     } else if (item.media) {
       const media = item.media;
       usedMediaIds.add(media.id);
+      separation.add(media);
 
       resolved.push({
         playlistId: playlist.id,
         playlistItemId: item.id,
         kind: item.kind || "FIXED",
         randomType: null,
+        criteria: null,
         media,
       });
     }
@@ -0,0 +1,190 @@
+// src/services/randomCriteria.js
+export const LANGUAGES = ["ENGLISH", "ITALIAN", "SPANISH", "OTHER"];
+
+// `category` value for a pick from whichever category is due by weight
+export const WEIGHTED_CATEGORY = "WEIGHTED";
+
+// Client key → PlaylistItem column
+const COLUMNS = {
+  language: "randomLanguage",
+  yearFrom: "randomYearFrom",
+  yearTo: "randomYearTo",
+  bpmMin: "randomBpmMin",
+  bpmMax: "randomBpmMax",
+  durationMin: "randomDurationMin",
+  durationMax: "randomDurationMax",
+  uploadedWithinDays: "randomUploadedWithinDays",
+  uploadedFrom: "randomUploadedFrom",
+  uploadedTo: "randomUploadedTo",
+};
+
+// Pairs that must not be reversed
+const RANGES = [
+  ["yearFrom", "yearTo"],
+  ["bpmMin", "bpmMax"],
+  ["durationMin", "durationMax"],
+  ["uploadedFrom", "uploadedTo"],
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyCriteria() {
+  return {
+    ...Object.fromEntries(Object.values(COLUMNS).map((col) => [col, null])),
+    randomCategoryId: null,
+    randomCategoryWeighted: false,
+  };
+}
+
+function parseCategory(value, label) {
+  if (value === undefined || value === null || value === "") return {};
+  if (String(value).toUpperCase() === WEIGHTED_CATEGORY) {
+    return { randomCategoryWeighted: true };
+  }
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new Error(`${label}: invalid category ${value}`);
+  }
+  return { randomCategoryId: id };
+}
+
+function parseCount(value, key, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${label}: ${key} must be a non-negative integer`);
+  }
+  return n;
+}
+
+function parseDate(value, key, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${label}: invalid ${key}`);
+  }
+  return date;
+}
+
+/**
+ * Normalize the criteria a playlist item's RANDOM picks must match.
+ *
+ * Accepts undefined/null (any media of the slot's type) or
+ *   { language?, yearFrom?, yearTo?, bpmMin?, bpmMax?,
+ *     durationMin?, durationMax?,           (seconds)
+ *     uploadedWithinDays?, uploadedFrom?, uploadedTo?,
+ *     category? }   (rotation category id, or "WEIGHTED")
+ * Ranges are inclusive and may be open on either side.
+ *
+ * Returns the PlaylistItem columns to write, all unset when not given.
+ * Throws on invalid input.
+ */
+export function normalizeRandomCriteria(raw, index) {
+  return normalizeMediaFilter(raw, `criteria for playlist item ${index}`);
+}
+
+/**
+ * Same as normalizeRandomCriteria, with `label` naming the filter in error
+ * messages.
+ */
+export function normalizeMediaFilter(raw, label) {
+  const data = emptyCriteria();
+  if (raw === undefined || raw === null) return data;
+
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Invalid ${label}`);
+  }
+  const unknown = Object.keys(raw).filter(
+    (key) => !(key in COLUMNS) && key !== "category"
+  );
+  if (unknown.length) {
+    throw new Error(`${label}: unknown ${unknown.join(", ")}`);
+  }
+
+  if (raw.language != null && raw.language !== "") {
+    const language = String(raw.language).toUpperCase();
+    if (!LANGUAGES.includes(language)) {
+      throw new Error(`${label}: invalid language ${raw.language}`);
+    }
+    data.randomLanguage = language;
+  }
+
+  for (const key of [
+    "yearFrom",
+    "yearTo",
+    "bpmMin",
+    "bpmMax",
+    "durationMin",
+    "durationMax",
+    "uploadedWithinDays",
+  ]) {
+    data[COLUMNS[key]] = parseCount(raw[key], key, label);
+  }
+  data.randomUploadedFrom = parseDate(raw.uploadedFrom, "uploadedFrom", label);
+  data.randomUploadedTo = parseDate(raw.uploadedTo, "uploadedTo", label);
+  Object.assign(data, parseCategory(raw.category, label));
+
+  for (const [low, high] of RANGES) {
+    const from = data[COLUMNS[low]];
+    const to = data[COLUMNS[high]];
+    if (from !== null && to !== null && from > to) {
+      throw new Error(`${label}: ${low} is after ${high}`);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Client-facing view of a playlist item's criteria (same keys as accepted
+ * by normalizeRandomCriteria, unset ones null), or null when it has none.
+ */
+export function serializeRandomCriteria(row) {
+  if (!row) return null;
+  const entries = Object.entries(COLUMNS).map(([key, col]) => [
+    key,
+    row[col] ?? null,
+  ]);
+  entries.push([
+    "category",
+    row.randomCategoryWeighted
+      ? WEIGHTED_CATEGORY
+      : row.randomCategoryId ?? null,
+  ]);
+  if (entries.every(([, value]) => value === null)) return null;
+  return Object.fromEntries(entries);
+}
+
+function range(min, max) {
+  if (min == null && max == null) return null;
+  return { ...(min != null && { gte: min }), ...(max != null && { lte: max }) };
+}
+
+/**
+ * Prisma `where` on Media for serialized criteria. `uploadedWithinDays`
+ * counts back from `now`. Media without a BPM never match a BPM range.
+ * `category` is not part of it; the resolver picks within the category.
+ */
+export function randomCriteriaWhere(criteria, now = new Date()) {
+  if (!criteria) return {};
+
+  const toDate = (value) => (value == null ? null : new Date(value));
+  let uploadedFrom = toDate(criteria.uploadedFrom);
+  if (criteria.uploadedWithinDays != null) {
+    const windowStart = new Date(
+      now.getTime() - criteria.uploadedWithinDays * DAY_MS
+    );
+    if (!uploadedFrom || windowStart > uploadedFrom) uploadedFrom = windowStart;
+  }
+
+  const where = {
+    language: criteria.language || null,
+    year: range(criteria.yearFrom, criteria.yearTo),
+    bpm: range(criteria.bpmMin, criteria.bpmMax),
+    duration: range(criteria.durationMin, criteria.durationMax),
+    uploadDate: range(uploadedFrom, toDate(criteria.uploadedTo)),
+  };
+  return Object.fromEntries(
+    Object.entries(where).filter(([, value]) => value !== null)
+  );
+}
@@ -0,0 +1,259 @@
+// src/services/recurrence.js
+import dayjs from "dayjs";
+import {
+  fromWallClock,
+  parseStationDateTime,
+  toWallClock,
+} from "./stationTime.js";
+
+export const RECURRENCE_FREQUENCIES = [
+  "NONE",
+  "DAILY",
+  "WEEKDAYS",
+  "WEEKLY",
+  "HOURLY",
+];
+
+export const WEEKDAY_CODES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// Guard against runaway loops when catching up on very old schedules.
+const MAX_STEPS = 100000;
+
+/**
+ * Parse "MON,WED" or ["mon", "wed"] into upper-case three-letter day codes.
+ */
+export function parseDays(days) {
+  if (!days) return [];
+  const list = Array.isArray(days) ? days : String(days).split(",");
+  return list
+    .map((d) => String(d).trim().toUpperCase().slice(0, 3))
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a recurrence rule from request body.
+ *
+ * Accepts:
+ *   - undefined            → null (leave recurrence untouched)
+ *   - null | "NONE"        → clears recurrence
+ *   - "DAILY" | "WEEKDAYS" | "WEEKLY" | "HOURLY" (shorthand, interval 1)
+ *   - { frequency, interval?, days?, until?, count? }
+ *     (WEEKDAYS takes no interval)
+ *
+ * Returns the Schedule columns to write, or null.
+ * Throws on invalid input (callers map this to a 400).
+ */
+export function normalizeRecurrenceFromBody(raw) {
+  if (raw === undefined) return null;
+
+  const rule =
+    raw === null
+      ? { frequency: "NONE" }
+      : typeof raw === "string"
+      ? { frequency: raw }
+      : raw;
+
+  const frequency = String(rule.frequency || rule.freq || "NONE").toUpperCase();
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Invalid recurrence frequency: ${rule.frequency}`);
+  }
+
+  if (frequency === "NONE") {
+    return {
+      recurrence: "NONE",
+      recurrenceInterval: 1,
+      recurrenceDays: null,
+      recurrenceUntil: null,
+      recurrenceCount: null,
+      occurrenceCount: 0,
+    };
+  }
+
+  const interval =
+    rule.interval === undefined || rule.interval === null
+      ? 1
+      : parseInt(rule.interval, 10);
+  if (Number.isNaN(interval) || interval < 1) {
+    throw new Error("Recurrence interval must be a positive integer");
+  }
+  // Every other week's workdays is a WEEKLY rule with days MON..FRI
+  if (frequency === "WEEKDAYS" && interval > 1) {
+    throw new Error(
+      "WEEKDAYS recurrence has no interval; use WEEKLY with days instead"
+    );
+  }
+
+  let recurrenceDays = null;
+  if (frequency === "WEEKLY") {
+    const days = parseDays(rule.days);
+    const invalid = days.filter((d) => !WEEKDAY_CODES.includes(d));
+    if (invalid.length) {
+      throw new Error(`Invalid recurrence day(s): ${invalid.join(", ")}`);
+    }
+    recurrenceDays = days.length
+      ? WEEKDAY_CODES.filter((d) => days.includes(d)).join(",")
+      : null;
+  }
+
+  let recurrenceUntil = null;
+  if (rule.until !== undefined && rule.until !== null && rule.until !== "") {
+    recurrenceUntil = parseStationDateTime(rule.until);
+    if (Number.isNaN(recurrenceUntil.getTime())) {
+      throw new Error("Invalid recurrence end date");
+    }
+  }
+
+  let recurrenceCount = null;
+  if (rule.count !== undefined && rule.count !== null && rule.count !== "") {
+    recurrenceCount = parseInt(rule.count, 10);
+    if (Number.isNaN(recurrenceCount) || recurrenceCount < 1) {
+      throw new Error("Recurrence count must be a positive integer");
+    }
+  }
+
+  return {
+    recurrence: frequency,
+    recurrenceInterval: interval,
+    recurrenceDays,
+    recurrenceUntil,
+    recurrenceCount,
+    occurrenceCount: 0,
+  };
+}
+
+export function isRecurring(schedule) {
+  return !!schedule?.recurrence && schedule.recurrence !== "NONE";
+}
+
+/**
+ * Client-facing view of a schedule's recurrence rule (null for one-shot).
+ */
+export function serializeRecurrence(schedule) {
+  if (!isRecurring(schedule)) return null;
+  return {
+    frequency: schedule.recurrence,
+    interval: schedule.recurrenceInterval,
+    days: schedule.recurrenceDays ? schedule.recurrenceDays.split(",") : [],
+    until: schedule.recurrenceUntil,
+    count: schedule.recurrenceCount,
+    occurrenceCount: schedule.occurrenceCount,
+  };
+}
+
+/**
+ * Occurrence immediately following `current` for the given rule,
+ * ignoring end date / count limits.
+ *
+ * Hourly steps are elapsed time, so a DST switch neither skips nor repeats
+ * an occurrence. Everything else steps the station's calendar and airs at
+ * the same wall-clock time (`schedule.localTime` when set) in any season.
+ */
+function stepOccurrence(schedule, current) {
+  const interval = Math.max(1, schedule.recurrenceInterval || 1);
+  if (schedule.recurrence === "HOURLY") {
+    return dayjs(current).add(interval, "hour");
+  }
+
+  const next = stepWallClock(schedule, toWallClock(current), interval);
+  if (!next) return null;
+
+  const wall = schedule.localTime
+    ? dayjs.utc(`${next.format("YYYY-MM-DD")}T${schedule.localTime}`)
+    : next;
+  return dayjs(fromWallClock(wall.isValid() ? wall : next));
+}
+
+// Calendar step on a zone-less wall-clock dayjs (see toWallClock)
+function stepWallClock(schedule, cur, interval) {
+  switch (schedule.recurrence) {
+    case "DAILY":
+      return cur.add(interval, "day");
+    case "WEEKDAYS": {
+      let next = cur.add(1, "day");
+      while (next.day() === 0 || next.day() === 6) next = next.add(1, "day");
+      return next;
+    }
+    case "WEEKLY": {
+      const days = parseDays(schedule.recurrenceDays);
+      const allowed = days.length
+        ? days.map((d) => WEEKDAY_CODES.indexOf(d))
+        : [cur.day()];
+      const weekStart = cur.startOf("day").subtract(cur.day(), "day");
+
+      // Remaining days in this week, then the matching days `interval` weeks on.
+      for (let offset = 1; offset <= 7 * interval + 7; offset++) {
+        const candidate = cur.add(offset, "day");
+        const weeks = Math.round(
+          candidate
+            .startOf("day")
+            .subtract(candidate.day(), "day")
+            .diff(weekStart, "day") / 7
+        );
+        if (weeks !== 0 && weeks !== interval) continue;
+        if (allowed.includes(candidate.day())) return candidate;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compute the next occurrence of a recurring schedule strictly after `after`,
+ * counting the occurrence that just aired. Returns null when the schedule
+ * is one-shot or its end date / count has been reached.
+ */
+export function getNextOccurrence(schedule, after = new Date()) {
+  if (!isRecurring(schedule)) return null;
+
+  const aired = (schedule.occurrenceCount || 0) + 1;
+  if (schedule.recurrenceCount && aired >= schedule.recurrenceCount) {
+    return null;
+  }
+
+  const limit = dayjs(after);
+  let next = dayjs(schedule.datetime);
+  let steps = 0;
+
+  do {
+    next = stepOccurrence(schedule, next);
+    steps += 1;
+  } while (next && !next.isAfter(limit) && steps < MAX_STEPS);
+
+  if (!next || !next.isAfter(limit)) return null;
+  if (
+    schedule.recurrenceUntil &&
+    next.isAfter(dayjs(schedule.recurrenceUntil))
+  ) {
+    return null;
+  }
+
+  return next.toDate();
+}
+
+/**
+ * Occurrences of a schedule from its pending `datetime` up to (excluding)
+ * `to`, at most `limit` of them. One-shot schedules yield their datetime.
+ */
+export function listOccurrences(schedule, to, limit = 500) {
+  const occurrences = [];
+  let occurrenceAt = new Date(schedule.datetime);
+
+  while (occurrenceAt && occurrenceAt < to && occurrences.length < limit) {
+    occurrences.push(occurrenceAt);
+    if (!isRecurring(schedule)) break;
+
+    occurrenceAt = getNextOccurrence(
+      {
+        ...schedule,
+        datetime: occurrenceAt,
+        occurrenceCount:
+          (schedule.occurrenceCount || 0) + occurrences.length - 1,
+      },
+      occurrenceAt
+    );
+  }
+
+  return occurrences;
+}
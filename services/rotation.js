@@ -0,0 +1,141 @@
+// src/services/rotation.js
+import { prisma } from "./prisma.js";
+
+/**
+ * Normalize a rotation category from request body: { name, weight? }.
+ * `partial` allows omitting fields (update). Throws on invalid input.
+ */
+export function normalizeRotationCategoryFromBody(
+  body,
+  { partial = false } = {}
+) {
+  const { name, weight } = body || {};
+  const data = {};
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== "string" || !name.trim()) {
+      throw new Error("Category name is required");
+    }
+    data.name = name.trim();
+  }
+
+  if (weight !== undefined) {
+    const w = Number(weight);
+    if (!Number.isInteger(w) || w < 0) {
+      throw new Error("weight must be a non-negative integer");
+    }
+    data.weight = w;
+  }
+
+  return data;
+}
+
+/**
+ * Client-facing view; `totalWeight` turns the weight into a share (%) of
+ * weighted picks.
+ */
+export function serializeRotationCategory(category, totalWeight = 0) {
+  return {
+    id: category.id,
+    name: category.name,
+    weight: category.weight,
+    share: totalWeight
+      ? Math.round((category.weight / totalWeight) * 1000) / 10
+      : 0,
+    mediaCount: category._count?.media ?? null,
+    pickCount: category.pickCount,
+    lastPickedAt: category.lastPickedAt,
+    createdAt: category.createdAt,
+    updatedAt: category.updatedAt,
+  };
+}
+
+function randomOf(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Rotation state for one resolution airing at `at`. Picks are counted in
+ * memory so several slots of the same resolution rotate too; with
+ * `persist` they are also written back (category counters and the track's
+ * rotationPickedAt), which is what makes later resolutions move on.
+ *
+ * Returns { categoryOrder(), leastRecentlyPlayed(rows), record(...) }.
+ */
+export async function createRotationContext({
+  at = new Date(),
+  persist = true,
+} = {}) {
+  const pickedAt = new Date(at);
+  const categories = await prisma.rotationCategory.findMany({
+    orderBy: { id: "asc" },
+  });
+  const state = new Map(
+    categories.map((c) => [
+      c.id,
+      { pickCount: c.pickCount, lastPickedAt: c.lastPickedAt },
+    ])
+  );
+  const picked = new Map(); // mediaId → pickedAt, this resolution only
+
+  return {
+    /**
+     * Categories with a weight, the most overdue first: fewest picks per
+     * unit of weight, then the longest since their last pick.
+     */
+    categoryOrder() {
+      const due = (c) => (state.get(c.id).pickCount + 1) / c.weight;
+      const last = (c) => state.get(c.id).lastPickedAt?.getTime() ?? 0;
+      return categories
+        .filter((c) => c.weight > 0)
+        .sort((a, b) => due(a) - due(b) || last(a) - last(b) || a.id - b.id);
+    },
+
+    /**
+     * The row played (or rotation-picked) longest ago, never played ones
+     * first; ties are broken at random. Rows need `id`, `rotationPickedAt`.
+     */
+    async leastRecentlyPlayed(rows) {
+      if (!rows.length) return null;
+      const plays = await prisma.history.groupBy({
+        by: ["mediaId"],
+        where: { mediaId: { in: rows.map((r) => r.id) } },
+        _max: { datetime: true },
+      });
+      const lastPlayed = new Map(
+        plays.map((p) => [p.mediaId, p._max.datetime])
+      );
+
+      const lastOf = (row) =>
+        Math.max(
+          lastPlayed.get(row.id)?.getTime() ?? 0,
+          row.rotationPickedAt ? new Date(row.rotationPickedAt).getTime() : 0,
+          picked.get(row.id) ?? 0
+        );
+      const oldest = Math.min(...rows.map(lastOf));
+      return randomOf(rows.filter((row) => lastOf(row) === oldest));
+    },
+
+    /** Count a pick of `mediaId` from `categoryId`. */
+    async record(categoryId, mediaId) {
+      const current = state.get(categoryId);
+      if (current) {
+        current.pickCount += 1;
+        current.lastPickedAt = pickedAt;
+      }
+      picked.set(mediaId, pickedAt.getTime());
+      if (!persist) return;
+
+      await prisma.$transaction([
+        prisma.rotationCategory.update({
+          where: { id: categoryId },
+          data: { pickCount: { increment: 1 }, lastPickedAt: pickedAt },
+        }),
+        prisma.media.update({
+          where: { id: mediaId },
+          data: { rotationPickedAt: pickedAt },
+        }),
+      ]);
+    },
+  };
+}
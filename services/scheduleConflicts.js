@@ -0,0 +1,162 @@
+// src/services/scheduleConflicts.js
+import { prisma } from "./prisma.js";
+import { listOccurrences } from "./recurrence.js";
+
+// How far ahead recurring schedules are checked against each other
+const CONFLICT_HORIZON_DAYS = 7;
+const MAX_OCCURRENCES = 500;
+
+/**
+ * Estimated airtime (seconds) of each playlist: FIXED items by their stored
+ * duration, RANDOM slots by the library's average duration for their type.
+ * Smart playlists count as their target duration, else as max items of
+ * average length.
+ */
+export async function estimatePlaylistDurations(playlistIds) {
+  const ids = Array.from(new Set(playlistIds.map(Number)));
+  const durations = new Map(ids.map((id) => [id, 0]));
+  if (!ids.length) return durations;
+
+  const [items, averages, smart] = await Promise.all([
+    prisma.playlistItem.findMany({
+      where: { playlistId: { in: ids } },
+      select: {
+        playlistId: true,
+        kind: true,
+        randomType: true,
+        media: { select: { duration: true } },
+      },
+    }),
+    prisma.media.groupBy({
+      by: ["type"],
+      _avg: { duration: true },
+    }),
+    prisma.playlist.findMany({
+      where: { id: { in: ids }, smart: true },
+      select: {
+        id: true,
+        smartFilter: true,
+        smartMaxItems: true,
+        smartTargetSeconds: true,
+      },
+    }),
+  ]);
+
+  const averageByType = new Map(
+    averages.map((a) => [a.type, Math.round(a._avg.duration || 0)])
+  );
+
+  for (const item of items) {
+    const seconds = item.media
+      ? item.media.duration || 0
+      : averageByType.get(item.randomType || "SONG") || 0;
+    durations.set(item.playlistId, durations.get(item.playlistId) + seconds);
+  }
+
+  for (const playlist of smart) {
+    const average = averageByType.get(playlist.smartFilter?.type || "SONG");
+    durations.set(
+      playlist.id,
+      playlist.smartTargetSeconds ||
+        (playlist.smartMaxItems || 0) * (average || 0)
+    );
+  }
+
+  return durations;
+}
+
+function occurrenceWindows(schedule, estimatedSeconds, to) {
+  const seconds =
+    schedule.hardEnd && schedule.durationSeconds
+      ? schedule.durationSeconds
+      : estimatedSeconds;
+
+  return listOccurrences(schedule, to, MAX_OCCURRENCES).map((start) => ({
+    start,
+    end: new Date(start.getTime() + seconds * 1000),
+  }));
+}
+
+// A hard-timed schedule without a fixed duration ends when the next one
+// starts, so it can't run into whatever follows it.
+function endsAtNext(schedule) {
+  return !!schedule.hardEnd && !schedule.durationSeconds;
+}
+
+/**
+ * Find pending schedules on the same output whose airtime overlaps
+ * `candidate` ({ id?, output, playlistId, datetime, recurrence...,
+ * hardEnd, durationSeconds }).
+ * Recurring schedules are compared occurrence by occurrence over the next
+ * CONFLICT_HORIZON_DAYS days.
+ *
+ * Returns [{ scheduleId, playlistId, playlistTitle, datetime, end,
+ *            occurrenceAt, overlapSeconds }], one entry per schedule.
+ */
+export async function findScheduleConflicts(candidate) {
+  const start = new Date(candidate.datetime);
+  const horizon = new Date(
+    start.getTime() + CONFLICT_HORIZON_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const others = await prisma.schedule.findMany({
+    where: {
+      archivedAt: null,
+      datetime: { lt: horizon },
+      output: candidate.output,
+      ...(candidate.id ? { id: { not: Number(candidate.id) } } : {}),
+    },
+    include: { playlist: { select: { title: true } } },
+  });
+
+  const durations = await estimatePlaylistDurations([
+    candidate.playlistId,
+    ...others.map((s) => s.playlistId),
+  ]);
+
+  const mine = occurrenceWindows(
+    candidate,
+    durations.get(Number(candidate.playlistId)) || 0,
+    horizon
+  );
+
+  const conflicts = [];
+  for (const other of others) {
+    const theirs = occurrenceWindows(
+      other,
+      durations.get(other.playlistId) || 0,
+      horizon
+    );
+
+    let found = null;
+    for (const a of mine) {
+      for (const b of theirs) {
+        // Whichever starts first must not run into the other
+        const sameStart = a.start.getTime() === b.start.getTime();
+        const [first, second, firstSchedule] =
+          a.start <= b.start ? [a, b, candidate] : [b, a, other];
+        if (!sameStart && endsAtNext(firstSchedule)) continue;
+
+        const overlapMs =
+          Math.min(first.end, second.end) - second.start.getTime();
+        if (overlapMs > 0 || sameStart) {
+          found = {
+            scheduleId: other.id,
+            playlistId: other.playlistId,
+            playlistTitle: other.playlist?.title || null,
+            datetime: b.start,
+            end: b.end,
+            occurrenceAt: a.start,
+            overlapSeconds: Math.round(Math.max(0, overlapMs) / 1000),
+          };
+          break;
+        }
+      }
+      if (found) break;
+    }
+
+    if (found) conflicts.push(found);
+  }
+
+  return conflicts.sort((x, y) => x.datetime - y.datetime);
+}
@@ -0,0 +1,171 @@
+// src/services/scheduleResolution.js
+import { resolvePlaylistForSchedule } from "./playlistRandomResolver.js";
+import { prisma } from "./prisma.js";
+import { serializeRandomCriteria } from "./randomCriteria.js";
+import { createRotationContext } from "./rotation.js";
+
+/**
+ * A lock is stale when the playlist was edited after it was taken, or its
+ * items no longer match the playlist's current items. Slots that had
+ * nothing to pick from are in the lock too (without a mediaId).
+ */
+function isLockCurrent(lock, playlist) {
+  if (!lock || lock.playlistId !== playlist.id) return false;
+  if (new Date(playlist.updatedAt) > new Date(lock.createdAt)) return false;
+
+  const lockedItemIds = new Set(
+    (lock.items || []).map((it) => it.playlistItemId)
+  );
+  return playlist.playlistItems.every((it) => lockedItemIds.has(it.id));
+}
+
+/**
+ * Move rotation categories on for the rotation picks of a lock taken
+ * without doing so (a preview), now that the occurrence airs.
+ */
+async function recordLockedRotation(resolved, occurrence) {
+  const picks = resolved.filter(
+    (r) =>
+      r.kind === "RANDOM" &&
+      r.criteria?.category != null &&
+      r.media.rotationCategoryId != null
+  );
+  if (!picks.length) return;
+
+  const rotation = await createRotationContext({ at: occurrence });
+  for (const { media } of picks) {
+    await rotation.record(media.rotationCategoryId, media.id);
+  }
+}
+
+/**
+ * Resolve one occurrence of a schedule, reusing its locked resolution when
+ * there is a current one and locking a fresh resolution otherwise.
+ *
+ * Rotation picks are counted (see createRotationContext) once, when the
+ * occurrence airs: `rotate: false` (previews) locks the picks without
+ * counting them, and the first resolution with `rotate` counts them then.
+ * With `persist: false` nothing is locked or counted.
+ *
+ * Returns { reused, resolved } where `resolved` has the same shape as
+ * resolvePlaylistForSchedule() and `reused` tells whether an existing lock
+ * was used. Locked items whose media has since been deleted are dropped.
+ */
+export async function resolveScheduleOccurrence({
+  scheduleId,
+  playlistId,
+  occurrenceAt,
+  persist = true,
+  rotate = persist,
+}) {
+  const pid = Number(playlistId);
+  const occurrence = new Date(occurrenceAt);
+  const key = {
+    scheduleId_occurrenceAt: {
+      scheduleId: Number(scheduleId),
+      occurrenceAt: occurrence,
+    },
+  };
+
+  const [playlist, lock] = await Promise.all([
+    prisma.playlist.findUnique({
+      where: { id: pid },
+      select: {
+        id: true,
+        updatedAt: true,
+        playlistItems: true,
+      },
+    }),
+    prisma.scheduleResolution.findUnique({ where: key }),
+  ]);
+
+  if (!playlist) {
+    throw new Error(`Playlist not found for id=${playlistId}`);
+  }
+
+  if (isLockCurrent(lock, playlist)) {
+    const picked = lock.items.filter((it) => it.mediaId != null);
+    const media = await prisma.media.findMany({
+      where: { id: { in: picked.map((it) => it.mediaId) } },
+    });
+    const mediaById = new Map(media.map((m) => [m.id, m]));
+    const itemsById = new Map(playlist.playlistItems.map((it) => [it.id, it]));
+
+    const resolved = picked
+      .filter((it) => mediaById.has(it.mediaId))
+      .map((it) => ({
+        playlistId: pid,
+        playlistItemId: it.playlistItemId,
+        kind: it.kind,
+        randomType: it.randomType,
+        criteria:
+          it.kind === "RANDOM"
+            ? serializeRandomCriteria(itemsById.get(it.playlistItemId))
+            : null,
+        media: mediaById.get(it.mediaId),
+      }));
+
+    if (persist && rotate && !lock.rotatedAt) {
+      await recordLockedRotation(resolved, occurrence);
+      await prisma.scheduleResolution.update({
+        where: key,
+        data: { rotatedAt: new Date() },
+      });
+    }
+
+    return { reused: true, resolved };
+  }
+
+  const resolved = await resolvePlaylistForSchedule(pid, {
+    at: occurrence,
+    persist: persist && rotate,
+  });
+  if (!persist) return { reused: false, resolved };
+
+  const resolvedIds = new Set(resolved.map((r) => r.playlistItemId));
+  const items = [
+    ...resolved.map((r) => ({
+      playlistItemId: r.playlistItemId,
+      kind: r.kind,
+      randomType: r.randomType,
+      mediaId: r.media.id,
+    })),
+    // Slots that had nothing to pick from stay empty for this occurrence
+    ...playlist.playlistItems
+      .filter((it) => !resolvedIds.has(it.id))
+      .map((it) => ({
+        playlistItemId: it.id,
+        kind: it.kind,
+        randomType: it.randomType,
+        mediaId: null,
+      })),
+  ];
+  const data = {
+    playlistId: pid,
+    items,
+    rotatedAt: rotate ? new Date() : null,
+  };
+
+  await prisma.scheduleResolution.upsert({
+    where: key,
+    create: { ...key.scheduleId_occurrenceAt, ...data },
+    update: { ...data, createdAt: new Date() },
+  });
+
+  return { reused: false, resolved };
+}
+
+/**
+ * Drop locked resolutions of occurrences up to and including `occurrenceAt`
+ * (they have aired or been skipped).
+ */
+export async function releaseScheduleResolutions(scheduleId, occurrenceAt) {
+  return prisma.scheduleResolution.deleteMany({
+    where: {
+      scheduleId: Number(scheduleId),
+      ...(occurrenceAt
+        ? { occurrenceAt: { lte: new Date(occurrenceAt) } }
+        : {}),
+    },
+  });
+}
@@ -0,0 +1,120 @@
+// src/services/scheduleRunLog.js
+import { prisma } from "./prisma.js";
+
+/**
+ * Snapshot of a resolved queue item, as stored in ScheduleRun.items.
+ */
+function snapshotQueueItem(m, index) {
+  return {
+    index,
+    mediaId: m.id,
+    playlistItemId: m.playlistItemId ?? null,
+    kind: m.playlistItemKind || "FIXED",
+    randomType: m.randomType || null,
+    type: m.type,
+    author: m.author,
+    title: m.title,
+    fileName: m.fileName,
+    duration: m.duration,
+  };
+}
+
+/**
+ * Open a run log entry for one airing of a schedule.
+ * Pass outcome "EMPTY" to record a run that never started playing, or
+ * "MISSED" for an occurrence skipped by its missed-event policy.
+ */
+export async function startScheduleRun({
+  scheduleId,
+  playlistId,
+  playlistTitle,
+  scheduledFor,
+  output = null,
+  queue = [],
+  outcome = "RUNNING",
+}) {
+  const now = new Date();
+  return prisma.scheduleRun.create({
+    data: {
+      scheduleId: scheduleId != null ? Number(scheduleId) : null,
+      playlistId: playlistId != null ? Number(playlistId) : null,
+      playlistTitle: playlistTitle || null,
+      scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
+      output,
+      startedAt: now,
+      endedAt: outcome === "RUNNING" ? null : now,
+      outcome,
+      items: queue.map(snapshotQueueItem),
+      errors: [],
+    },
+  });
+}
+
+/**
+ * Persist the per-item error list of a running run.
+ */
+export async function saveScheduleRunErrors(runId, errors) {
+  return prisma.scheduleRun.update({
+    where: { id: Number(runId) },
+    data: { errors },
+  });
+}
+
+/**
+ * Replace the item snapshot of a running run after its queue was edited live,
+ * so a recovered run resumes the edited queue.
+ */
+export async function saveScheduleRunQueue(runId, queue) {
+  return prisma.scheduleRun.update({
+    where: { id: Number(runId) },
+    data: { items: queue.map(snapshotQueueItem) },
+  });
+}
+
+/**
+ * Record which queue item is on air and when it started (for crash recovery).
+ */
+export async function saveScheduleRunPosition(runId, index, startedAt) {
+  return prisma.scheduleRun.update({
+    where: { id: Number(runId) },
+    data: { currentIndex: index, currentItemStartedAt: startedAt },
+  });
+}
+
+/**
+ * Close a run with its final outcome. Only runs still marked RUNNING are
+ * touched, so whichever code path finishes a run first wins.
+ */
+export async function finishScheduleRun(runId, outcome) {
+  return prisma.scheduleRun.updateMany({
+    where: { id: Number(runId), outcome: "RUNNING" },
+    data: { outcome, endedAt: new Date() },
+  });
+}
+
+export function serializeScheduleRun(run) {
+  const durationSeconds =
+    run.endedAt && run.startedAt
+      ? Math.round(
+          (new Date(run.endedAt).getTime() -
+            new Date(run.startedAt).getTime()) /
+            1000
+        )
+      : null;
+
+  return {
+    id: run.id,
+    scheduleId: run.scheduleId,
+    playlistId: run.playlistId,
+    playlistTitle: run.playlistTitle,
+    scheduledFor: run.scheduledFor,
+    output: run.output,
+    startedAt: run.startedAt,
+    endedAt: run.endedAt,
+    durationSeconds,
+    outcome: run.outcome,
+    currentIndex: run.currentIndex,
+    items: run.items || [],
+    errors: run.errors || [],
+  };
+}
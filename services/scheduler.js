@@ -1,102 +1,158 @@
 // src/services/scheduler.js
-import { casparPause, casparPlay, casparResume, casparStop } from "./caspar.js";
-import { resolvePlaylistForSchedule } from "./playlistRandomResolver.js"; // NEW
+import { cfg } from "../config/config.js";
+import {
+  casparAnnounceMedia,
+  casparClearBackground,
+  casparFadeVolume,
+  casparLayerState,
+  casparLoadBg,
+  casparPause,
+  casparPlay,
+  casparResume,
+  casparSeek,
+  casparStop,
+} from "./caspar.js";
+import { casparBaseName } from "./file.js";
+import {
+  fitQueueToWindow,
+  itemDurationMs,
+  resolveHardEnd,
+} from "./hardTiming.js";
+import { missedPolicyFor } from "./missedSchedules.js";
+import {
+  pickRandomMediaByType,
+  resolvePlaylistForSchedule,
+} from "./playlistRandomResolver.js"; // NEW
 import { prisma } from "./prisma.js";
+import {
+  getNextOccurrence,
+  isRecurring,
+  listOccurrences,
+} from "./recurrence.js";
+import {
+  releaseScheduleResolutions,
+  resolveScheduleOccurrence,
+} from "./scheduleResolution.js";
+import { getSetting, updateSetting } from "./settings.js";
+import {
+  finishScheduleRun,
+  saveScheduleRunErrors,
+  saveScheduleRunPosition,
+  saveScheduleRunQueue,
+  startScheduleRun,
+} from "./scheduleRunLog.js";
+import { serializeTransition } from "./transitions.js";
 
-const CHANNEL = 1;
-const LAYER = 10;
 const TICK_MS = 2000; // poll every 2 seconds
 const SAFETY_MIN_DURATION_MS = 5000; // fallback if media.duration missing (5s)
 
-let _started = false;
-let _tickHandle = null;
+// Caspar end-of-media detection (cfg.scheduler.endDetection = "caspar")
+const CASPAR_SETTLE_MS = 1000; // ignore layer state right after PLAY
+const CASPAR_START_GRACE_MS = 5000; // clip must show up on the layer by then
+const CASPAR_POLL_MAX_FAILURES = 5; // unanswered INFOs before using the timer
 
-// In-process lock so the same schedule isn't picked twice within this instance.
-const _claimed = new Set();
+// Dead-air fallback (sustainer)
+const FALLBACK_MODES = ["PLAYLIST", "RANDOM_SONGS"];
+const FALLBACK_RECENT_LIMIT = 20; // avoid repeating the last N random picks
 
-// Current running job state (for observability)
-let _runningJob = null;
+// Break-in (emergency override): what happens to the interrupted schedule
+export const BREAK_IN_MODES = ["RESUME", "ABANDON"];
 
-// Store current playing media for frontend
-let _currentPlayingMedia = null;
-let _currentMediaStartTime = null;
-let _currentSchedulePlaylist = null;
-
-// Event emitter for frontend updates
-const _eventCallbacks = new Set();
-
-// Queue for multiple schedules - process them in order
-let _scheduleQueue = [];
-let _isProcessingQueue = false;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// Control flags
-let _paused = false;
-let _cancelRequested = false;
-let _skipRequested = false;
+function storedDurationMs(media) {
+  return typeof media.duration === "number" && media.duration > 0
+    ? Math.max(1000, Math.floor(media.duration * 1000))
+    : SAFETY_MIN_DURATION_MS;
+}
 
-// Hard-abort flag: when true, processScheduleQueue will break early
-let _forceAbortAll = false;
+// Caspar reports clips as "FOLDER/NAME", as a file path or with an
+// extension, in any case; compare by the stem at the end of the path
+function isSameClip(casparName, fileName) {
+  const stem = (name) =>
+    casparBaseName(String(name || "").replace(/\\/g, "/")).toLowerCase();
+  const a = stem(casparName);
+  const b = stem(fileName);
+  return !!b && (a === b || a.endsWith(`/${b}`));
+}
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Transitions set on the queue's playlist items, by playlist item id
+async function loadItemTransitions(queue) {
+  const ids = queue.map((m) => m.playlistItemId).filter((id) => id != null);
+  if (!ids.length) return new Map();
 
-function emitEvent(event, data) {
-  _eventCallbacks.forEach((callback) => {
-    try {
-      callback(event, data);
-    } catch (error) {
-      console.error("Error in event callback:", error);
-    }
+  const rows = await prisma.playlistItem.findMany({
+    where: { id: { in: ids }, transition: { not: null } },
+    select: { id: true, transition: true, transitionFrames: true },
   });
+  return new Map(rows.map((row) => [row.id, serializeTransition(row)]));
 }
 
-export function onSchedulerEvent(callback) {
-  _eventCallbacks.add(callback);
-  return () => _eventCallbacks.delete(callback);
+// Schedule columns the runner needs to start a due schedule
+const DUE_SCHEDULE_FIELDS = {
+  id: true,
+  datetime: true,
+  playlistId: true,
+  priority: true,
+  preemption: true,
+  hardEnd: true,
+  durationSeconds: true,
+  trimMode: true,
+  fillGaps: true,
+  transition: true,
+  transitionFrames: true,
+  output: true,
+  leaseOwner: true,
+  leaseExpiresAt: true,
+  missedPolicy: true,
+  missedGraceMinutes: true,
+  recurrence: true,
+  recurrenceInterval: true,
+  recurrenceDays: true,
+  recurrenceUntil: true,
+  recurrenceCount: true,
+  occurrenceCount: true,
+  localTime: true,
+};
+
+// Lease conditions under which this instance may claim a schedule
+function claimableBy(now) {
+  return [
+    { leaseOwner: null },
+    { leaseOwner: cfg.scheduler.instanceId },
+    { leaseExpiresAt: { lt: now } },
+  ];
 }
 
-export function getCurrentPlayingMedia() {
-  if (!_currentPlayingMedia) return null;
-
-  const elapsed = _currentMediaStartTime
-    ? Date.now() - _currentMediaStartTime
-    : 0;
-  const progress = _currentPlayingMedia.duration
-    ? Math.min(100, (elapsed / (_currentPlayingMedia.duration * 1000)) * 100)
-    : 0;
-
-  return {
-    ..._currentPlayingMedia,
-    elapsed: Math.floor(elapsed / 1000),
-    progress,
-    startTime: _currentMediaStartTime,
-    paused: _paused,
-  };
+// Another backend instance holds a live lease on the schedule
+function leasedElsewhere(schedule, nowMs) {
+  return (
+    !!schedule.leaseOwner &&
+    schedule.leaseOwner !== cfg.scheduler.instanceId &&
+    new Date(schedule.leaseExpiresAt).getTime() > nowMs
+  );
 }
 
-async function stopCurrentPlayback() {
-  try {
-    await casparStop(CHANNEL, LAYER);
-  } catch (e) {
-    console.log(
-      "[Scheduler] Stop playback - nothing playing or error:",
-      e.message
-    );
+// Where a run joined `elapsedMs` after its start would be: { startIndex,
+// offsetMs }, or null once the whole queue would have aired
+function joinPoint(queue, elapsedMs) {
+  let itemStart = 0;
+  for (let i = 0; i < queue.length; i++) {
+    const durationMs = itemDurationMs(queue[i]);
+    if (elapsedMs < itemStart + durationMs) {
+      return { startIndex: i, offsetMs: Math.max(0, elapsedMs - itemStart) };
+    }
+    itemStart += durationMs;
   }
+  return null;
 }
 
-async function getDueSchedules() {
-  const now = new Date();
-  return prisma.schedule.findMany({
-    where: {
-      datetime: { lte: now },
-    },
-    orderBy: { datetime: "asc" },
-    select: {
-      id: true,
-      datetime: true,
-      playlistId: true,
-    },
-  });
+// Higher priority first, then earliest datetime
+function compareSchedules(a, b) {
+  return (
+    (b.priority || 0) - (a.priority || 0) ||
+    new Date(a.datetime) - new Date(b.datetime)
+  );
 }
 
 /**
@@ -109,12 +165,32 @@ async function getDueSchedules() {
  *   {
  *     ...media,
  *     playlistItemId,
- *     playlistItemKind: "FIXED" | "RANDOM",
- *     randomType: "SONG" | "JINGLE" | "SPOT" | null
+ *     playlistItemKind: "FIXED" | "RANDOM" | "SMART",
+ *       (later also "FILLER" from hard timing, "INSERTED" by queue edits)
+ *     randomType: "SONG" | "JINGLE" | "SPOT" | null,
+ *     randomCriteria: object | null   (what RANDOM picks must match)
  *   }
+ *
+ * With `occurrence` ({ scheduleId, occurrenceAt }) the schedule's locked
+ * resolution is used, so what airs matches the timeline preview. With
+ * `persist: false` a fresh resolution is not locked and rotation categories
+ * are not moved on.
  */
-async function getPlaylistQueue(playlistId) {
-  const resolved = await resolvePlaylistForSchedule(Number(playlistId));
+async function getPlaylistQueue(
+  playlistId,
+  occurrence = null,
+  { persist = true } = {}
+) {
+  const resolved = occurrence
+    ? (
+        await resolveScheduleOccurrence({
+          scheduleId: occurrence.scheduleId,
+          playlistId,
+          occurrenceAt: occurrence.occurrenceAt,
+          persist,
+        })
+      ).resolved
+    : await resolvePlaylistForSchedule(Number(playlistId), { persist });
   const queue = resolved
     .map((r) => {
       if (!r.media || !r.media.fileName) return null;
@@ -123,6 +199,7 @@ async function getPlaylistQueue(playlistId) {
         playlistItemId: r.playlistItemId,
         playlistItemKind: r.kind,
         randomType: r.randomType || null,
+        randomCriteria: r.criteria || null,
       };
     })
     .filter(Boolean);
@@ -132,9 +209,19 @@ async function getPlaylistQueue(playlistId) {
     select: { id: true, title: true },
   });
 
-  const displayItems = queue.map((m, index) => ({
+  return {
+    queue,
+    displayItems: buildDisplayItems(queue),
+    playlistTitle: playlist?.title || `PL${playlistId}`,
+  };
+}
+
+function buildDisplayItems(queue) {
+  return queue.map((m, index) => ({
     id: m.id,
     order: index,
+    kind: m.playlistItemKind || "FIXED",
+    randomType: m.randomType || null,
     type: m.type,
     author: m.author,
     title: m.title,
@@ -144,20 +231,14 @@ async function getPlaylistQueue(playlistId) {
     language: m.language,
     bpm: m.bpm,
   }));
-
-  return {
-    queue,
-    displayItems,
-    playlistTitle: playlist?.title || `PL${playlistId}`,
-  };
 }
 
-async function logHistory(mediaId) {
+async function logHistory(mediaId, datetime = new Date()) {
   try {
     await prisma.history.create({
       data: {
         mediaId: Number(mediaId),
-        datetime: new Date(),
+        datetime,
       },
     });
   } catch (error) {
@@ -165,700 +246,3125 @@ async function logHistory(mediaId) {
   }
 }
 
-async function playMediaAndWait(media, scheduleId, index, total) {
-  const fileName = media.fileName;
-  if (!fileName) {
-    console.warn("[Scheduler] Media missing fileName, skipping");
-    return;
+/**
+ * Decide what a newly due schedule does while another one is on air.
+ *
+ *   - lower priority than the running schedule → "wait" (stays unclaimed
+ *     and is picked up once the runner is idle)
+ *   - otherwise its preemption mode:
+ *       HARD_CUT        → "cut" now
+ *       END_OF_ITEM     → take over when the current item finishes
+ *       END_OF_PLAYLIST → run next, ahead of anything already queued
+ *       QUEUE_AFTER     → run after everything already queued
+ */
+export function preemptionAction(schedule, runningPriority) {
+  if ((schedule.priority || 0) < runningPriority) return "wait";
+
+  switch (schedule.preemption) {
+    case "END_OF_ITEM":
+      return "item_end";
+    case "END_OF_PLAYLIST":
+      return "next";
+    case "QUEUE_AFTER":
+      return "queue";
+    default:
+      return "cut";
   }
+}
 
-  console.log(`[Scheduler] Playing media: ${fileName}`);
-
-  _currentPlayingMedia = {
-    ...media,
-    scheduleId,
-    playlistId: _runningJob?.playlistId ?? null,
-    index,
-    total,
-    startTime: new Date(),
-  };
-  _currentMediaStartTime = Date.now();
-
-  emitEvent("playback_started", {
-    scheduleId,
-    playlistId: _runningJob?.playlistId ?? null,
-    media,
-    index,
-    total,
-    timestamp: new Date(),
-  });
-
-  try {
-    await casparPlay(fileName, CHANNEL, LAYER, {
-      showOverlay: true,
-      overlayLayer: 20,
-      artist: media.author || media.artist || "",
-      title: media.title || "",
-      mediaType: media.type || null,
-    });
-    console.log(`[Scheduler] Successfully sent play command for: ${fileName}`);
-  } catch (error) {
-    console.error(`[Scheduler] Failed to play ${fileName}:`, error.message);
-    _currentPlayingMedia = null;
-    _currentMediaStartTime = null;
-
-    emitEvent("playback_error", {
-      scheduleId,
-      playlistId: _runningJob?.playlistId ?? null,
-      media,
-      error: error.message,
-      timestamp: new Date(),
+/**
+ * Create the scheduler for one output (a Caspar channel + layer, with the
+ * overlay on `overlayLayer`). Every output has its own runner: its own queue,
+ * on-air state, transport controls, fallback and event stream, and only
+ * picks up schedules targeting it.
+ *
+ * `env` ({ clock, playout, store }, see createLiveEnvironment) is how the
+ * runner tells the time, drives Caspar and reads/writes the database.
+ */
+export function createScheduleRunner(output, env = createLiveEnvironment()) {
+  const { clock, playout, store } = env;
+  const CHANNEL = output.channel;
+  const LAYER = output.layer;
+  const OVERLAY_LAYER = output.overlayLayer;
+  const FALLBACK_SETTING = output.isDefault
+    ? "fallback"
+    : `fallback:${output.name}`;
+
+  let _started = false;
+  let _tickHandle = null;
+
+  // In-process lock so the same schedule isn't picked twice within this instance.
+  const _claimed = new Set();
+  // Schedules this instance holds a database lease on (see acquireLease)
+  const _leases = new Set();
+  let _leaseHandle = null;
+
+  // Current running job state (for observability)
+  let _runningJob = null;
+
+  // Store current playing media for frontend
+  let _currentPlayingMedia = null;
+  let _currentMediaStartTime = null;
+  let _currentMediaDurationMs = null; // actual length once Caspar reports it
+  let _preloaded = null; // file waiting on the background (LOADBG AUTO)
+  let _currentSchedulePlaylist = null;
+  let _liveQueue = null; // queue array being played; edited in place
+
+  // Run log entry of the schedule currently airing: { id, scheduleId, errors }
+  let _currentRun = null;
+
+  // Event emitter for frontend updates
+  const _eventCallbacks = new Set();
+
+  // Queue for multiple schedules - process them in order
+  let _scheduleQueue = [];
+  let _isProcessingQueue = false;
+
+  // Bumped by stopCurrentSchedule so a queue loop that was running before the
+  // stop doesn't pick up (or clear) the queue of the loop started after it.
+  let _queueGeneration = 0;
+
+  // Set when a due schedule asked to take over at the end of the current item
+  // (preemption mode END_OF_ITEM); runPlaylist stops after the item finishes.
+  let _preemptAtItemEnd = false;
+
+  // Dead-air fallback (sustainer) state
+  let _fallbackActive = false;
+  let _fallbackStopRequested = false;
+  let _fallbackYieldAtItemEnd = false;
+  // Set by a manual Caspar play so the fallback doesn't talk over it; cleared
+  // when the next schedule starts or the fallback settings are changed
+  let _fallbackSuspended = false;
+  let _fallbackQueue = [];
+  let _fallbackIndex = 0;
+  let _fallbackRecent = [];
+
+  // Break-in on air: { mode, mediaId, playlistId, items, index, startedAt,
+  // suspendedScheduleId, stopRequested }. It owns the air layer until done.
+  let _breakIn = null;
+
+  // Hard end of the running schedule (ms timestamp), see hardTiming.js
+  let _hardEndAt = null;
+  let _hardEndTrimMode = "FADE";
+
+  // Control flags
+  let _paused = false;
+  let _cancelRequested = false;
+  let _skipRequested = false;
+  let _restartRequested = false;
+  let _seekRequestMs = null; // position to jump to within the current item
+
+  // Hard-abort flag: when true, processScheduleQueue will break early
+  let _forceAbortAll = false;
+
+  // Since when the runner has been idle (-Infinity: since before it started)
+  // and since when busy (null while idle); see trackActivity
+  let _idleFrom = -Infinity;
+  let _busyFrom = null;
+
+  function emitEvent(event, data) {
+    _eventCallbacks.forEach((callback) => {
+      try {
+        callback(event, { ...data, output: output.name });
+      } catch (error) {
+        console.error("Error in event callback:", error);
+      }
     });
-
-    throw error;
   }
 
-  await logHistory(media.id);
-
-  const totalMs =
-    typeof media.duration === "number" && media.duration > 0
-      ? Math.max(1000, Math.floor(media.duration * 1000))
-      : SAFETY_MIN_DURATION_MS;
-
-  console.log(`[Scheduler] Waiting ${totalMs}ms for media to finish`);
-
-  const startedAt = Date.now();
-  let remaining = totalMs;
-
-  const progressInterval = setInterval(() => {
-    if (_cancelRequested) return;
-    if (_paused) return;
-
-    const elapsed = Date.now() - startedAt;
-    const progress = Math.min(100, (elapsed / totalMs) * 100);
+  function onSchedulerEvent(callback) {
+    _eventCallbacks.add(callback);
+    return () => _eventCallbacks.delete(callback);
+  }
 
-    emitEvent("playback_progress", {
-      scheduleId,
-      playlistId: _runningJob?.playlistId ?? null,
-      media,
-      progress,
+  function getCurrentPlayingMedia() {
+    if (!_currentPlayingMedia) return null;
+
+    const elapsed = _currentMediaStartTime
+      ? clock.now() - _currentMediaStartTime
+      : 0;
+    const durationMs =
+      _currentMediaDurationMs ||
+      (_currentPlayingMedia.duration
+        ? _currentPlayingMedia.duration * 1000
+        : 0);
+    const progress = durationMs
+      ? Math.min(100, (elapsed / durationMs) * 100)
+      : 0;
+
+    return {
+      ..._currentPlayingMedia,
       elapsed: Math.floor(elapsed / 1000),
-      remaining: Math.max(0, Math.floor((totalMs - elapsed) / 1000)),
-      timestamp: new Date(),
-    });
-  }, 1000);
-
-  while (remaining > 0) {
-    if (_cancelRequested || _skipRequested || _forceAbortAll) break;
+      progress,
+      startTime: _currentMediaStartTime,
+      paused: _paused,
+    };
+  }
 
-    if (_paused) {
-      await sleep(200);
-      continue;
+  // Unload a preloaded next item so it doesn't start on its own
+  async function dropPreloaded() {
+    if (!_preloaded) return;
+    _preloaded = null;
+    try {
+      await playout.clearBackground(CHANNEL, LAYER);
+    } catch (e) {
+      console.warn(
+        "[Scheduler] Failed to clear preloaded item:",
+        e?.message || e
+      );
     }
+  }
 
-    const chunk = Math.min(200, remaining);
-    await sleep(chunk);
-    remaining -= chunk;
+  async function stopCurrentPlayback() {
+    // The layer belongs to a break-in until it is over
+    if (_breakIn) return;
+    await dropPreloaded();
+    try {
+      await playout.stop(CHANNEL, LAYER);
+    } catch (e) {
+      console.log(
+        "[Scheduler] Stop playback - nothing playing or error:",
+        e.message
+      );
+    }
   }
 
-  clearInterval(progressInterval);
+  async function getDueSchedules() {
+    return store.getDueSchedules(output.name, new Date(clock.now()));
+  }
 
-  if (_cancelRequested || _forceAbortAll) {
-    console.log(
-      "[Scheduler] playMediaAndWait: cancel/abort requested, aborting media early"
+  /**
+   * Claim a due schedule in the database so no other backend instance airs
+   * it too. Fails while another instance holds a live lease on it, or once
+   * the occurrence has been retired.
+   */
+  async function acquireLease(schedule) {
+    const now = clock.now();
+    const claimed = await store.claimSchedule(
+      schedule.id,
+      schedule.datetime,
+      new Date(now),
+      new Date(now + cfg.scheduler.leaseMs)
     );
-  } else {
-    emitEvent("playback_completed", {
-      scheduleId,
-      playlistId: _runningJob?.playlistId ?? null,
-      media,
-      skipped: _skipRequested,
-      timestamp: new Date(),
-    });
+    if (claimed) _leases.add(schedule.id);
+    return claimed;
   }
 
-  _currentPlayingMedia = null;
-  _currentMediaStartTime = null;
-  _skipRequested = false;
-}
-
-async function runPlaylist(playlistId, scheduleId) {
-  console.log(
-    `[Scheduler] Running playlist ${playlistId} for schedule #${scheduleId}`
-  );
-
-  emitEvent("schedule_started", {
-    scheduleId,
-    playlistId,
-    timestamp: new Date(),
-  });
-
-  const { queue, displayItems, playlistTitle } = await getPlaylistQueue(
-    playlistId
-  );
-  console.log(`[Scheduler] Playlist queue length: ${queue.length}`);
-
-  if (!queue.length) {
-    _currentSchedulePlaylist = null;
-    console.log(
-      `[Scheduler] Schedule #${scheduleId}: playlist ${playlistId} has no items; removing schedule.`
-    );
+  async function releaseLease(scheduleId) {
+    if (!_leases.delete(scheduleId)) return;
     try {
-      await prisma.schedule.delete({ where: { id: Number(scheduleId) } });
+      await store.releaseScheduleLease(scheduleId);
     } catch (e) {
       console.warn(
-        `[Scheduler] Could not delete empty playlist schedule #${scheduleId}:`,
+        `[Scheduler] Could not release lease on schedule #${scheduleId}:`,
         e?.message || e
       );
     }
+  }
 
-    emitEvent("schedule_empty", {
-      scheduleId,
-      playlistId,
-      timestamp: new Date(),
-    });
-
-    emitEvent("schedule_deleted", {
-      scheduleId,
-      playlistId,
-      reason: "empty_playlist",
-      timestamp: new Date(),
-    });
-
+  // Done with a schedule for now: it may be picked up again when due
+  async function unclaim(scheduleId) {
     _claimed.delete(scheduleId);
-    return;
+    await releaseLease(scheduleId);
   }
 
-  _currentSchedulePlaylist = {
-    scheduleId,
-    playlistId,
-    title: playlistTitle,
-    items: displayItems,
-  };
-
-  console.log(
-    `[Scheduler] Starting playlist ${playlistId} for schedule #${scheduleId}...`
-  );
-  await stopCurrentPlayback();
-
-  let playbackSuccessful = true;
-
-  for (let i = 0; i < queue.length; i++) {
-    const m = queue[i];
-
-    // Respect hard abort
-    if (_forceAbortAll) {
-      console.log(
-        `[Scheduler] Force abort flag set while running schedule #${scheduleId}, breaking playlist loop.`
-      );
-      playbackSuccessful = false;
-      break;
-    }
+  // Claimed, or waiting in the queue for processScheduleQueue to claim it
+  function isTaken(scheduleId) {
+    return (
+      _claimed.has(scheduleId) ||
+      _scheduleQueue.some((queued) => queued.id === scheduleId)
+    );
+  }
 
-    try {
-      if (_cancelRequested) {
-        console.log(
-          `[Scheduler] Schedule #${scheduleId} cancel requested before item ${i}, aborting playlist.`
+  /**
+   * Heartbeat: extend the leases this instance holds. A lease that could not
+   * be renewed was taken over by another instance after ours expired; the
+   * schedule is given up here without touching the air layer, which is the
+   * other instance's now.
+   */
+  async function renewLeases() {
+    const until = new Date(clock.now() + cfg.scheduler.leaseMs);
+    for (const scheduleId of Array.from(_leases)) {
+      let held;
+      try {
+        held = await store.renewScheduleLease(scheduleId, until);
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not renew lease on schedule #${scheduleId}:`,
+          e?.message || e
         );
-        playbackSuccessful = false;
-        break;
-      }
-
-      while (_paused && !_cancelRequested && !_forceAbortAll) {
-        await sleep(200);
-      }
-      if (_cancelRequested || _forceAbortAll) {
-        playbackSuccessful = false;
-        break;
+        continue;
       }
+      if (held || !_leases.has(scheduleId)) continue;
 
-      _runningJob = {
-        scheduleId,
-        playlistId,
-        currentIndex: i,
-        mediaId: m.id,
-        fileName: m.fileName,
-      };
-
-      console.log(
-        `[Scheduler] (#${scheduleId}) Playing [${i + 1}/${queue.length}] ${
-          m.fileName
-        }`
-      );
-      await playMediaAndWait(m, scheduleId, i, queue.length);
-    } catch (err) {
+      _leases.delete(scheduleId);
       console.warn(
-        `[Scheduler] Error playing "${m?.fileName || "unknown"}":`,
-        err?.message || err
+        `[Scheduler] Lost lease on schedule #${scheduleId} to another instance`
       );
-      playbackSuccessful = false;
-      emitEvent("playback_error", {
+      emitEvent("schedule_lease_lost", {
         scheduleId,
-        playlistId,
-        media: m,
-        error: err?.message || err,
-        timestamp: new Date(),
+        timestamp: new Date(clock.now()),
       });
+      if (_runningJob?.scheduleId === scheduleId) {
+        await stopCurrentSchedule("lease_lost");
+      }
     }
   }
 
-  await stopCurrentPlayback();
+  /**
+   * Retire a schedule once an occurrence is over (completed, stopped or empty).
+   *
+   * One-shot schedules are archived (kept for the run log, never picked up
+   * again). Recurring schedules are moved forward to their next occurrence and
+   * only archived once the rule is exhausted.
+   *
+   * `occurrenceAt` is the datetime that was aired; if the row has already been
+   * moved past it (e.g. stopCurrentSchedule retired it first) this is a no-op.
+   */
+  async function retireSchedule(scheduleId, playlistId, reason, occurrenceAt) {
+    const schedule = await store.findSchedule(scheduleId);
+    if (!schedule) return { missing: true };
+    // Taken over by another instance: retiring it is up to them
+    if (leasedElsewhere(schedule, clock.now())) return { leaseLost: true };
+
+    if (
+      schedule.archivedAt ||
+      (occurrenceAt &&
+        new Date(schedule.datetime).getTime() !==
+          new Date(occurrenceAt).getTime())
+    ) {
+      await releaseLease(schedule.id);
+      return { alreadyRetired: true };
+    }
 
-  if (_cancelRequested || _forceAbortAll) {
-    console.log(
-      `[Scheduler] Schedule #${scheduleId} cancelled/aborted by user, deleting schedule.`
-    );
     try {
-      await prisma.schedule.delete({ where: { id: Number(scheduleId) } });
+      await store.releaseResolutions(schedule.id, schedule.datetime);
     } catch (e) {
       console.warn(
-        `[Scheduler] Could not delete cancelled schedule #${scheduleId}:`,
+        `[Scheduler] Could not release locked resolution of schedule #${scheduleId}:`,
         e?.message || e
       );
     }
 
-    emitEvent("schedule_stopped", {
-      scheduleId,
-      playlistId,
-      reason: _forceAbortAll ? "user_stop_force" : "user_stop",
-      timestamp: new Date(),
-    });
+    const nextDatetime = getNextOccurrence(schedule, new Date(clock.now()));
+    if (nextDatetime) {
+      await store.rescheduleSchedule(schedule.id, nextDatetime);
+      // The row will be due again, so it must not stay claimed
+      await unclaim(schedule.id);
+      console.log(
+        `[Scheduler] Schedule #${scheduleId} (${reason}) rescheduled to ${nextDatetime.toISOString()}.`
+      );
 
+      emitEvent("schedule_rescheduled", {
+        scheduleId,
+        playlistId,
+        reason,
+        nextDatetime,
+        timestamp: new Date(clock.now()),
+      });
+      return { rescheduled: true, nextDatetime };
+    }
+
+    await store.archiveSchedule(schedule.id, new Date(clock.now()));
+    _leases.delete(schedule.id);
+
+    // Kept as "schedule_deleted" for clients: the schedule leaves the
+    // active list even though the row is archived rather than removed.
     emitEvent("schedule_deleted", {
       scheduleId,
       playlistId,
-      reason: "stopped",
-      timestamp: new Date(),
+      reason,
+      archived: true,
+      timestamp: new Date(clock.now()),
     });
-
-    _cancelRequested = false;
-    _runningJob = null;
-    _currentPlayingMedia = null;
-    _currentMediaStartTime = null;
-    _claimed.delete(scheduleId);
-    return;
+    return { archived: true };
   }
 
-  if (playbackSuccessful) {
+  // Record an occurrence that will not air (run log entry + event)
+  async function logMissed(schedule, occurrenceAt, reason) {
+    console.log(
+      `[Scheduler] Schedule #${schedule.id} missed its ${new Date(
+        occurrenceAt
+      ).toISOString()} start: ${reason}`
+    );
     try {
-      await prisma.schedule.delete({ where: { id: Number(scheduleId) } });
-      console.log(
-        `[Scheduler] Schedule #${scheduleId} completed; removed from database.`
-      );
-
-      emitEvent("schedule_completed", {
-        scheduleId,
-        playlistId,
-        timestamp: new Date(),
-      });
-
-      emitEvent("schedule_deleted", {
-        scheduleId,
-        playlistId,
-        reason: "completed",
-        timestamp: new Date(),
+      await store.startRun({
+        scheduleId: schedule.id,
+        playlistId: schedule.playlistId,
+        scheduledFor: occurrenceAt,
+        output: output.name,
+        outcome: "MISSED",
       });
     } catch (e) {
       console.warn(
-        `[Scheduler] Could not delete schedule #${scheduleId}:`,
+        `[Scheduler] Could not write run log for schedule #${schedule.id}:`,
         e?.message || e
       );
-
-      emitEvent("schedule_deletion_error", {
-        scheduleId,
-        error: e?.message || e,
-        timestamp: new Date(),
-      });
     }
-  } else {
-    console.warn(
-      `[Scheduler] Schedule #${scheduleId} had playback errors; keeping in database for retry (if not already deleted).`
-    );
-
-    emitEvent("schedule_failed", {
-      scheduleId,
-      playlistId,
-      reason: "playback_errors",
-      timestamp: new Date(),
+    emitEvent("schedule_missed", {
+      scheduleId: schedule.id,
+      playlistId: schedule.playlistId,
+      occurrenceAt,
+      reason,
+      timestamp: new Date(clock.now()),
     });
+  }
 
-    _claimed.delete(scheduleId);
+  // Skip a due occurrence: log it and retire it like an aired one
+  async function skipMissed(schedule, reason) {
+    await logMissed(schedule, schedule.datetime, reason);
+    try {
+      await retireSchedule(
+        schedule.id,
+        schedule.playlistId,
+        "missed",
+        schedule.datetime
+      );
+    } catch (e) {
+      console.warn(
+        `[Scheduler] Could not retire missed schedule #${schedule.id}:`,
+        e?.message || e
+      );
+    }
   }
 
-  _runningJob = null;
-  _currentPlayingMedia = null;
-  _currentMediaStartTime = null;
-  _currentSchedulePlaylist = null;
-}
+  /**
+   * A recurring schedule that fell behind by several occurrences: skip (and
+   * log) all but the latest one that is due. Returns the schedule moved to
+   * that occurrence.
+   */
+  async function catchUpRecurring(schedule, nowMs) {
+    const due = listOccurrences(schedule, new Date(nowMs + 1));
+    if (due.length < 2) return schedule;
+
+    const missed = due.slice(0, -1);
+    const latest = due[due.length - 1];
+    for (const occurrenceAt of missed) {
+      await logMissed(schedule, occurrenceAt, "superseded by a later one");
+    }
+    try {
+      await store.releaseResolutions(schedule.id, missed[missed.length - 1]);
+    } catch (e) {
+      console.warn(
+        `[Scheduler] Could not release locked resolution of schedule #${schedule.id}:`,
+        e?.message || e
+      );
+    }
+    await store.rescheduleSchedule(schedule.id, latest, missed.length);
 
-async function processScheduleQueue() {
-  if (_isProcessingQueue || _scheduleQueue.length === 0) {
-    return;
+    return {
+      ...schedule,
+      datetime: latest,
+      occurrenceCount: (schedule.occurrenceCount || 0) + missed.length,
+    };
   }
 
-  _isProcessingQueue = true;
-
-  try {
-    _scheduleQueue.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+  // Note when the runner goes busy (a schedule or break-in on air) or idle
+  // again; the fallback doesn't count, schedules take over from it anyway
+  function trackActivity() {
+    const busy = Boolean(_runningJob || _isProcessingQueue || _breakIn);
+    if (busy && _busyFrom === null) {
+      _busyFrom = clock.now();
+    } else if (!busy && _busyFrom !== null) {
+      _idleFrom = clock.now();
+      _busyFrom = null;
+    }
+  }
 
-    for (const schedule of _scheduleQueue) {
-      if (_forceAbortAll) {
-        console.log(
-          "[Scheduler] Force abort flag set, breaking out of schedule queue loop."
-        );
-        break;
-      }
+  /**
+   * Minutes a due schedule could have aired but didn't: counted from its
+   * start, or from when the runner last went idle, up to now or to when the
+   * runner got busy again. Time spent waiting behind a running schedule
+   * doesn't count.
+   */
+  function missedMinutes(schedule, nowMs) {
+    const from = Math.max(new Date(schedule.datetime).getTime(), _idleFrom);
+    return Math.max(0, (_busyFrom ?? nowMs) - from) / 60000;
+  }
 
-      if (_claimed.has(schedule.id)) {
-        console.log(
-          `[Scheduler] Schedule #${schedule.id} already claimed, skipping`
-        );
+  /**
+   * Apply the missed-event policy (see missedSchedules.js) to due schedules
+   * that could have aired for more than their grace period (see
+   * missedMinutes), e.g. after downtime:
+   *   SKIP             → skipped
+   *   PLAY_LATE        → aired late, from the start
+   *   JOIN_IN_PROGRESS → aired from where it would be by now
+   *   LATEST_ONLY      → aired only if nothing due started after it
+   * Except for PLAY_LATE, a recurring schedule first drops all but its
+   * latest due occurrence. Skipped occurrences are logged as MISSED runs.
+   * Schedules already claimed or queued are left alone.
+   *
+   * Returns the due schedules left to air.
+   */
+  async function applyMissedPolicy(dueSchedules) {
+    const nowMs = clock.now();
+    const startMs = (s) => new Date(s.datetime).getTime();
+    const kept = [];
+    const latestOnly = [];
+
+    for (const due of dueSchedules) {
+      if (isTaken(due.id)) {
+        kept.push(due);
         continue;
       }
 
-      _claimed.add(schedule.id);
-
-      try {
-        console.log(
-          `[Scheduler] Processing schedule #${schedule.id} from queue`
-        );
-        await runPlaylist(schedule.playlistId, schedule.id);
-      } catch (err) {
-        console.error(
-          `[Scheduler] Fatal error running schedule #${schedule.id}:`,
-          err?.message || err
-        );
-        emitEvent("schedule_fatal_error", {
-          scheduleId: schedule.id,
-          error: err?.message || err,
-          timestamp: new Date(),
-        });
-        _claimed.delete(schedule.id);
+      const { policy, graceMinutes } = missedPolicyFor(due);
+      const schedule =
+        policy !== "PLAY_LATE" && isRecurring(due)
+          ? await catchUpRecurring(due, nowMs)
+          : due;
+
+      const lateMinutes = missedMinutes(schedule, nowMs);
+      if (policy === "PLAY_LATE" || lateMinutes <= graceMinutes) {
+        kept.push(schedule);
+      } else if (policy === "SKIP") {
+        await skipMissed(schedule, `late by ${Math.round(lateMinutes)} min`);
+      } else if (policy === "JOIN_IN_PROGRESS") {
+        kept.push({ ...schedule, joinInProgress: true });
+      } else {
+        latestOnly.push(schedule);
       }
     }
-  } finally {
-    // After processing (or force abort), clear queue state
-    console.log(
-      "[Scheduler] processScheduleQueue finally block - cleaning up queue state"
-    );
-    _isProcessingQueue = false;
-    _scheduleQueue = [];
-    // Only reset _forceAbortAll if it wasn't externally set
-    if (_forceAbortAll) {
-      console.log(
-        "[Scheduler] _forceAbortAll was true, keeping flags for stopCurrentSchedule to handle"
-      );
-    } else {
-      _forceAbortAll = false;
+
+    const newestMs = Math.max(...[...kept, ...latestOnly].map(startMs));
+    for (const schedule of latestOnly) {
+      if (startMs(schedule) < newestMs) {
+        await skipMissed(schedule, "a later schedule is due");
+      } else {
+        kept.push(schedule);
+      }
     }
-  }
-}
 
-async function tick() {
-  const dueSchedules = await getDueSchedules();
-  if (!dueSchedules.length) {
-    return;
+    return kept;
   }
 
-  if (_runningJob || _isProcessingQueue) {
-    const runningScheduleId = _runningJob?.scheduleId ?? null;
-    const preemptSchedules = dueSchedules.filter(
-      (schedule) =>
-        !_claimed.has(schedule.id) && schedule.id !== runningScheduleId
-    );
-
-    if (!preemptSchedules.length) {
-      console.log(
-        `[Scheduler] Tick skipped - job running: ${!!_runningJob}, queue processing: ${_isProcessingQueue}`
+  async function finishRun(runId, outcome) {
+    if (runId == null) return;
+    try {
+      await store.finishRun(runId, outcome);
+    } catch (e) {
+      console.warn(
+        `[Scheduler] Could not close run log #${runId}:`,
+        e?.message || e
       );
-      return;
+    }
+    if (_currentRun?.id === runId) _currentRun = null;
+  }
+
+  async function saveRunPosition(runId, index, startedAt) {
+    if (runId == null) return;
+    try {
+      await store.saveRunPosition(runId, index, startedAt);
+    } catch (e) {
+      console.warn(
+        `[Scheduler] Could not save run position #${runId}:`,
+        e?.message || e
+      );
+    }
+  }
+
+  async function recordRunError(index, media, error) {
+    if (!_currentRun) return;
+
+    _currentRun.errors.push({
+      index,
+      mediaId: media?.id ?? null,
+      fileName: media?.fileName ?? null,
+      error: error?.message || String(error),
+      timestamp: new Date(clock.now()),
+    });
+
+    try {
+      await store.saveRunErrors(_currentRun.id, _currentRun.errors);
+    } catch (e) {
+      console.warn(
+        `[Scheduler] Could not save run log errors:`,
+        e?.message || e
+      );
+    }
+  }
+
+  function overlayOptions(media) {
+    return {
+      showOverlay: true,
+      overlayLayer: OVERLAY_LAYER,
+      artist: media.author || media.artist || "",
+      title: media.title || "",
+      mediaType: media.type || null,
+    };
+  }
+
+  async function sendPlayCommand(media, offsetMs = 0, transition = null) {
+    return playout.play(media.fileName, CHANNEL, LAYER, {
+      ...overlayOptions(media),
+      ...(transition && { transition }),
+      ...(offsetMs > 0 && {
+        seek: Math.floor((offsetMs / 1000) * cfg.caspar.fps),
+      }),
+    });
+  }
+
+  /**
+   * Sync an item's timing with what Caspar reports for the layer.
+   * `tracker` ({ fileName, playSentAt, enabled, clipSeen, failures, totalMs,
+   * remaining, startedAt, casparPaused, source }) is updated in place.
+   * Returns true once the clip has finished on Caspar.
+   */
+  async function syncWithCaspar(tracker) {
+    const sincePlay = clock.now() - tracker.playSentAt;
+    if (sincePlay < CASPAR_SETTLE_MS) return false;
+
+    let state = null;
+    try {
+      state = await playout.layerState(CHANNEL, LAYER);
+    } catch (e) {
+      state = null;
+    }
+
+    if (!state) {
+      tracker.failures += 1;
+      if (tracker.failures >= CASPAR_POLL_MAX_FAILURES) {
+        tracker.enabled = false;
+        console.warn(
+          `[Scheduler] No layer info from Caspar for ${tracker.fileName}; using stored duration`
+        );
+      }
+      return false;
+    }
+    tracker.failures = 0;
+    tracker.lastState = state;
+
+    if (state.empty || !isSameClip(state.fileName, tracker.fileName)) {
+      // Seen before, so it has been cleared or replaced: it's over
+      if (tracker.clipSeen) return true;
+      if (sincePlay > CASPAR_START_GRACE_MS) {
+        tracker.enabled = false;
+        console.warn(
+          `[Scheduler] ${tracker.fileName} not reported on ${CHANNEL}-${LAYER}; using stored duration`
+        );
+      }
+      return false;
+    }
+
+    tracker.clipSeen = true;
+    tracker.casparPaused = state.paused;
+
+    if (state.durationMs > 0 && state.elapsedMs != null) {
+      tracker.totalMs = state.durationMs;
+      tracker.remaining = Math.max(0, state.durationMs - state.elapsedMs);
+      tracker.startedAt = clock.now() - state.elapsedMs;
+      tracker.source = "caspar";
+
+      // Without LOOP the last frame stays on the layer when the clip is done
+      return tracker.remaining <= 1000 / cfg.caspar.fps;
+    }
+    return false;
+  }
+
+  /**
+   * Play one item and wait for it to finish.
+   * `offsetMs` starts the item part-way through (Caspar SEEK); `resumed` marks
+   * an item that was already on air before a restart, so it isn't logged twice.
+   * The end is taken from Caspar's layer state when it reports one, and from
+   * the stored duration otherwise.
+   *
+   * `transition` ({ type, frames }) takes the item on air. `next()` returns
+   * the item after this one ({ media, transition } or null), which is
+   * preloaded once Caspar confirms this item, so it starts gaplessly on its
+   * own; it is asked again while playing, so live queue edits replace the
+   * preload. `preloaded` marks an item started that way.
+   * Returns { handedOver } - true when the next item is already on air.
+   */
+  async function playMediaAndWait(
+    media,
+    scheduleId,
+    index,
+    total,
+    {
+      offsetMs = 0,
+      resumed = false,
+      transition = null,
+      next = null,
+      preloaded = false,
+    } = {}
+  ) {
+    const fileName = media.fileName;
+    if (!fileName) {
+      console.warn("[Scheduler] Media missing fileName, skipping");
+      return;
+    }
+
+    // A break-in has the air; the item starts once it is handed back
+    while (
+      _breakIn &&
+      !_cancelRequested &&
+      !_forceAbortAll &&
+      !_fallbackStopRequested
+    ) {
+      await clock.sleep(200);
+    }
+
+    console.log(`[Scheduler] Playing media: ${fileName}`);
+
+    _currentPlayingMedia = {
+      ...media,
+      scheduleId,
+      playlistId: _runningJob?.playlistId ?? null,
+      index,
+      total,
+      startTime: new Date(clock.now() - offsetMs),
+    };
+    _currentMediaStartTime = clock.now() - offsetMs;
+    _currentMediaDurationMs = null;
+
+    emitEvent("playback_started", {
+      scheduleId,
+      playlistId: _runningJob?.playlistId ?? null,
+      media,
+      index,
+      total,
+      resumed,
+      timestamp: new Date(clock.now()),
+    });
+
+    try {
+      if (preloaded) {
+        await playout.announce(fileName, CHANNEL, LAYER, overlayOptions(media));
+        console.log(`[Scheduler] ${fileName} started from the background`);
+      } else {
+        await sendPlayCommand(media, offsetMs, transition);
+        console.log(
+          `[Scheduler] Successfully sent play command for: ${fileName}`
+        );
+      }
+    } catch (error) {
+      console.error(`[Scheduler] Failed to play ${fileName}:`, error.message);
+      _currentPlayingMedia = null;
+      _currentMediaStartTime = null;
+      _currentMediaDurationMs = null;
+
+      emitEvent("playback_error", {
+        scheduleId,
+        playlistId: _runningJob?.playlistId ?? null,
+        media,
+        error: error.message,
+        timestamp: new Date(clock.now()),
+      });
+
+      throw error;
+    }
+
+    if (!resumed) {
+      await store.logHistory(media.id, new Date(clock.now()));
+    }
+
+    const storedMs = storedDurationMs(media);
+
+    console.log(`[Scheduler] Waiting ${storedMs}ms for media to finish`);
+
+    const tracker = {
+      fileName,
+      playSentAt: clock.now(),
+      enabled: cfg.scheduler.endDetection === "caspar" && !!playout.layerState,
+      clipSeen: false,
+      failures: 0,
+      totalMs: storedMs,
+      remaining: Math.max(0, storedMs - offsetMs),
+      startedAt: clock.now() - offsetMs,
+      casparPaused: false,
+      source: "timer",
+    };
+    let lastPollAt = 0;
+    let endedOnCaspar = false;
+    let preloadSent = false;
+    let preloadedMedia = null;
+    let faded = false;
+    let trimmed = false;
+    let heldAtMs = null; // position when a break-in took the air
+
+    const progressInterval = clock.setInterval(() => {
+      if (_cancelRequested) return;
+      if (_paused || _breakIn || tracker.casparPaused) return;
+
+      const elapsed = clock.now() - tracker.startedAt;
+      const progress = Math.min(100, (elapsed / tracker.totalMs) * 100);
+
+      emitEvent("playback_progress", {
+        scheduleId,
+        playlistId: _runningJob?.playlistId ?? null,
+        media,
+        progress,
+        elapsed: Math.floor(elapsed / 1000),
+        remaining: Math.max(0, Math.floor(tracker.remaining / 1000)),
+        duration: Math.round(tracker.totalMs / 1000),
+        source: tracker.source,
+        timestamp: new Date(clock.now()),
+      });
+    }, 1000);
+
+    // Until Caspar confirms the clip (or gives up on it) the stored duration
+    // alone doesn't end the item: it may be wrong
+    while (tracker.remaining > 0 || (tracker.enabled && !tracker.clipSeen)) {
+      if (
+        _cancelRequested ||
+        _skipRequested ||
+        _forceAbortAll ||
+        _fallbackStopRequested
+      ) {
+        break;
+      }
+
+      // Suspended by a break-in: hold the position, then put the item back
+      // on air from there (SEEK) when the break-in is over
+      if (_breakIn) {
+        if (heldAtMs == null) {
+          heldAtMs = Math.max(0, tracker.totalMs - tracker.remaining);
+          emitEvent("schedule_suspended", {
+            scheduleId,
+            playlistId: _runningJob?.playlistId ?? null,
+            media,
+            index,
+            positionMs: heldAtMs,
+            timestamp: new Date(clock.now()),
+          });
+        }
+        await clock.sleep(200);
+        continue;
+      }
+      if (heldAtMs != null && !(_hardEndAt && clock.now() >= _hardEndAt)) {
+        const positionMs = heldAtMs;
+        heldAtMs = null;
+        // The break-in's PLAY replaced the background
+        preloadSent = false;
+        preloadedMedia = null;
+        try {
+          await sendPlayCommand(media, positionMs);
+        } catch (error) {
+          console.warn(
+            `[Scheduler] Failed to resume ${fileName} after break-in:`,
+            error?.message || error
+          );
+        }
+        Object.assign(tracker, {
+          playSentAt: clock.now(),
+          clipSeen: false,
+          remaining: Math.max(0, tracker.totalMs - positionMs),
+          startedAt: clock.now() - positionMs,
+          casparPaused: false,
+        });
+        _currentPlayingMedia = {
+          ...media,
+          scheduleId,
+          playlistId: _runningJob?.playlistId ?? null,
+          index,
+          total,
+          startTime: new Date(tracker.startedAt),
+        };
+        _currentMediaStartTime = tracker.startedAt;
+        _currentMediaDurationMs = null;
+        await saveRunPosition(
+          _currentRun?.id,
+          index,
+          new Date(tracker.startedAt)
+        );
+
+        emitEvent("schedule_resumed", {
+          scheduleId,
+          playlistId: _runningJob?.playlistId ?? null,
+          mediaId: media.id,
+          afterBreakIn: true,
+          positionMs,
+          timestamp: new Date(clock.now()),
+        });
+        continue;
+      }
+
+      if (_restartRequested) {
+        _restartRequested = false;
+        // PLAY replaces the background, so preload again once it's back
+        _preloaded = null;
+        preloadSent = false;
+        preloadedMedia = null;
+        try {
+          await sendPlayCommand(media);
+        } catch (error) {
+          console.warn(
+            `[Scheduler] Failed to restart ${fileName}:`,
+            error?.message || error
+          );
+        }
+        Object.assign(tracker, {
+          playSentAt: clock.now(),
+          clipSeen: false,
+          remaining: tracker.totalMs,
+          startedAt: clock.now(),
+          casparPaused: false,
+        });
+        _currentMediaStartTime = tracker.startedAt;
+        await saveRunPosition(
+          _currentRun?.id,
+          index,
+          new Date(tracker.startedAt)
+        );
+
+        emitEvent("playback_restarted", {
+          scheduleId,
+          playlistId: _runningJob?.playlistId ?? null,
+          media,
+          index,
+          total,
+          timestamp: new Date(clock.now()),
+        });
+        continue;
+      }
+
+      if (_seekRequestMs != null) {
+        const positionMs = Math.min(_seekRequestMs, tracker.totalMs);
+        _seekRequestMs = null;
+        try {
+          await playout.seek(
+            CHANNEL,
+            LAYER,
+            Math.floor((positionMs / 1000) * cfg.caspar.fps)
+          );
+        } catch (error) {
+          console.warn(
+            `[Scheduler] Failed to seek ${fileName}:`,
+            error?.message || error
+          );
+        }
+        // Let Caspar settle on the new position before trusting its timing
+        Object.assign(tracker, {
+          playSentAt: clock.now(),
+          remaining: Math.max(0, tracker.totalMs - positionMs),
+          startedAt: clock.now() - positionMs,
+        });
+        _currentMediaStartTime = tracker.startedAt;
+        await saveRunPosition(
+          _currentRun?.id,
+          index,
+          new Date(tracker.startedAt)
+        );
+
+        emitEvent("playback_seeked", {
+          scheduleId,
+          playlistId: _runningJob?.playlistId ?? null,
+          media,
+          index,
+          total,
+          positionMs,
+          elapsed: Math.floor(positionMs / 1000),
+          remaining: Math.floor(tracker.remaining / 1000),
+          timestamp: new Date(clock.now()),
+        });
+        continue;
+      }
+
+      // A hard end wins over pause: the next event starts on time regardless
+      if (_hardEndAt) {
+        const untilEnd = _hardEndAt - clock.now();
+        if (untilEnd <= 0) {
+          trimmed = true;
+          break;
+        }
+
+        const fadeMs = cfg.scheduler.hardEndFadeSeconds * 1000;
+        if (
+          !faded &&
+          _hardEndTrimMode === "FADE" &&
+          untilEnd <= fadeMs &&
+          tracker.remaining > untilEnd
+        ) {
+          faded = true;
+          try {
+            await playout.fadeVolume(
+              CHANNEL,
+              LAYER,
+              0,
+              Math.max(1, Math.floor((untilEnd / 1000) * cfg.caspar.fps))
+            );
+          } catch (e) {
+            console.warn("[Scheduler] Fade out failed:", e?.message || e);
+          }
+        }
+      }
+
+      if (
+        tracker.enabled &&
+        clock.now() - lastPollAt >= cfg.scheduler.casparPollMs
+      ) {
+        lastPollAt = clock.now();
+        if (await syncWithCaspar(tracker)) {
+          endedOnCaspar = true;
+          break;
+        }
+        if (tracker.source === "caspar") {
+          _currentMediaStartTime = tracker.startedAt;
+          _currentMediaDurationMs = tracker.totalMs;
+        }
+      }
+
+      // The queue was edited after preloading: load what follows now instead
+      const upcoming = next ? next() : null;
+      if (preloadSent && preloadedMedia !== (upcoming?.media ?? null)) {
+        await dropPreloaded();
+        preloadSent = false;
+        preloadedMedia = null;
+      }
+
+      // The next item may only follow on its own if this one runs to its end
+      const endsEarly =
+        _preemptAtItemEnd ||
+        (_hardEndAt && clock.now() + tracker.remaining >= _hardEndAt);
+      if (_preloaded && endsEarly) {
+        await dropPreloaded();
+      } else if (
+        upcoming &&
+        !preloadSent &&
+        !endsEarly &&
+        cfg.scheduler.preload &&
+        tracker.enabled &&
+        tracker.clipSeen
+      ) {
+        preloadSent = true;
+        preloadedMedia = upcoming.media;
+        try {
+          await playout.loadBg(upcoming.media.fileName, CHANNEL, LAYER, {
+            transition: upcoming.transition,
+            auto: true,
+          });
+          _preloaded = upcoming.media.fileName;
+        } catch (e) {
+          console.warn(
+            `[Scheduler] Failed to preload ${upcoming.media.fileName}:`,
+            e?.message || e
+          );
+        }
+      }
+
+      // Paused here or directly on Caspar: the clip isn't advancing
+      if (_paused || tracker.casparPaused) {
+        await clock.sleep(200);
+        continue;
+      }
+
+      const chunk = Math.min(200, Math.max(tracker.remaining, 50));
+      await clock.sleep(chunk);
+      tracker.remaining = Math.max(0, tracker.remaining - chunk);
+    }
+
+    clock.clearInterval(progressInterval);
+
+    // Caspar moved on from this clip with the next one loaded: it's on air
+    const handedOver =
+      endedOnCaspar && !!_preloaded && !tracker.lastState?.empty;
+    if (handedOver) _preloaded = null;
+    else await dropPreloaded();
+
+    if (endedOnCaspar && Math.abs(tracker.totalMs - storedMs) >= 1000) {
+      console.log(
+        `[Scheduler] ${fileName} ran ${Math.round(
+          tracker.totalMs / 1000
+        )}s on Caspar (stored duration ${Math.round(storedMs / 1000)}s)`
+      );
+    }
+
+    if (trimmed) {
+      console.log(`[Scheduler] Hard end reached; trimmed ${fileName}`);
+      emitEvent("playback_trimmed", {
+        scheduleId,
+        playlistId: _runningJob?.playlistId ?? null,
+        media,
+        faded,
+        timestamp: new Date(clock.now()),
+      });
+    }
+
+    if (_cancelRequested || _forceAbortAll || _fallbackStopRequested) {
+      console.log(
+        "[Scheduler] playMediaAndWait: cancel/abort requested, aborting media early"
+      );
+    } else {
+      emitEvent("playback_completed", {
+        scheduleId,
+        playlistId: _runningJob?.playlistId ?? null,
+        media,
+        skipped: _skipRequested,
+        trimmed,
+        detectedBy: endedOnCaspar ? "caspar" : "timer",
+        timestamp: new Date(clock.now()),
+      });
+    }
+
+    _currentPlayingMedia = null;
+    _currentMediaStartTime = null;
+    _currentMediaDurationMs = null;
+    _skipRequested = false;
+    _restartRequested = false;
+    _seekRequestMs = null;
+    return { handedOver };
+  }
+
+  /**
+   * Air one occurrence of a schedule.
+   * `schedule` is a due row from getDueSchedules: { id, playlistId, datetime, priority }.
+   * When it carries `resume` (see recoverInterruptedRun) the already-resolved
+   * queue and run log entry are reused and playback starts at the saved item.
+   * With `joinInProgress` (see applyMissedPolicy) playback starts where the
+   * run would be had it started on time.
+   */
+  async function runPlaylist(schedule) {
+    const scheduleId = schedule.id;
+    const playlistId = schedule.playlistId;
+    const occurrenceAt = schedule.datetime ?? null;
+    const resume = schedule.resume || null;
+
+    console.log(
+      `[Scheduler] Running playlist ${playlistId} for schedule #${scheduleId}`
+    );
+
+    emitEvent("schedule_started", {
+      scheduleId,
+      playlistId,
+      resumed: !!resume,
+      joined: !!schedule.joinInProgress && !resume,
+      timestamp: new Date(clock.now()),
+    });
+
+    // A real schedule is on air again; the fallback may cover the next gap
+    _fallbackSuspended = false;
+
+    let { queue, displayItems, playlistTitle } =
+      resume ||
+      (await store.getPlaylistQueue(
+        playlistId,
+        occurrenceAt ? { scheduleId, occurrenceAt } : null
+      ));
+
+    let hardEndAt = null;
+    try {
+      hardEndAt = await store.resolveHardEnd(schedule);
+    } catch (e) {
+      console.warn(
+        `[Scheduler] Could not resolve hard end for schedule #${scheduleId}:`,
+        e?.message || e
+      );
+    }
+
+    const joinFromMs =
+      schedule.joinInProgress && !resume && occurrenceAt
+        ? new Date(occurrenceAt).getTime()
+        : null;
+
+    // A resumed run already carries its fitted queue
+    if (hardEndAt && !resume) {
+      // A joined run is fitted as if it had started on time
+      const fit = await store.fitQueueToWindow(
+        queue,
+        hardEndAt.getTime() - (joinFromMs ?? clock.now()),
+        {
+          fillGaps: schedule.fillGaps !== false,
+        }
+      );
+      queue = fit.queue;
+      displayItems = buildDisplayItems(queue);
+
+      console.log(
+        `[Scheduler] Schedule #${scheduleId} fitted to hard end ${hardEndAt.toISOString()}: dropped ${
+          fit.dropped
+        }, filled ${fit.fillers}, overrun ${fit.overrunMs}ms`
+      );
+      emitEvent("schedule_fitted", {
+        scheduleId,
+        playlistId,
+        hardEndAt,
+        dropped: fit.dropped,
+        fillers: fit.fillers,
+        overrunMs: fit.overrunMs,
+        timestamp: new Date(clock.now()),
+      });
+    }
+    console.log(`[Scheduler] Playlist queue length: ${queue.length}`);
+
+    let startPoint = resume;
+    if (joinFromMs != null && queue.length) {
+      startPoint = joinPoint(queue, clock.now() - joinFromMs);
+      if (!startPoint) {
+        _currentSchedulePlaylist = null;
+        await skipMissed(schedule, "over before it could be joined");
+        await unclaim(scheduleId);
+        return;
+      }
+      console.log(
+        `[Scheduler] Joining schedule #${scheduleId} in progress at item ${startPoint.startIndex}, offset ${startPoint.offsetMs}ms`
+      );
+    }
+
+    if (!queue.length) {
+      _currentSchedulePlaylist = null;
+
+      try {
+        await store.startRun({
+          scheduleId,
+          playlistId,
+          playlistTitle,
+          scheduledFor: occurrenceAt,
+          output: output.name,
+          outcome: "EMPTY",
+        });
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not write run log for schedule #${scheduleId}:`,
+          e?.message || e
+        );
+      }
+
+      console.log(
+        `[Scheduler] Schedule #${scheduleId}: playlist ${playlistId} has no items; retiring schedule.`
+      );
+
+      emitEvent("schedule_empty", {
+        scheduleId,
+        playlistId,
+        timestamp: new Date(clock.now()),
+      });
+
+      try {
+        await retireSchedule(
+          scheduleId,
+          playlistId,
+          "empty_playlist",
+          occurrenceAt
+        );
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not retire empty playlist schedule #${scheduleId}:`,
+          e?.message || e
+        );
+      }
+
+      await unclaim(scheduleId);
+      return;
+    }
+
+    _currentSchedulePlaylist = {
+      scheduleId,
+      playlistId,
+      priority: schedule.priority || 0,
+      title: playlistTitle,
+      items: displayItems,
+      hardEndAt,
+    };
+    _liveQueue = queue;
+    _hardEndAt = hardEndAt ? hardEndAt.getTime() : null;
+    _hardEndTrimMode = schedule.trimMode || "FADE";
+
+    let runId = null;
+    if (resume) {
+      runId = resume.runId;
+      _currentRun = { id: runId, scheduleId, errors: resume.errors || [] };
+    } else {
+      try {
+        const run = await store.startRun({
+          scheduleId,
+          playlistId,
+          playlistTitle,
+          scheduledFor: occurrenceAt,
+          output: output.name,
+          queue,
+        });
+        runId = run.id;
+        _currentRun = { id: run.id, scheduleId, errors: [] };
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not write run log for schedule #${scheduleId}:`,
+          e?.message || e
+        );
+      }
+    }
+
+    console.log(
+      `[Scheduler] Starting playlist ${playlistId} for schedule #${scheduleId}...`
+    );
+    await stopCurrentPlayback();
+
+    let playbackSuccessful = true;
+    let preempted = false;
+
+    const itemTransitions = await store.loadItemTransitions(queue);
+    const transitionAt = (index) =>
+      itemTransitions.get(queue[index].playlistItemId) ||
+      serializeTransition(schedule);
+    let preloadedNext = false;
+
+    for (let i = startPoint?.startIndex ?? 0; i < queue.length; i++) {
+      const m = queue[i];
+      const isStartItem = !!startPoint && i === startPoint.startIndex;
+      const isResumedItem = !!resume && isStartItem;
+      const offsetMs = isStartItem ? startPoint.offsetMs : 0;
+
+      if (_hardEndAt && clock.now() >= _hardEndAt) {
+        console.log(
+          `[Scheduler] Schedule #${scheduleId} reached its hard end; dropping ${
+            queue.length - i
+          } remaining item(s).`
+        );
+        break;
+      }
+
+      // Respect hard abort
+      if (_forceAbortAll) {
+        console.log(
+          `[Scheduler] Force abort flag set while running schedule #${scheduleId}, breaking playlist loop.`
+        );
+        playbackSuccessful = false;
+        break;
+      }
+
+      try {
+        if (_cancelRequested) {
+          console.log(
+            `[Scheduler] Schedule #${scheduleId} cancel requested before item ${i}, aborting playlist.`
+          );
+          playbackSuccessful = false;
+          break;
+        }
+
+        while (_paused && !_cancelRequested && !_forceAbortAll) {
+          await clock.sleep(200);
+        }
+        if (_cancelRequested || _forceAbortAll) {
+          playbackSuccessful = false;
+          break;
+        }
+
+        _runningJob = {
+          scheduleId,
+          playlistId,
+          occurrenceAt,
+          currentIndex: i,
+          mediaId: m.id,
+          fileName: m.fileName,
+        };
+
+        console.log(
+          `[Scheduler] (#${scheduleId}) Playing [${i + 1}/${queue.length}] ${
+            m.fileName
+          }`
+        );
+        await saveRunPosition(runId, i, new Date(clock.now() - offsetMs));
+        const result = await playMediaAndWait(m, scheduleId, i, queue.length, {
+          offsetMs,
+          resumed: isResumedItem,
+          transition: transitionAt(i),
+          preloaded: preloadedNext,
+          next: () =>
+            i + 1 < queue.length
+              ? { media: queue[i + 1], transition: transitionAt(i + 1) }
+              : null,
+        });
+        preloadedNext = !!result?.handedOver;
+
+        if (
+          _preemptAtItemEnd &&
+          i < queue.length - 1 &&
+          !_cancelRequested &&
+          !_forceAbortAll
+        ) {
+          console.log(
+            `[Scheduler] Schedule #${scheduleId} preempted at end of item ${i}.`
+          );
+          preempted = true;
+          break;
+        }
+      } catch (err) {
+        console.warn(
+          `[Scheduler] Error playing "${m?.fileName || "unknown"}":`,
+          err?.message || err
+        );
+        preloadedNext = false;
+        playbackSuccessful = false;
+        emitEvent("playback_error", {
+          scheduleId,
+          playlistId,
+          media: m,
+          error: err?.message || err,
+          timestamp: new Date(clock.now()),
+        });
+        await recordRunError(i, m, err);
+      }
+    }
+
+    await stopCurrentPlayback();
+    _preemptAtItemEnd = false;
+    // Don't clear a hard end set by a schedule that took over after a stop
+    if (hardEndAt && _hardEndAt === hardEndAt.getTime()) _hardEndAt = null;
+
+    if (preempted) {
+      await finishRun(runId, "PREEMPTED");
+
+      emitEvent("schedule_stopped", {
+        scheduleId,
+        playlistId,
+        reason: "preempted",
+        timestamp: new Date(clock.now()),
+      });
+
+      try {
+        await retireSchedule(scheduleId, playlistId, "preempted", occurrenceAt);
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not retire preempted schedule #${scheduleId}:`,
+          e?.message || e
+        );
+      }
+
+      _runningJob = null;
+      _currentPlayingMedia = null;
+      _currentMediaStartTime = null;
+      _currentMediaDurationMs = null;
+      _currentSchedulePlaylist = null;
+      _liveQueue = null;
+      return;
+    }
+
+    if (_cancelRequested || _forceAbortAll) {
+      console.log(
+        `[Scheduler] Schedule #${scheduleId} cancelled/aborted by user, retiring schedule.`
+      );
+
+      emitEvent("schedule_stopped", {
+        scheduleId,
+        playlistId,
+        reason: _forceAbortAll ? "user_stop_force" : "user_stop",
+        timestamp: new Date(clock.now()),
+      });
+
+      // No-op if stopCurrentSchedule already closed it as STOPPED/PREEMPTED
+      await finishRun(runId, "STOPPED");
+
+      try {
+        await retireSchedule(scheduleId, playlistId, "stopped", occurrenceAt);
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not retire cancelled schedule #${scheduleId}:`,
+          e?.message || e
+        );
+      }
+
+      _cancelRequested = false;
+      _runningJob = null;
+      _currentPlayingMedia = null;
+      _currentMediaStartTime = null;
+      _currentMediaDurationMs = null;
+      await unclaim(scheduleId);
+      return;
+    }
+
+    if (playbackSuccessful) {
+      await finishRun(runId, "COMPLETED");
+
+      try {
+        emitEvent("schedule_completed", {
+          scheduleId,
+          playlistId,
+          timestamp: new Date(clock.now()),
+        });
+
+        await retireSchedule(scheduleId, playlistId, "completed", occurrenceAt);
+        console.log(`[Scheduler] Schedule #${scheduleId} completed; retired.`);
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not retire schedule #${scheduleId}:`,
+          e?.message || e
+        );
+
+        emitEvent("schedule_deletion_error", {
+          scheduleId,
+          error: e?.message || e,
+          timestamp: new Date(clock.now()),
+        });
+      }
+    } else {
+      console.warn(
+        `[Scheduler] Schedule #${scheduleId} had playback errors; keeping in database for retry (if not already deleted).`
+      );
+
+      await finishRun(runId, "FAILED");
+
+      emitEvent("schedule_failed", {
+        scheduleId,
+        playlistId,
+        reason: "playback_errors",
+        timestamp: new Date(clock.now()),
+      });
+
+      await unclaim(scheduleId);
+    }
+
+    _runningJob = null;
+    _currentPlayingMedia = null;
+    _currentMediaStartTime = null;
+    _currentMediaDurationMs = null;
+    _currentSchedulePlaylist = null;
+    _liveQueue = null;
+  }
+
+  async function processScheduleQueue() {
+    if (_isProcessingQueue || _scheduleQueue.length === 0) {
+      return;
+    }
+
+    _isProcessingQueue = true;
+    const generation = _queueGeneration;
+
+    try {
+      _scheduleQueue.sort(compareSchedules);
+
+      // Schedules may be inserted while we run (deferred preemption), so take
+      // them off the front one at a time instead of iterating a snapshot.
+      while (_scheduleQueue.length && generation === _queueGeneration) {
+        const schedule = _scheduleQueue.shift();
+
+        if (_forceAbortAll) {
+          console.log(
+            "[Scheduler] Force abort flag set, breaking out of schedule queue loop."
+          );
+          break;
+        }
+
+        if (_claimed.has(schedule.id)) {
+          console.log(
+            `[Scheduler] Schedule #${schedule.id} already claimed, skipping`
+          );
+          continue;
+        }
+
+        _claimed.add(schedule.id);
+
+        let leased = false;
+        try {
+          leased = await acquireLease(schedule);
+        } catch (e) {
+          console.warn(
+            `[Scheduler] Could not claim schedule #${schedule.id}:`,
+            e?.message || e
+          );
+        }
+        if (!leased) {
+          // Another instance airs it (or already retired this occurrence)
+          console.log(
+            `[Scheduler] Schedule #${schedule.id} claimed elsewhere, skipping`
+          );
+          _claimed.delete(schedule.id);
+          continue;
+        }
+
+        // A takeover that came due while this one waited in the queue ends
+        // it after its first item
+        _preemptAtItemEnd = _scheduleQueue.some(
+          (queued) => queued.deferred === "item_end"
+        );
+
+        try {
+          console.log(
+            `[Scheduler] Processing schedule #${schedule.id} from queue`
+          );
+          await runPlaylist(schedule);
+        } catch (err) {
+          console.error(
+            `[Scheduler] Fatal error running schedule #${schedule.id}:`,
+            err?.message || err
+          );
+          emitEvent("schedule_fatal_error", {
+            scheduleId: schedule.id,
+            error: err?.message || err,
+            timestamp: new Date(clock.now()),
+          });
+          if (_currentRun?.scheduleId === schedule.id) {
+            await finishRun(_currentRun.id, "FAILED");
+          }
+          await unclaim(schedule.id);
+        }
+      }
+    } finally {
+      // After processing (or force abort), clear queue state
+      console.log(
+        "[Scheduler] processScheduleQueue finally block - cleaning up queue state"
+      );
+      // If stopCurrentSchedule bumped the generation it already reset the
+      // queue, and a newer loop may own it by now
+      if (generation === _queueGeneration) {
+        _isProcessingQueue = false;
+        _scheduleQueue = [];
+        // Only reset _forceAbortAll if it wasn't externally set
+        if (_forceAbortAll) {
+          console.log(
+            "[Scheduler] _forceAbortAll was true, keeping flags for stopCurrentSchedule to handle"
+          );
+        } else {
+          _forceAbortAll = false;
+        }
+      }
+    }
+  }
+
+  /* ───────────────────────── Dead-air fallback ───────────────────────── */
+
+  /**
+   * Pick the next fallback item: the designated playlist in order (re-resolved,
+   * including RANDOM slots, each time it wraps around) or a random SONG that
+   * wasn't among the last few fallback picks.
+   */
+  async function nextFallbackItem(settings) {
+    if (settings.mode === "PLAYLIST") {
+      if (!settings.playlistId) return null;
+
+      if (_fallbackIndex >= _fallbackQueue.length) {
+        try {
+          const { queue } = await store.getPlaylistQueue(settings.playlistId);
+          _fallbackQueue = queue;
+        } catch (e) {
+          console.warn(
+            "[Scheduler] Failed to resolve fallback playlist:",
+            e?.message || e
+          );
+          _fallbackQueue = [];
+        }
+        _fallbackIndex = 0;
+      }
+      return _fallbackQueue[_fallbackIndex++] || null;
+    }
+
+    const media =
+      (await store.pickRandomMedia("SONG", _fallbackRecent)) ||
+      (await store.pickRandomMedia("SONG"));
+    if (media) {
+      _fallbackRecent = [..._fallbackRecent, media.id].slice(
+        -FALLBACK_RECENT_LIMIT
+      );
+    }
+    return media;
+  }
+
+  /**
+   * Keep the air layer busy while no schedule is running. Plays until asked
+   * to stop (hard cut) or to yield at the end of the current item.
+   */
+  async function runFallback(settings) {
+    _fallbackActive = true;
+    console.log(`[Scheduler] Fallback started (${settings.mode})`);
+    emitEvent("fallback_started", {
+      mode: settings.mode,
+      playlistId: settings.playlistId ?? null,
+      timestamp: new Date(clock.now()),
+    });
+
+    let reason = "yield";
+    let played = 0;
+    try {
+      while (!_fallbackStopRequested && !_fallbackYieldAtItemEnd) {
+        const media = await nextFallbackItem(settings);
+        if (!media) {
+          // Stay off until the settings change or a schedule airs, rather
+          // than retrying (and emitting events) on every tick
+          console.warn("[Scheduler] Fallback has nothing to play; suspending.");
+          _fallbackSuspended = true;
+          reason = "nothing_to_play";
+          break;
+        }
+
+        try {
+          await playMediaAndWait(media, null, played++, null);
+        } catch (err) {
+          console.warn(
+            `[Scheduler] Fallback failed to play "${media.fileName}":`,
+            err?.message || err
+          );
+          reason = "playback_error";
+          break;
+        }
+      }
+      if (_fallbackStopRequested) reason = "stopped";
+    } finally {
+      _fallbackActive = false;
+      _fallbackStopRequested = false;
+      _fallbackYieldAtItemEnd = false;
+      console.log(`[Scheduler] Fallback ended (${reason})`);
+      emitEvent("fallback_stopped", {
+        reason,
+        timestamp: new Date(clock.now()),
+      });
+    }
+
+    if (reason === "yield") {
+      // A schedule is waiting for us; don't leave a gap until the next tick
+      tick().catch((e) =>
+        console.error("[Scheduler] Tick error:", e?.message || e)
+      );
+    }
+  }
+
+  async function stopFallback() {
+    if (!_fallbackActive) return false;
+
+    _fallbackStopRequested = true;
+    await stopCurrentPlayback();
+    while (_fallbackActive) {
+      await clock.sleep(100);
+    }
+    return true;
+  }
+
+  async function maybeStartFallback() {
+    if (_fallbackActive || _fallbackSuspended) return;
+
+    const settings = await store.getSetting(FALLBACK_SETTING);
+    if (!settings.enabled) return;
+    if (settings.mode === "PLAYLIST" && !settings.playlistId) return;
+
+    runFallback(settings).catch((e) =>
+      console.error("[Scheduler] Fallback error:", e?.message || e)
+    );
+  }
+
+  function getFallbackStatus() {
+    return {
+      active: _fallbackActive,
+      suspended: _fallbackSuspended,
+      yieldAtItemEnd: _fallbackYieldAtItemEnd,
+      playlistPosition: _fallbackIndex,
+    };
+  }
+
+  async function getFallbackSettings() {
+    return store.getSetting(FALLBACK_SETTING);
+  }
+
+  /**
+   * Update fallback settings ({ enabled?, mode?, playlistId? }).
+   * A running fallback is restarted so the new settings apply right away.
+   */
+  async function updateFallbackSettings(patch) {
+    const data = {};
+
+    if (patch.enabled !== undefined) data.enabled = !!patch.enabled;
+
+    if (patch.mode !== undefined) {
+      const mode = String(patch.mode).toUpperCase();
+      if (!FALLBACK_MODES.includes(mode)) {
+        throw new Error(`Invalid fallback mode: ${patch.mode}`);
+      }
+      data.mode = mode;
+    }
+
+    if (patch.playlistId !== undefined) {
+      if (patch.playlistId === null || patch.playlistId === "") {
+        data.playlistId = null;
+      } else {
+        const pid = parseInt(patch.playlistId, 10);
+        if (Number.isNaN(pid)) throw new Error("Invalid playlistId");
+        const playlist = await store.findPlaylist(pid);
+        if (!playlist) throw new Error("Playlist not found");
+        data.playlistId = pid;
+      }
+    }
+
+    const current = await store.getSetting(FALLBACK_SETTING);
+    const merged = { ...current, ...data };
+    if (merged.enabled && merged.mode === "PLAYLIST" && !merged.playlistId) {
+      throw new Error("PLAYLIST fallback mode requires a playlistId");
+    }
+
+    const settings = await store.updateSetting(FALLBACK_SETTING, data);
+
+    _fallbackQueue = [];
+    _fallbackIndex = 0;
+    _fallbackSuspended = false;
+
+    await stopFallback();
+    emitEvent("fallback_settings_updated", {
+      settings,
+      timestamp: new Date(clock.now()),
+    });
+
+    return settings;
+  }
+
+  /* ───────────── Break-in (emergency override) ───────────── */
+
+  /**
+   * Play one break-in item on the air layer and wait for it to finish (or
+   * for the break-in to be stopped). Errors are logged, not thrown, so the
+   * rest of the break-in still airs.
+   */
+  async function playBreakInItem(breakIn, media) {
+    const fileName = media.fileName;
+    try {
+      await playout.play(fileName, CHANNEL, LAYER, overlayOptions(media));
+    } catch (error) {
+      console.error(
+        `[Scheduler] Failed to play break-in ${fileName}:`,
+        error?.message || error
+      );
+      emitEvent("playback_error", {
+        scheduleId: null,
+        playlistId: breakIn.playlistId,
+        media,
+        breakIn: true,
+        error: error?.message || error,
+        timestamp: new Date(clock.now()),
+      });
+      return;
+    }
+
+    _currentPlayingMedia = {
+      ...media,
+      scheduleId: null,
+      playlistId: breakIn.playlistId,
+      index: breakIn.index,
+      total: breakIn.items.length,
+      startTime: new Date(clock.now()),
+      breakIn: true,
+    };
+    _currentMediaStartTime = clock.now();
+    _currentMediaDurationMs = null;
+    emitEvent("playback_started", {
+      scheduleId: null,
+      playlistId: breakIn.playlistId,
+      media,
+      index: breakIn.index,
+      total: breakIn.items.length,
+      breakIn: true,
+      timestamp: new Date(clock.now()),
+    });
+    await store.logHistory(media.id, new Date(clock.now()));
+
+    const storedMs = storedDurationMs(media);
+    const tracker = {
+      fileName,
+      playSentAt: clock.now(),
+      enabled: cfg.scheduler.endDetection === "caspar" && !!playout.layerState,
+      clipSeen: false,
+      failures: 0,
+      totalMs: storedMs,
+      remaining: storedMs,
+      startedAt: clock.now(),
+      casparPaused: false,
+      source: "timer",
+    };
+    let lastPollAt = 0;
+
+    while (tracker.remaining > 0 || (tracker.enabled && !tracker.clipSeen)) {
+      if (breakIn.stopRequested) break;
+
+      if (
+        tracker.enabled &&
+        clock.now() - lastPollAt >= cfg.scheduler.casparPollMs
+      ) {
+        lastPollAt = clock.now();
+        if (await syncWithCaspar(tracker)) break;
+        if (tracker.source === "caspar") {
+          _currentMediaStartTime = tracker.startedAt;
+          _currentMediaDurationMs = tracker.totalMs;
+        }
+      }
+
+      if (tracker.casparPaused) {
+        await clock.sleep(200);
+        continue;
+      }
+
+      const chunk = Math.min(200, Math.max(tracker.remaining, 50));
+      await clock.sleep(chunk);
+      tracker.remaining = Math.max(0, tracker.remaining - chunk);
+    }
+
+    emitEvent("playback_completed", {
+      scheduleId: null,
+      playlistId: breakIn.playlistId,
+      media,
+      breakIn: true,
+      skipped: breakIn.stopRequested,
+      timestamp: new Date(clock.now()),
+    });
+  }
+
+  async function runBreakIn(breakIn) {
+    for (; breakIn.index < breakIn.items.length; breakIn.index++) {
+      if (breakIn.stopRequested) break;
+      await playBreakInItem(breakIn, breakIn.items[breakIn.index]);
+    }
+
+    // The runner was stopped meanwhile; there is nothing to hand back to
+    if (_breakIn !== breakIn) return;
+
+    const mode = breakIn.endMode || breakIn.mode;
+    const suspended =
+      breakIn.suspendedScheduleId != null &&
+      _runningJob?.scheduleId === breakIn.suspendedScheduleId;
+
+    if (suspended && mode === "ABANDON") {
+      // The layer is still the break-in's, so this leaves it alone
+      await stopCurrentSchedule("break_in");
+    }
+
+    _breakIn = null;
+    _currentPlayingMedia = null;
+    _currentMediaStartTime = null;
+    _currentMediaDurationMs = null;
+    // A resumed schedule puts its own item back on air
+    if (!suspended || mode === "ABANDON") {
+      await stopCurrentPlayback();
+    }
+
+    console.log(
+      `[Scheduler] Break-in ended (${
+        breakIn.stopRequested ? "stopped" : "completed"
+      }); schedule ${
+        suspended ? (mode === "ABANDON" ? "abandoned" : "resumed") : "none"
+      }`
+    );
+    emitEvent("break_in_ended", {
+      mode,
+      reason: breakIn.stopRequested ? "stopped" : "completed",
+      scheduleId: breakIn.suspendedScheduleId,
+      resumed: suspended && mode === "RESUME",
+      timestamp: new Date(clock.now()),
+    });
+
+    // Due schedules (or the fallback) waited for the break-in
+    tick().catch((e) =>
+      console.error("[Scheduler] Tick error:", e?.message || e)
+    );
+  }
+
+  /**
+   * Take the air at once with `{ mediaId }` or `{ playlistId }`. The running
+   * schedule is suspended where it is; when the break-in is over it resumes
+   * from that position (mode "RESUME", default) or is stopped and retired
+   * like a manual stop ("ABANDON"). The fallback is stopped, and nothing
+   * else starts until the break-in ends.
+   * Returns the break-in status, or null when one is already on air.
+   * Throws on invalid input.
+   */
+  async function startBreakIn({ mediaId, playlistId, mode = "RESUME" } = {}) {
+    const breakInMode = String(mode).toUpperCase();
+    if (!BREAK_IN_MODES.includes(breakInMode)) {
+      throw new Error(`Invalid break-in mode: ${mode}`);
+    }
+    if ((mediaId == null) === (playlistId == null)) {
+      throw new Error("Either mediaId or playlistId is required");
+    }
+    if (_breakIn) return null;
+
+    let items;
+    let pid = null;
+    if (mediaId != null) {
+      const id = parseInt(mediaId, 10);
+      if (Number.isNaN(id)) throw new Error("Invalid mediaId");
+      items = await store.findMediaByIds([id]);
+      if (!items.length) throw new Error(`Media not found: ${mediaId}`);
+    } else {
+      pid = parseInt(playlistId, 10);
+      if (Number.isNaN(pid)) throw new Error("Invalid playlistId");
+      const playlist = await store.findPlaylist(pid);
+      if (!playlist) throw new Error("Playlist not found");
+      const { queue } = await store.getPlaylistQueue(pid);
+      if (!queue?.length) throw new Error("The playlist is empty");
+      items = queue;
+    }
+    items = items.filter((m) => m.fileName);
+    if (!items.length) throw new Error("Nothing playable in the break-in");
+    // Another request may have won while the items were being loaded
+    if (_breakIn) return null;
+
+    const breakIn = {
+      mode: breakInMode,
+      mediaId: mediaId != null ? items[0].id : null,
+      playlistId: pid,
+      items,
+      index: 0,
+      startedAt: new Date(clock.now()),
+      suspendedScheduleId: _runningJob?.scheduleId ?? null,
+      stopRequested: false,
+      endMode: null,
+    };
+
+    // Everything that would touch the air layer waits from here on
+    _breakIn = breakIn;
+    _paused = false;
+    _preloaded = null; // PLAY replaces the background
+
+    // The layer is the break-in's already, so this only ends the loop
+    await stopFallback();
+
+    console.log(
+      `[Scheduler] Break-in (${breakInMode}): ${items.length} item(s)${
+        breakIn.suspendedScheduleId != null
+          ? `, suspending schedule #${breakIn.suspendedScheduleId}`
+          : ""
+      }`
+    );
+    emitEvent("break_in_started", {
+      mode: breakInMode,
+      mediaId: breakIn.mediaId,
+      playlistId: pid,
+      items: buildDisplayItems(items),
+      scheduleId: breakIn.suspendedScheduleId,
+      timestamp: new Date(clock.now()),
+    });
+
+    runBreakIn(breakIn).catch((e) =>
+      console.error("[Scheduler] Break-in error:", e?.message || e)
+    );
+    return getBreakInStatus();
+  }
+
+  /**
+   * End the break-in early. `mode` overrides what was chosen at the start.
+   * Returns false when no break-in is on air.
+   */
+  async function stopBreakIn({ mode } = {}) {
+    if (!_breakIn) return false;
+    if (mode != null) {
+      const endMode = String(mode).toUpperCase();
+      if (!BREAK_IN_MODES.includes(endMode)) {
+        throw new Error(`Invalid break-in mode: ${mode}`);
+      }
+      _breakIn.endMode = endMode;
+    }
+
+    const breakIn = _breakIn;
+    breakIn.stopRequested = true;
+    while (_breakIn === breakIn) {
+      await clock.sleep(100);
+    }
+    return true;
+  }
+
+  function getBreakInStatus() {
+    if (!_breakIn) return null;
+    return {
+      mode: _breakIn.endMode || _breakIn.mode,
+      mediaId: _breakIn.mediaId,
+      playlistId: _breakIn.playlistId,
+      index: _breakIn.index,
+      total: _breakIn.items.length,
+      items: buildDisplayItems(_breakIn.items),
+      startedAt: _breakIn.startedAt,
+      suspendedScheduleId: _breakIn.suspendedScheduleId,
+    };
+  }
+
+  async function tick() {
+    trackActivity();
+    // Nothing takes the air from a break-in; due schedules wait for its end
+    if (_breakIn) return;
+
+    const dueSchedules = await applyMissedPolicy(await getDueSchedules());
+
+    // A due schedule still carrying another instance's (expired) lease was
+    // left behind mid-air: resume its run here if it can be resumed
+    const orphaned = dueSchedules.some(
+      (s) =>
+        s.leaseOwner &&
+        s.leaseOwner !== cfg.scheduler.instanceId &&
+        !isTaken(s.id)
+    );
+    if (orphaned && !_runningJob && !_isProcessingQueue) {
+      await recoverInterruptedRun();
+    }
+
+    if (!dueSchedules.length) {
+      if (!_runningJob && !_isProcessingQueue) {
+        await maybeStartFallback();
+      }
+      return;
+    }
+
+    if (_fallbackActive) {
+      // The fallback always gives way; only a HARD_CUT schedule cuts it
+      // mid-item, everything else waits for the current item to end.
+      const pending = dueSchedules.filter((s) => !isTaken(s.id));
+      const hardCut = pending.some(
+        (s) => !s.preemption || s.preemption === "HARD_CUT"
+      );
+
+      if (!hardCut) {
+        if (!_fallbackYieldAtItemEnd) {
+          console.log(
+            "[Scheduler] Due schedule(s) waiting for the fallback item to end."
+          );
+          _fallbackYieldAtItemEnd = true;
+        }
+        return;
+      }
+
+      console.log("[Scheduler] Due schedule(s) detected; stopping fallback.");
+      await stopFallback();
+    }
+
+    if (_runningJob || _isProcessingQueue) {
+      const runningScheduleId =
+        _runningJob?.scheduleId ?? _currentSchedulePlaylist?.scheduleId ?? null;
+      const runningPriority = _currentSchedulePlaylist?.priority ?? 0;
+      const candidates = dueSchedules.filter(
+        (schedule) => !isTaken(schedule.id) && schedule.id !== runningScheduleId
+      );
+
+      const byAction = { wait: [], item_end: [], next: [], queue: [], cut: [] };
+      for (const schedule of candidates) {
+        byAction[preemptionAction(schedule, runningPriority)].push(schedule);
+      }
+
+      if (!byAction.cut.length) {
+        // Deferred takeovers: slot them into the queue behind the running
+        // schedule (which keeps them from being re-evaluated every tick);
+        // processScheduleQueue claims each one when its turn comes. Ones
+        // that run next line up with those deferred on earlier ticks.
+        const deferred = (action) =>
+          byAction[action].map((schedule) => ({
+            ...schedule,
+            deferred: action,
+          }));
+        const runsNext = (schedule) =>
+          schedule.deferred === "item_end" || schedule.deferred === "next";
+        const ahead = [...deferred("item_end"), ...deferred("next")];
+        const behind = deferred("queue").sort(compareSchedules);
+
+        for (const schedule of [...ahead, ...behind]) {
+          emitEvent("schedule_deferred", {
+            scheduleId: schedule.id,
+            playlistId: schedule.playlistId,
+            runningScheduleId,
+            preemption: schedule.preemption,
+            timestamp: new Date(clock.now()),
+          });
+        }
+        _scheduleQueue = [
+          ...[..._scheduleQueue.filter(runsNext), ...ahead].sort(
+            compareSchedules
+          ),
+          ..._scheduleQueue.filter((queued) => !runsNext(queued)),
+          ...behind,
+        ];
+
+        if (byAction.item_end.length) {
+          console.log(
+            "[Scheduler] Due schedule(s) will take over at the end of the current item."
+          );
+          _preemptAtItemEnd = true;
+        }
+
+        if (!ahead.length && !behind.length) {
+          console.log(
+            `[Scheduler] Tick skipped - job running: ${!!_runningJob}, queue processing: ${_isProcessingQueue}, waiting: ${
+              byAction.wait.length
+            }`
+          );
+        } else if (!_isProcessingQueue) {
+          processScheduleQueue().catch((e) =>
+            console.error(
+              "[Scheduler] Queue processing error:",
+              e?.message || e
+            )
+          );
+        }
+        return;
+      }
+
+      console.log(
+        "[Scheduler] New due schedule(s) detected during playback; preempting current schedule."
+      );
+      await stopCurrentSchedule("preempted");
+
+      const refreshedDue = await applyMissedPolicy(await getDueSchedules());
+      const refreshedNew = refreshedDue.filter(
+        (schedule) => !isTaken(schedule.id)
+      );
+
+      if (!refreshedNew.length) {
+        return;
+      }
+
+      _scheduleQueue.push(...refreshedNew.sort(compareSchedules));
+      processScheduleQueue().catch((e) =>
+        console.error("[Scheduler] Queue processing error:", e?.message || e)
+      );
+      return;
     }
 
     console.log(
-      "[Scheduler] New due schedule(s) detected during playback; preempting current schedule."
+      `[Scheduler] Found ${dueSchedules.length} due schedules:`,
+      dueSchedules,
+      `claimed:`,
+      Array.from(_claimed)
+    );
+
+    const newSchedules = dueSchedules.filter(
+      (schedule) => !isTaken(schedule.id)
     );
-    await stopCurrentSchedule();
 
-    const refreshedDue = await getDueSchedules();
-    const refreshedNew = refreshedDue.filter(
-      (schedule) => !_claimed.has(schedule.id)
+    if (newSchedules.length > 0) {
+      console.log(
+        `[Scheduler] Adding ${newSchedules.length} new schedules to queue`
+      );
+      _scheduleQueue.push(...newSchedules);
+
+      processScheduleQueue().catch((e) =>
+        console.error("[Scheduler] Queue processing error:", e?.message || e)
+      );
+    }
+  }
+
+  /**
+   * Work out where an interrupted run should pick up again.
+   * Returns { startIndex, offsetMs } or null when there's nothing left to play.
+   */
+  function resumePoint(run, queue, indexMap) {
+    const savedIndex = run.currentIndex ?? 0;
+    let startIndex = indexMap.findIndex((orig) => orig >= savedIndex);
+    if (startIndex === -1) return null;
+
+    // The interrupted item itself is gone from the library; start at the next one
+    if (indexMap[startIndex] !== savedIndex || !run.currentItemStartedAt) {
+      return { startIndex, offsetMs: 0 };
+    }
+
+    const elapsedMs =
+      clock.now() - new Date(run.currentItemStartedAt).getTime();
+    const durationMs = (queue[startIndex].duration || 0) * 1000;
+
+    if (durationMs > 0 && elapsedMs >= durationMs) {
+      // It would have finished by now; move on
+      startIndex += 1;
+      return startIndex < queue.length ? { startIndex, offsetMs: 0 } : null;
+    }
+
+    return {
+      startIndex,
+      offsetMs: cfg.scheduler.resumeWithSeek ? Math.max(0, elapsedMs) : 0,
+    };
+  }
+
+  /**
+   * After a restart, find the run that was on air when the process died and
+   * queue it to resume at the saved item (and offset). Older RUNNING entries,
+   * and runs that can't be resumed, are closed as FAILED.
+   */
+  async function recoverInterruptedRun() {
+    const runs = await store.findInterruptedRuns(output);
+    if (!runs.length) return;
+
+    const [latest, ...stale] = runs;
+    const schedule =
+      latest.scheduleId != null
+        ? await store.findSchedule(latest.scheduleId)
+        : null;
+    // Still on air on another instance: not ours to recover
+    if (schedule && leasedElsewhere(schedule, clock.now())) return;
+
+    for (const run of stale) {
+      await finishRun(run.id, "FAILED");
+    }
+
+    const abandon = async (why) => {
+      console.log(
+        `[Scheduler] Not resuming interrupted run #${latest.id}: ${why}`
+      );
+      await finishRun(latest.id, "FAILED");
+    };
+
+    if (!cfg.scheduler.resumeOnRestart) {
+      return abandon("resume on restart is disabled");
+    }
+
+    const lastSeen = latest.currentItemStartedAt || latest.startedAt;
+    const ageMinutes = (clock.now() - new Date(lastSeen).getTime()) / 60000;
+    if (ageMinutes > cfg.scheduler.resumeMaxAgeMinutes) {
+      return abandon(`interrupted ${Math.round(ageMinutes)} minutes ago`);
+    }
+
+    if (
+      !schedule ||
+      schedule.archivedAt ||
+      (latest.scheduledFor &&
+        new Date(schedule.datetime).getTime() !==
+          new Date(latest.scheduledFor).getTime())
+    ) {
+      return abandon("schedule no longer pending");
+    }
+
+    // Rebuild the resolved queue from the run's snapshot, keeping the RANDOM
+    // picks made before the restart
+    const items = Array.isArray(latest.items) ? latest.items : [];
+    const mediaRows = await store.findMediaByIds(
+      items.map((it) => it.mediaId).filter(Boolean)
     );
+    const mediaById = new Map(mediaRows.map((m) => [m.id, m]));
+
+    const queue = [];
+    const indexMap = [];
+    items.forEach((it, originalIndex) => {
+      const media = mediaById.get(it.mediaId);
+      if (!media || !media.fileName) return;
+      queue.push({
+        ...media,
+        playlistItemId: it.playlistItemId ?? null,
+        playlistItemKind: it.kind || "FIXED",
+        randomType: it.randomType || null,
+      });
+      indexMap.push(originalIndex);
+    });
 
-    if (!refreshedNew.length) {
-      return;
+    const point = queue.length ? resumePoint(latest, queue, indexMap) : null;
+    if (!point) {
+      return abandon("nothing left to play");
     }
 
-    _scheduleQueue.push(...refreshedNew);
+    console.log(
+      `[Scheduler] Resuming schedule #${schedule.id} (run #${latest.id}) at item ${point.startIndex}, offset ${point.offsetMs}ms`
+    );
+
+    _scheduleQueue.push({
+      id: schedule.id,
+      playlistId: schedule.playlistId,
+      datetime: schedule.datetime,
+      priority: schedule.priority,
+      preemption: schedule.preemption,
+      hardEnd: schedule.hardEnd,
+      durationSeconds: schedule.durationSeconds,
+      trimMode: schedule.trimMode,
+      fillGaps: schedule.fillGaps,
+      transition: schedule.transition,
+      transitionFrames: schedule.transitionFrames,
+      output: schedule.output,
+      resume: {
+        runId: latest.id,
+        queue,
+        displayItems: buildDisplayItems(queue),
+        playlistTitle: latest.playlistTitle || `PL${schedule.playlistId}`,
+        errors: Array.isArray(latest.errors) ? latest.errors : [],
+        ...point,
+      },
+    });
+
     processScheduleQueue().catch((e) =>
       console.error("[Scheduler] Queue processing error:", e?.message || e)
     );
-    return;
   }
 
-  console.log(
-    `[Scheduler] Found ${dueSchedules.length} due schedules:`,
-    dueSchedules,
-    `claimed:`,
-    Array.from(_claimed)
-  );
-
-  const newSchedules = dueSchedules.filter(
-    (schedule) => !_claimed.has(schedule.id)
-  );
+  function startScheduleRunner() {
+    if (_started) {
+      console.log("[Scheduler] Already started, skipping");
+      return;
+    }
+    _started = true;
 
-  if (newSchedules.length > 0) {
     console.log(
-      `[Scheduler] Adding ${newSchedules.length} new schedules to queue`
+      `[Scheduler] Starting schedule runner for output "${output.name}" (${CHANNEL}-${LAYER})...`
     );
-    _scheduleQueue.push(...newSchedules);
 
-    processScheduleQueue().catch((e) =>
-      console.error("[Scheduler] Queue processing error:", e?.message || e)
-    );
+    // Recover before the first tick, otherwise the interrupted schedule would
+    // be picked up as due and replayed from the start
+    recoverInterruptedRun()
+      .catch((e) =>
+        console.error("[Scheduler] Recovery error:", e?.message || e)
+      )
+      .finally(() => {
+        if (!_started || _tickHandle) return;
+        _tickHandle = clock.setInterval(() => {
+          tick().catch((e) =>
+            console.error("[Scheduler] Tick error:", e?.message || e)
+          );
+        }, TICK_MS);
+      });
+
+    _leaseHandle = clock.setInterval(() => {
+      renewLeases().catch((e) =>
+        console.error("[Scheduler] Lease renewal error:", e?.message || e)
+      );
+    }, Math.max(1000, Math.floor(cfg.scheduler.leaseMs / 3)));
   }
-}
 
-export function startScheduleRunner() {
-  if (_started) {
-    console.log("[Scheduler] Already started, skipping");
-    return;
+  function stopScheduleRunner() {
+    if (_tickHandle) {
+      clock.clearInterval(_tickHandle);
+      _tickHandle = null;
+    }
+    if (_leaseHandle) {
+      clock.clearInterval(_leaseHandle);
+      _leaseHandle = null;
+    }
+    // Hand the leases back so another instance can take over right away
+    for (const scheduleId of Array.from(_leases)) {
+      releaseLease(scheduleId);
+    }
+    _started = false;
+    if (_breakIn) _breakIn.stopRequested = true;
+    _breakIn = null;
+    _currentPlayingMedia = null;
+    _currentMediaStartTime = null;
+    _currentMediaDurationMs = null;
+    _currentSchedulePlaylist = null;
+    _liveQueue = null;
+    _scheduleQueue = [];
+    _isProcessingQueue = false;
+    _claimed.clear();
+    _paused = false;
+    _cancelRequested = false;
+    _skipRequested = false;
+    _restartRequested = false;
+    _seekRequestMs = null;
+    _preemptAtItemEnd = false;
+    _hardEndAt = null;
+    _forceAbortAll = false;
+    _runningJob = null;
+    _currentRun = null;
+    // Whatever is due while stopped counts as missed
+    _idleFrom = -Infinity;
+    _busyFrom = null;
+    // Let a running fallback loop wind down on its own
+    _fallbackStopRequested = _fallbackActive;
+    console.log(`[Scheduler] Stopped runner for output "${output.name}"`);
   }
-  _started = true;
 
-  console.log("[Scheduler] Starting schedule runner...");
-  _tickHandle = setInterval(() => {
-    tick().catch((e) =>
-      console.error("[Scheduler] Tick error:", e?.message || e)
-    );
-  }, TICK_MS);
-}
+  function getSchedulerStatus() {
+    return {
+      started: _started,
+      runningJob: _runningJob,
+      currentPlayingMedia: _currentPlayingMedia,
+      currentSchedulePlaylist: _currentSchedulePlaylist,
+      claimed: Array.from(_claimed),
+      instanceId: cfg.scheduler.instanceId,
+      leases: Array.from(_leases),
+      scheduleQueue: _scheduleQueue,
+      isProcessingQueue: _isProcessingQueue,
+      tickHandle: _tickHandle !== null,
+      paused: _paused,
+      cancelRequested: _cancelRequested,
+      preemptAtItemEnd: _preemptAtItemEnd,
+      fallback: getFallbackStatus(),
+      breakIn: getBreakInStatus(),
+    };
+  }
 
-export function stopScheduleRunner() {
-  if (_tickHandle) {
-    clearInterval(_tickHandle);
-    _tickHandle = null;
-  }
-  _started = false;
-  _currentPlayingMedia = null;
-  _currentMediaStartTime = null;
-  _currentSchedulePlaylist = null;
-  _scheduleQueue = [];
-  _isProcessingQueue = false;
-  _claimed.clear();
-  _paused = false;
-  _cancelRequested = false;
-  _skipRequested = false;
-  _forceAbortAll = false;
-  _runningJob = null;
-  console.log("[Scheduler] Stopped");
-}
+  function getCurrentSchedulePlaylist() {
+    return _currentSchedulePlaylist;
+  }
 
-export function getSchedulerStatus() {
-  return {
-    started: _started,
-    runningJob: _runningJob,
-    currentPlayingMedia: _currentPlayingMedia,
-    currentSchedulePlaylist: _currentSchedulePlaylist,
-    claimed: Array.from(_claimed),
-    scheduleQueue: _scheduleQueue,
-    isProcessingQueue: _isProcessingQueue,
-    tickHandle: _tickHandle !== null,
-    paused: _paused,
-    cancelRequested: _cancelRequested,
-  };
-}
+  // Queue of the schedule on air, or null when none is playing
+  function liveQueue() {
+    if (!_runningJob || !_liveQueue) return null;
+    if (_currentSchedulePlaylist?.scheduleId !== _runningJob.scheduleId) {
+      return null;
+    }
+    return _liveQueue;
+  }
 
-export function getCurrentSchedulePlaylist() {
-  return _currentSchedulePlaylist;
-}
+  /**
+   * Edit the upcoming part of the running schedule's queue:
+   *   { action: "play_next" | "append", mediaId }
+   *   { action: "remove", index }
+   *   { action: "move", from, to }
+   *   { action: "replace", index, mediaId? } - RANDOM picks only; without
+   *     `mediaId` another item of the slot's random type is drawn
+   * Indexes are queue positions (see getCurrentSchedulePlaylist); only items
+   * after the one on air can be changed. Returns the updated playlist, or
+   * false when no schedule is running. Throws on an invalid edit.
+   */
+  async function editCurrentQueue(edit = {}) {
+    const queue = liveQueue();
+    if (!queue) {
+      console.log("[Scheduler] editCurrentQueue: no running job");
+      return false;
+    }
 
-export async function pauseCurrentSchedule() {
-  if (!_runningJob) {
-    console.log("[Scheduler] pauseCurrentSchedule: no running job");
-    return false;
+    const firstEditable = () => (_runningJob?.currentIndex ?? -1) + 1;
+    const upcomingIndex = (raw, label) => {
+      const index = parseInt(raw, 10);
+      if (
+        Number.isNaN(index) ||
+        index < firstEditable() ||
+        index >= queue.length
+      ) {
+        throw new Error(`${label} must be an upcoming item (${raw})`);
+      }
+      return index;
+    };
+    const loadMedia = async (mediaId) => {
+      const id = parseInt(mediaId, 10);
+      if (Number.isNaN(id)) throw new Error("mediaId is required");
+      const [media] = await store.findMediaByIds([id]);
+      if (!media) throw new Error(`Media not found: ${mediaId}`);
+      if (!media.fileName) throw new Error(`Media #${id} has no file`);
+      return media;
+    };
+    // The schedule may have ended while the media was being looked up
+    const stillLive = () => {
+      if (liveQueue() !== queue) {
+        throw new Error("The schedule ended before the queue was edited");
+      }
+    };
+
+    let change;
+    switch (edit.action) {
+      case "play_next":
+      case "append": {
+        const media = await loadMedia(edit.mediaId);
+        stillLive();
+        const index =
+          edit.action === "play_next" ? firstEditable() : queue.length;
+        queue.splice(index, 0, {
+          ...media,
+          playlistItemId: null,
+          playlistItemKind: "INSERTED",
+          randomType: null,
+        });
+        change = { index, mediaId: media.id };
+        break;
+      }
+      case "remove": {
+        const index = upcomingIndex(edit.index, "index");
+        const [removed] = queue.splice(index, 1);
+        change = { index, mediaId: removed.id };
+        break;
+      }
+      case "move": {
+        const from = upcomingIndex(edit.from, "from");
+        const to = upcomingIndex(edit.to, "to");
+        const [item] = queue.splice(from, 1);
+        queue.splice(to, 0, item);
+        change = { from, to, mediaId: item.id };
+        break;
+      }
+      case "replace": {
+        const index = upcomingIndex(edit.index, "index");
+        const slot = queue[index];
+        if (slot.playlistItemKind !== "RANDOM") {
+          throw new Error(`Item ${index} is not a RANDOM pick`);
+        }
+        const randomType = slot.randomType || "SONG";
+        const media =
+          edit.mediaId != null
+            ? await loadMedia(edit.mediaId)
+            : await store.pickRandomMedia(
+                randomType,
+                queue.map((m) => m.id),
+                slot.randomCriteria
+              );
+        if (!media) throw new Error(`No other ${randomType} to pick`);
+        stillLive();
+        if (queue[index] !== slot) {
+          throw new Error("The queue changed meanwhile; try again");
+        }
+        queue[index] = {
+          ...media,
+          playlistItemId: slot.playlistItemId,
+          playlistItemKind: "RANDOM",
+          randomType: slot.randomType,
+          randomCriteria: slot.randomCriteria,
+        };
+        change = { index, mediaId: media.id, replacedMediaId: slot.id };
+        break;
+      }
+      default:
+        throw new Error(`Unknown queue action: ${edit.action}`);
+    }
+
+    _currentSchedulePlaylist.items = buildDisplayItems(queue);
+    console.log(
+      `[Scheduler] Queue of schedule #${_runningJob.scheduleId} edited: ${edit.action}`
+    );
+
+    if (_currentRun) {
+      try {
+        await store.saveRunQueue(_currentRun.id, queue);
+      } catch (e) {
+        console.warn(
+          `[Scheduler] Could not save edited queue of run #${_currentRun.id}:`,
+          e?.message || e
+        );
+      }
+    }
+
+    emitEvent("queue_updated", {
+      scheduleId: _currentSchedulePlaylist.scheduleId,
+      playlistId: _currentSchedulePlaylist.playlistId,
+      action: edit.action,
+      ...change,
+      currentIndex: _runningJob?.currentIndex ?? null,
+      items: _currentSchedulePlaylist.items,
+      timestamp: new Date(clock.now()),
+    });
+
+    return _currentSchedulePlaylist;
   }
-  if (_paused) return true;
 
-  _paused = true;
+  async function pauseCurrentSchedule() {
+    if (!_runningJob) {
+      console.log("[Scheduler] pauseCurrentSchedule: no running job");
+      return false;
+    }
+    if (_breakIn) {
+      console.log("[Scheduler] pauseCurrentSchedule: break-in on air");
+      return false;
+    }
+    if (_paused) return true;
+
+    _paused = true;
 
-  try {
-    await casparPause(CHANNEL, LAYER);
-  } catch (e) {
-    console.warn(
-      "[Scheduler] pauseCurrentSchedule casparPause error:",
-      e?.message || e
-    );
+    try {
+      await playout.pause(CHANNEL, LAYER);
+    } catch (e) {
+      console.warn(
+        "[Scheduler] pauseCurrentSchedule casparPause error:",
+        e?.message || e
+      );
+    }
+
+    emitEvent("schedule_paused", {
+      scheduleId: _runningJob.scheduleId,
+      playlistId: _runningJob.playlistId,
+      mediaId: _runningJob.mediaId,
+      timestamp: new Date(clock.now()),
+    });
+
+    return true;
   }
 
-  emitEvent("schedule_paused", {
-    scheduleId: _runningJob.scheduleId,
-    playlistId: _runningJob.playlistId,
-    mediaId: _runningJob.mediaId,
-    timestamp: new Date(),
-  });
+  async function resumeCurrentSchedule() {
+    if (!_runningJob) {
+      console.log("[Scheduler] resumeCurrentSchedule: no running job");
+      return false;
+    }
+    if (_breakIn) {
+      console.log("[Scheduler] resumeCurrentSchedule: break-in on air");
+      return false;
+    }
+    if (!_paused) return true;
 
-  return true;
-}
+    _paused = false;
 
-export async function resumeCurrentSchedule() {
-  if (!_runningJob) {
-    console.log("[Scheduler] resumeCurrentSchedule: no running job");
-    return false;
+    try {
+      await playout.resume(CHANNEL, LAYER);
+    } catch (e) {
+      console.warn(
+        "[Scheduler] resumeCurrentSchedule casparResume error:",
+        e?.message || e
+      );
+    }
+
+    emitEvent("schedule_resumed", {
+      scheduleId: _runningJob.scheduleId,
+      playlistId: _runningJob.playlistId,
+      mediaId: _runningJob.mediaId,
+      timestamp: new Date(clock.now()),
+    });
+
+    return true;
   }
-  if (!_paused) return true;
 
-  _paused = false;
+  /**
+   * Stop the running schedule immediately and reset all runner state.
+   * `reason` is echoed in the schedule_stopped event; "preempted" marks the
+   * run log entry as PREEMPTED instead of STOPPED.
+   */
+  async function stopCurrentSchedule(reason = "user_stop_force") {
+    if (reason === "manual_caspar_play") {
+      // An operator took over the air layer by hand: get the fallback out of
+      // the way and keep it from restarting on top of them
+      _fallbackSuspended = true;
+      await stopFallback();
+    }
+
+    // If nothing is running and nothing is processing, nothing to stop
+    if (!_runningJob && !_isProcessingQueue) {
+      console.log("[Scheduler] stopCurrentSchedule: no running job/queue");
+      return false;
+    }
+
+    const scheduleId =
+      _runningJob?.scheduleId ??
+      _currentSchedulePlaylist?.scheduleId ??
+      _currentPlayingMedia?.scheduleId ??
+      null;
+    const playlistId = _runningJob?.playlistId ?? null;
+    const mediaId = _runningJob?.mediaId ?? null;
+    const occurrenceAt = _runningJob?.occurrenceAt ?? null;
+    const runId = _currentRun?.id ?? null;
 
-  try {
-    await casparResume(CHANNEL, LAYER);
-  } catch (e) {
-    console.warn(
-      "[Scheduler] resumeCurrentSchedule casparResume error:",
-      e?.message || e
+    console.log(
+      "[Scheduler] stopCurrentSchedule called for schedule:",
+      scheduleId,
+      "playlist:",
+      playlistId
     );
-  }
 
-  emitEvent("schedule_resumed", {
-    scheduleId: _runningJob.scheduleId,
-    playlistId: _runningJob.playlistId,
-    mediaId: _runningJob.mediaId,
-    timestamp: new Date(),
-  });
+    // Flags: tell loops to abort ASAP
+    _cancelRequested = true;
+    _paused = false;
+    _skipRequested = false;
+    _restartRequested = false;
+    _seekRequestMs = null;
+    _preemptAtItemEnd = false;
+    _hardEndAt = null;
+    _forceAbortAll = true;
+    _queueGeneration += 1;
+
+    // Immediately stop Caspar playback, unless the schedule was taken over
+    // by another instance that is airing it on the same layer now, or a
+    // break-in has the layer
+    if (reason !== "lease_lost" && !_breakIn) {
+      await dropPreloaded();
+      try {
+        await playout.stop(CHANNEL, LAYER);
+      } catch (e) {
+        console.warn(
+          "[Scheduler] stopCurrentSchedule casparStop error:",
+          e?.message || e
+        );
+      }
+    } else {
+      _preloaded = null;
+    }
 
-  return true;
-}
+    await finishRun(runId, reason === "preempted" ? "PREEMPTED" : "STOPPED");
 
-export async function stopCurrentSchedule() {
-  // If nothing is running and nothing is processing, nothing to stop
-  if (!_runningJob && !_isProcessingQueue) {
-    console.log("[Scheduler] stopCurrentSchedule: no running job/queue");
-    return false;
-  }
+    // Immediately retire the schedule (delete, or move a recurring one to its
+    // next occurrence) if we know its ID
+    if (scheduleId != null) {
+      try {
+        await retireSchedule(scheduleId, playlistId, "stopped", occurrenceAt);
+        console.log(
+          `[Scheduler] stopCurrentSchedule: schedule #${scheduleId} retired immediately.`
+        );
+      } catch (e) {
+        console.warn(
+          `[Scheduler] stopCurrentSchedule: could not retire schedule #${scheduleId}:`,
+          e?.message || e
+        );
+      }
 
-  const scheduleId =
-    _runningJob?.scheduleId ??
-    _currentSchedulePlaylist?.scheduleId ??
-    _currentPlayingMedia?.scheduleId ??
-    null;
-  const playlistId = _runningJob?.playlistId ?? null;
-  const mediaId = _runningJob?.mediaId ?? null;
+      // Clean up in-memory tracking for this schedule
+      await unclaim(scheduleId);
+      _scheduleQueue = _scheduleQueue.filter((s) => s.id !== scheduleId);
+    }
 
-  console.log(
-    "[Scheduler] stopCurrentSchedule called for schedule:",
-    scheduleId,
-    "playlist:",
-    playlistId
-  );
+    // Wait a bit for the runPlaylist to detect the abort flags and finish
+    await clock.sleep(1000); // Increased from 500ms to 1000ms
 
-  // Flags: tell loops to abort ASAP
-  _cancelRequested = true;
-  _paused = false;
-  _skipRequested = false;
-  _forceAbortAll = true;
+    emitEvent("schedule_stopped", {
+      scheduleId,
+      playlistId,
+      reason,
+      timestamp: new Date(clock.now()),
+    });
 
-  // Immediately stop Caspar playback
-  try {
-    await casparStop(CHANNEL, LAYER);
-  } catch (e) {
-    console.warn(
-      "[Scheduler] stopCurrentSchedule casparStop error:",
-      e?.message || e
+    // Clear current job & media so tick() doesn't think something is running
+    _runningJob = null;
+    _currentPlayingMedia = null;
+    _currentMediaStartTime = null;
+    _currentMediaDurationMs = null;
+    _currentSchedulePlaylist = null;
+    _liveQueue = null;
+
+    // Mark queue processing as done from the scheduler's POV
+    _isProcessingQueue = false;
+    _scheduleQueue = [];
+
+    // Reset all control flags to ensure clean state
+    _cancelRequested = false;
+    _forceAbortAll = false;
+    _paused = false;
+    _skipRequested = false;
+    _restartRequested = false;
+    _seekRequestMs = null;
+
+    // Clear the claimed set completely
+    _claimed.clear();
+
+    console.log(
+      "[Scheduler] stopCurrentSchedule: ALL state forcefully cleared"
     );
+
+    return {
+      cancelled: true,
+      scheduleId,
+      playlistId,
+      mediaId,
+    };
   }
 
-  // Immediately remove schedule from DB if we know its ID
-  if (scheduleId != null) {
+  async function nextInCurrentSchedule() {
+    if (!_runningJob) {
+      console.log("[Scheduler] nextInCurrentSchedule: no running job");
+      return false;
+    }
+    if (_breakIn) {
+      console.log("[Scheduler] nextInCurrentSchedule: break-in on air");
+      return false;
+    }
+
+    _skipRequested = true;
+    // Skipping while paused moves on to the next item rather than staying paused
+    _paused = false;
+
+    await dropPreloaded();
     try {
-      await prisma.schedule.delete({ where: { id: Number(scheduleId) } });
-      console.log(
-        `[Scheduler] stopCurrentSchedule: schedule #${scheduleId} removed from database immediately.`
-      );
+      await playout.stop(CHANNEL, LAYER);
     } catch (e) {
       console.warn(
-        `[Scheduler] stopCurrentSchedule: could not delete schedule #${scheduleId}:`,
+        "[Scheduler] nextInCurrentSchedule casparStop error:",
         e?.message || e
       );
     }
 
-    // Clean up in-memory tracking for this schedule
-    _claimed.delete(scheduleId);
-    _scheduleQueue = _scheduleQueue.filter((s) => s.id !== scheduleId);
+    emitEvent("schedule_next_requested", {
+      scheduleId: _runningJob.scheduleId,
+      playlistId: _runningJob.playlistId,
+      mediaId: _runningJob.mediaId,
+      timestamp: new Date(clock.now()),
+    });
+
+    return true;
   }
 
-  // Wait a bit for the runPlaylist to detect the abort flags and finish
-  await sleep(1000); // Increased from 500ms to 1000ms
+  /**
+   * Restart the current item from the beginning. The playback loop re-sends
+   * PLAY and resets its timer, so progress events start again from 0.
+   * A paused item is resumed by the restart.
+   */
+  async function restartCurrentItem() {
+    if (!_runningJob || !_currentPlayingMedia) {
+      console.log("[Scheduler] restartCurrentItem: nothing playing");
+      return false;
+    }
+    if (_breakIn) {
+      console.log("[Scheduler] restartCurrentItem: break-in on air");
+      return false;
+    }
 
-  emitEvent("schedule_stopped", {
-    scheduleId,
-    playlistId,
-    reason: "user_stop_force",
-    timestamp: new Date(),
-  });
+    _restartRequested = true;
+    _paused = false;
 
-  emitEvent("schedule_deleted", {
-    scheduleId,
-    playlistId,
-    reason: "stopped",
-    timestamp: new Date(),
-  });
+    emitEvent("schedule_restart_requested", {
+      scheduleId: _runningJob.scheduleId,
+      playlistId: _runningJob.playlistId,
+      mediaId: _runningJob.mediaId,
+      timestamp: new Date(clock.now()),
+    });
 
-  // Clear current job & media so tick() doesn't think something is running
-  _runningJob = null;
-  _currentPlayingMedia = null;
-  _currentMediaStartTime = null;
-  _currentSchedulePlaylist = null;
+    return true;
+  }
 
-  // Mark queue processing as done from the scheduler's POV
-  _isProcessingQueue = false;
-  _scheduleQueue = [];
+  /**
+   * Jump to `positionMs` within the current item (schedule or fallback)
+   * with Caspar CALL SEEK. The playback loop moves its timer to match, so
+   * the remaining time and progress events follow; a paused item stays
+   * paused. Positions past the end finish the item.
+   */
+  async function seekCurrentItem(positionMs) {
+    if (!_currentPlayingMedia) {
+      console.log("[Scheduler] seekCurrentItem: nothing playing");
+      return false;
+    }
+    if (_breakIn) {
+      console.log("[Scheduler] seekCurrentItem: break-in on air");
+      return false;
+    }
 
-  // Reset all control flags to ensure clean state
-  _cancelRequested = false;
-  _forceAbortAll = false;
-  _paused = false;
-  _skipRequested = false;
+    _seekRequestMs = Math.max(0, Math.floor(positionMs));
 
-  // Clear the claimed set completely
-  _claimed.clear();
+    emitEvent("schedule_seek_requested", {
+      scheduleId: _runningJob?.scheduleId ?? null,
+      playlistId: _runningJob?.playlistId ?? null,
+      mediaId: _currentPlayingMedia.id ?? null,
+      positionMs: _seekRequestMs,
+      timestamp: new Date(clock.now()),
+    });
 
-  console.log("[Scheduler] stopCurrentSchedule: ALL state forcefully cleared");
+    return true;
+  }
 
   return {
-    cancelled: true,
-    scheduleId,
-    playlistId,
-    mediaId,
+    name: output.name,
+    output,
+    start: startScheduleRunner,
+    stop: stopScheduleRunner,
+    onEvent: onSchedulerEvent,
+    getStatus: getSchedulerStatus,
+    getCurrentPlayingMedia,
+    getCurrentSchedulePlaylist,
+    getFallbackStatus,
+    getFallbackSettings,
+    updateFallbackSettings,
+    pauseCurrentSchedule,
+    resumeCurrentSchedule,
+    stopCurrentSchedule,
+    nextInCurrentSchedule,
+    restartCurrentItem,
+    seekCurrentItem,
+    editCurrentQueue,
+    startBreakIn,
+    stopBreakIn,
+    getBreakInStatus,
   };
 }
 
-// Backwards-compatible alias
-export async function cancelCurrentSchedule() {
-  return stopCurrentSchedule();
+/* ───────────────────────── Environment ───────────────────────── */
+
+/**
+ * What a runner talks to on air: the wall clock, CasparCG and the database.
+ * The simulator (schedulerSimulation.js) swaps these for a virtual clock, a
+ * silent playout and an in-memory store.
+ */
+export function createLiveEnvironment() {
+  const clock = {
+    now: () => Date.now(),
+    sleep,
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: (handle) => clearInterval(handle),
+  };
+
+  const playout = {
+    play: casparPlay,
+    stop: casparStop,
+    pause: casparPause,
+    resume: casparResume,
+    seek: casparSeek,
+    fadeVolume: casparFadeVolume,
+    layerState: casparLayerState,
+    loadBg: casparLoadBg,
+    clearBackground: casparClearBackground,
+    announce: casparAnnounceMedia,
+  };
+
+  const store = {
+    getDueSchedules: (outputName, now) =>
+      prisma.schedule.findMany({
+        where: {
+          datetime: { lte: now },
+          archivedAt: null,
+          output: outputName,
+          OR: claimableBy(now),
+        },
+        orderBy: { datetime: "asc" },
+        select: DUE_SCHEDULE_FIELDS,
+      }),
+    // Atomic: only one instance's update can match a claimable row
+    claimSchedule: async (id, datetime, now, until) => {
+      const { count } = await prisma.schedule.updateMany({
+        where: {
+          id: Number(id),
+          datetime: new Date(datetime),
+          archivedAt: null,
+          OR: claimableBy(now),
+        },
+        data: { leaseOwner: cfg.scheduler.instanceId, leaseExpiresAt: until },
+      });
+      return count === 1;
+    },
+    renewScheduleLease: async (id, until) => {
+      const { count } = await prisma.schedule.updateMany({
+        where: { id: Number(id), leaseOwner: cfg.scheduler.instanceId },
+        data: { leaseExpiresAt: until },
+      });
+      return count === 1;
+    },
+    releaseScheduleLease: (id) =>
+      prisma.schedule.updateMany({
+        where: { id: Number(id), leaseOwner: cfg.scheduler.instanceId },
+        data: { leaseOwner: null, leaseExpiresAt: null },
+      }),
+    findSchedule: (id) =>
+      prisma.schedule.findUnique({ where: { id: Number(id) } }),
+    // `steps`: occurrences moved past (aired or skipped)
+    rescheduleSchedule: (id, datetime, steps = 1) =>
+      prisma.schedule.update({
+        where: { id: Number(id) },
+        data: {
+          datetime,
+          occurrenceCount: { increment: steps },
+          leaseOwner: null,
+          leaseExpiresAt: null,
+        },
+      }),
+    archiveSchedule: (id, at) =>
+      prisma.schedule.update({
+        where: { id: Number(id) },
+        data: { archivedAt: at, leaseOwner: null, leaseExpiresAt: null },
+      }),
+    findPlaylist: (id) =>
+      prisma.playlist.findUnique({ where: { id: Number(id) } }),
+    findMediaByIds: (ids) =>
+      prisma.media.findMany({ where: { id: { in: ids } } }),
+    findInterruptedRuns: (runnerOutput) =>
+      prisma.scheduleRun.findMany({
+        where: {
+          outcome: "RUNNING",
+          // Runs logged before outputs existed belong to the default output
+          OR: [
+            { output: runnerOutput.name },
+            ...(runnerOutput.isDefault ? [{ output: null }] : []),
+          ],
+        },
+        orderBy: { startedAt: "desc" },
+      }),
+    getPlaylistQueue,
+    releaseResolutions: releaseScheduleResolutions,
+    loadItemTransitions,
+    resolveHardEnd,
+    fitQueueToWindow,
+    pickRandomMedia: pickRandomMediaByType,
+    getSetting,
+    updateSetting,
+    logHistory,
+    startRun: startScheduleRun,
+    finishRun: finishScheduleRun,
+    saveRunPosition: saveScheduleRunPosition,
+    saveRunErrors: saveScheduleRunErrors,
+    saveRunQueue: saveScheduleRunQueue,
+  };
+
+  return { clock, playout, store };
 }
 
-export async function nextInCurrentSchedule() {
-  if (!_runningJob) {
-    console.log("[Scheduler] nextInCurrentSchedule: no running job");
-    return false;
-  }
+/* ───────────────────────── Outputs ───────────────────────── */
 
-  _skipRequested = true;
+// Output name → runner, created on first use from cfg.outputs
+const _runners = new Map();
 
-  try {
-    await casparStop(CHANNEL, LAYER);
-  } catch (e) {
-    console.warn(
-      "[Scheduler] nextInCurrentSchedule casparStop error:",
-      e?.message || e
-    );
+function ensureRunners() {
+  if (!_runners.size) {
+    cfg.outputs.forEach((output, index) => {
+      _runners.set(
+        output.name,
+        createScheduleRunner({ ...output, isDefault: index === 0 })
+      );
+    });
   }
+  return _runners;
+}
 
-  emitEvent("schedule_next_requested", {
-    scheduleId: _runningJob.scheduleId,
-    playlistId: _runningJob.playlistId,
-    mediaId: _runningJob.mediaId,
-    timestamp: new Date(),
-  });
+export const DEFAULT_OUTPUT = cfg.outputs[0].name;
+
+/**
+ * Runner of a named output (the default output when no name is given),
+ * or null if no such output is configured.
+ */
+export function getScheduleRunner(name = DEFAULT_OUTPUT) {
+  return ensureRunners().get(name || DEFAULT_OUTPUT) || null;
+}
+
+export function listScheduleRunners() {
+  return Array.from(ensureRunners().values());
+}
+
+/**
+ * Runner that is currently airing `scheduleId`, if any.
+ */
+export function findRunnerForSchedule(scheduleId) {
+  return (
+    listScheduleRunners().find((runner) => {
+      const status = runner.getStatus();
+      return (
+        status.runningJob?.scheduleId === scheduleId ||
+        status.currentSchedulePlaylist?.scheduleId === scheduleId
+      );
+    }) || null
+  );
+}
+
+/**
+ * Runner whose output plays on a Caspar channel/layer, if any.
+ */
+export function findRunnerOnLayer(channel, layer) {
+  return (
+    listScheduleRunners().find(
+      (runner) =>
+        runner.output.channel === Number(channel) &&
+        runner.output.layer === Number(layer)
+    ) || null
+  );
+}
+
+/**
+ * Stop whatever schedule is airing on a Caspar channel/layer (manual play
+ * override). Returns the names of the outputs whose schedule was stopped.
+ */
+export async function cancelSchedulesOnLayer(channel, layer, reason) {
+  const affected = listScheduleRunners().filter(
+    (runner) =>
+      runner.output.channel === Number(channel) &&
+      runner.output.layer === Number(layer)
+  );
+  const results = await Promise.all(
+    affected.map((runner) => runner.stopCurrentSchedule(reason))
+  );
+  return affected.filter((_, i) => results[i]).map((runner) => runner.name);
+}
+
+export function startScheduleRunner() {
+  listScheduleRunners().forEach((runner) => runner.start());
+}
+
+export function stopScheduleRunner() {
+  listScheduleRunners().forEach((runner) => runner.stop());
+}
+
+/* Default-output shortcuts, kept for existing callers */
+
+export function onSchedulerEvent(callback) {
+  return getScheduleRunner().onEvent(callback);
+}
+
+export function getSchedulerStatus() {
+  return getScheduleRunner().getStatus();
+}
+
+export function getCurrentPlayingMedia() {
+  return getScheduleRunner().getCurrentPlayingMedia();
+}
+
+export function getCurrentSchedulePlaylist() {
+  return getScheduleRunner().getCurrentSchedulePlaylist();
+}
+
+export function getFallbackStatus() {
+  return getScheduleRunner().getFallbackStatus();
+}
+
+export async function getFallbackSettings() {
+  return getScheduleRunner().getFallbackSettings();
+}
+
+export async function updateFallbackSettings(patch) {
+  return getScheduleRunner().updateFallbackSettings(patch);
+}
+
+export async function pauseCurrentSchedule() {
+  return getScheduleRunner().pauseCurrentSchedule();
+}
+
+export async function resumeCurrentSchedule() {
+  return getScheduleRunner().resumeCurrentSchedule();
+}
+
+export async function stopCurrentSchedule(reason) {
+  return getScheduleRunner().stopCurrentSchedule(reason);
+}
+
+// Backwards-compatible alias
+export async function cancelCurrentSchedule(reason) {
+  return stopCurrentSchedule(reason);
+}
+
+export async function nextInCurrentSchedule() {
+  return getScheduleRunner().nextInCurrentSchedule();
+}
 
-  return true;
+export async function restartCurrentItem() {
+  return getScheduleRunner().restartCurrentItem();
 }
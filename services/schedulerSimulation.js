@@ -0,0 +1,369 @@
+// src/services/schedulerSimulation.js
+import { prisma } from "./prisma.js";
+import { getNextOccurrence } from "./recurrence.js";
+import {
+  createLiveEnvironment,
+  createScheduleRunner,
+  getScheduleRunner,
+} from "./scheduler.js";
+
+export const MAX_SIMULATION_HOURS = 48;
+
+// Guard against a runner that keeps re-arming timers without advancing time.
+// On air it fires about 6.5 per simulated second (playback polled every
+// 200 ms, progress every second, a tick every 2 s), so the budget scales
+// with the span simulated.
+const MAX_STEPS_PER_SECOND = 20;
+const MIN_SIMULATION_STEPS = 1000;
+
+/**
+ * A clock that only moves when told to. Timers (sleep/setInterval) fire in
+ * order of due time; before each one fires, all work started by the previous
+ * one is allowed to finish, including database reads passed through
+ * `track()`, so virtual time never runs ahead of the runner.
+ */
+export function createVirtualClock(startMs) {
+  let now = startMs;
+  let nextId = 1;
+  let inFlight = 0;
+  let idleWaiters = [];
+  const timers = new Map(); // id → { at, fn, every }
+
+  function addTimer(fn, ms, every) {
+    const id = nextId++;
+    timers.set(id, { at: now + Math.max(0, ms || 0), fn, every });
+    return id;
+  }
+
+  function nextTimer() {
+    let found = null;
+    for (const [id, timer] of timers) {
+      if (!found || timer.at < found.timer.at) found = { id, timer };
+    }
+    return found;
+  }
+
+  async function settle() {
+    for (;;) {
+      await new Promise((r) => setImmediate(r));
+      if (!inFlight) return;
+      await new Promise((r) => idleWaiters.push(r));
+    }
+  }
+
+  return {
+    now: () => now,
+    sleep: (ms) => new Promise((resolve) => addTimer(resolve, ms, null)),
+    setInterval: (fn, ms) => addTimer(fn, ms, Math.max(1, ms || 0)),
+    clearInterval: (id) => timers.delete(id),
+
+    /** Hold the clock until `promise` settles. */
+    track(promise) {
+      inFlight += 1;
+      return Promise.resolve(promise).finally(() => {
+        inFlight -= 1;
+        if (!inFlight) {
+          idleWaiters.forEach((r) => r());
+          idleWaiters = [];
+        }
+      });
+    },
+
+    /**
+     * Fire every timer due up to `endMs`, then leave the clock at `endMs`.
+     * Returns the number of timers fired.
+     */
+    async runUntil(endMs) {
+      const maxSteps = Math.max(
+        MIN_SIMULATION_STEPS,
+        Math.ceil(((endMs - now) / 1000) * MAX_STEPS_PER_SECOND)
+      );
+      let steps = 0;
+      await settle();
+      for (;;) {
+        const next = nextTimer();
+        if (!next || next.timer.at > endMs) break;
+        if (++steps > maxSteps) {
+          throw new Error("Simulation did not converge");
+        }
+
+        now = Math.max(now, next.timer.at);
+        if (next.timer.every) {
+          next.timer.at = now + next.timer.every;
+        } else {
+          timers.delete(next.id);
+        }
+        next.timer.fn();
+        await settle();
+      }
+      now = Math.max(now, endMs);
+      return steps;
+    },
+  };
+}
+
+/**
+ * Playout that accepts every command and plays nothing. It has no
+ * `layerState`, so the runner times items by their stored duration.
+ */
+function createSilentPlayout() {
+  const ok = async () => ({ success: true, assumed: true, simulated: true });
+  return {
+    play: ok,
+    stop: ok,
+    pause: ok,
+    resume: ok,
+    seek: ok,
+    fadeVolume: ok,
+    loadBg: ok,
+    clearBackground: ok,
+    announce: ok,
+  };
+}
+
+/**
+ * Move pending schedules of a future simulation start to their first
+ * occurrence at or after `from`; one-off schedules before it are dropped.
+ */
+function advanceSchedulesTo(schedules, from) {
+  return schedules.flatMap((schedule) => {
+    let current = { ...schedule };
+    while (current && current.datetime < from) {
+      const next = getNextOccurrence(current, new Date(from.getTime() - 1));
+      current = next
+        ? {
+            ...current,
+            datetime: next,
+            occurrenceCount: (current.occurrenceCount || 0) + 1,
+          }
+        : null;
+    }
+    return current ? [current] : [];
+  });
+}
+
+/**
+ * Store for a simulated runner. Schedules of the output are copied into
+ * memory and every write (rescheduling, archiving, run log, history,
+ * settings) stays there. Playlists, media and settings are read from the
+ * database; locked RANDOM resolutions are honored but new ones aren't saved.
+ */
+function createSimulationStore({ schedules, clock, live }) {
+  const byId = new Map(schedules.map((s) => [s.id, s]));
+  const runs = [];
+  const history = [];
+  const settings = new Map();
+  let nextRunId = 1;
+
+  const read =
+    (fn) =>
+    (...args) =>
+      clock.track(fn(...args));
+
+  const pending = () => Array.from(byId.values()).filter((s) => !s.archivedAt);
+
+  const findRun = (id) => runs.find((r) => r.id === id);
+
+  const snapshotItems = (queue) =>
+    queue.map((m, index) => ({
+      index,
+      mediaId: m.id,
+      kind: m.playlistItemKind || "FIXED",
+      randomType: m.randomType || null,
+      title: m.title,
+      duration: m.duration,
+    }));
+
+  const store = {
+    // Only the output's schedules were copied in
+    getDueSchedules: async (outputName, now) =>
+      pending()
+        .filter((s) => new Date(s.datetime) <= now)
+        .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))
+        .map((s) => ({ ...s })),
+    findSchedule: async (id) => {
+      const schedule = byId.get(Number(id));
+      return schedule ? { ...schedule } : null;
+    },
+    rescheduleSchedule: async (id, datetime, steps = 1) => {
+      const schedule = byId.get(Number(id));
+      schedule.datetime = datetime;
+      schedule.occurrenceCount = (schedule.occurrenceCount || 0) + steps;
+      return { ...schedule };
+    },
+    archiveSchedule: async (id, at) => {
+      const schedule = byId.get(Number(id));
+      schedule.archivedAt = at;
+      return { ...schedule };
+    },
+    releaseResolutions: async () => ({ count: 0 }),
+
+    // The simulated runner is the only one airing these copies
+    claimSchedule: async () => true,
+    renewScheduleLease: async () => true,
+    releaseScheduleLease: async () => ({ count: 0 }),
+
+    // Only runs started by the simulation exist; there is nothing to recover
+    findInterruptedRuns: async () => [],
+
+    resolveHardEnd: async (schedule) => {
+      if (!schedule?.hardEnd || !schedule.datetime) return null;
+      const start = new Date(schedule.datetime);
+      if (schedule.durationSeconds) {
+        return new Date(start.getTime() + schedule.durationSeconds * 1000);
+      }
+      const next = pending()
+        .filter((s) => s.id !== schedule.id && new Date(s.datetime) > start)
+        .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))[0];
+      return next ? new Date(next.datetime) : null;
+    },
+
+    getPlaylistQueue: read((playlistId, occurrence = null) =>
+      live.getPlaylistQueue(playlistId, occurrence, { persist: false })
+    ),
+    findPlaylist: read(live.findPlaylist),
+    findMediaByIds: read(live.findMediaByIds),
+    loadItemTransitions: read(live.loadItemTransitions),
+    fitQueueToWindow: read(live.fitQueueToWindow),
+    pickRandomMedia: read(live.pickRandomMedia),
+    getSetting: (key) =>
+      settings.has(key)
+        ? Promise.resolve(settings.get(key))
+        : clock.track(live.getSetting(key)),
+    updateSetting: async (key, patch) => {
+      const value = { ...(await store.getSetting(key)), ...patch };
+      settings.set(key, value);
+      return value;
+    },
+
+    logHistory: async (mediaId, datetime) => {
+      history.push({ mediaId: Number(mediaId), datetime });
+    },
+    startRun: async ({
+      scheduleId,
+      playlistId,
+      playlistTitle,
+      scheduledFor,
+      output = null,
+      queue = [],
+      outcome = "RUNNING",
+    }) => {
+      const now = new Date(clock.now());
+      const run = {
+        id: nextRunId++,
+        scheduleId: scheduleId ?? null,
+        playlistId: playlistId ?? null,
+        playlistTitle: playlistTitle || null,
+        scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
+        output,
+        startedAt: now,
+        endedAt: outcome === "RUNNING" ? null : now,
+        outcome,
+        items: snapshotItems(queue),
+        errors: [],
+        currentIndex: null,
+      };
+      runs.push(run);
+      return run;
+    },
+    finishRun: async (runId, outcome) => {
+      const run = findRun(runId);
+      if (run && run.outcome === "RUNNING") {
+        run.outcome = outcome;
+        run.endedAt = new Date(clock.now());
+      }
+    },
+    saveRunPosition: async (runId, index, startedAt) => {
+      const run = findRun(runId);
+      if (run) {
+        run.currentIndex = index;
+        run.currentItemStartedAt = startedAt;
+      }
+    },
+    saveRunErrors: async (runId, errors) => {
+      const run = findRun(runId);
+      if (run) run.errors = errors;
+    },
+    saveRunQueue: async (runId, queue) => {
+      const run = findRun(runId);
+      if (run) run.items = snapshotItems(queue);
+    },
+  };
+
+  return { store, runs, history };
+}
+
+/**
+ * Run one output's programming from `from` for `hours` on a virtual clock,
+ * without touching Caspar or writing to the database.
+ *
+ * The simulated runner is the real one (preemption, recurrence, hard
+ * timing, RANDOM resolution, fallback), fast-forwarded through time.
+ * Progress events are counted rather than returned.
+ *
+ * Returns { output, from, to, events, history, runs, stats }.
+ */
+export async function simulateSchedule({ output, from, hours }) {
+  const liveRunner = getScheduleRunner(output);
+  if (!liveRunner) throw new Error(`Unknown output: ${output}`);
+
+  const start = new Date(Math.max(from.getTime(), Date.now()));
+  const to = new Date(start.getTime() + hours * 60 * 60 * 1000);
+
+  const rows = (
+    await prisma.schedule.findMany({
+      where: {
+        archivedAt: null,
+        output: liveRunner.name,
+        datetime: { lt: to },
+      },
+    })
+  ).map((s) => ({ ...s, leaseOwner: null, leaseExpiresAt: null }));
+  // A future start skips what would have aired before it
+  const schedules = from > new Date() ? advanceSchedulesTo(rows, start) : rows;
+
+  const live = createLiveEnvironment();
+  const clock = createVirtualClock(start.getTime());
+  const { store, runs, history } = createSimulationStore({
+    schedules,
+    clock,
+    live: live.store,
+  });
+
+  const runner = createScheduleRunner(liveRunner.output, {
+    clock,
+    playout: createSilentPlayout(),
+    store,
+  });
+
+  const events = [];
+  const eventCounts = {};
+  runner.onEvent((event, data) => {
+    eventCounts[event] = (eventCounts[event] || 0) + 1;
+    if (event !== "playback_progress") events.push({ event, ...data });
+  });
+
+  runner.start();
+  let steps;
+  try {
+    steps = await clock.runUntil(to.getTime());
+  } finally {
+    runner.stop();
+  }
+
+  return {
+    output: runner.name,
+    from: start,
+    to,
+    events,
+    history,
+    runs,
+    stats: {
+      schedulesStarted: eventCounts.schedule_started || 0,
+      itemsPlayed: history.length,
+      fallbacksStarted: eventCounts.fallback_started || 0,
+      eventCounts,
+      steps,
+    },
+  };
+}
@@ -0,0 +1,202 @@
+// src/services/separation.js
+import { prisma } from "./prisma.js";
+import { getSetting, updateSetting } from "./settings.js";
+
+const SEPARATION_SETTING = "separation";
+const RULE_KEYS = [
+  "trackHours",
+  "artistMinutes",
+  "artistItems",
+  "titleMinutes",
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Rules dropped in turn when no candidate fits them all
+const RELAX_STEPS = [
+  { dropped: null, rules: ["track", "artist", "title"] },
+  { dropped: "title", rules: ["track", "artist"] },
+  { dropped: "artist", rules: ["track"] },
+  { dropped: "track", rules: [] },
+];
+
+/**
+ * Station-wide separation rules for RANDOM picks (0 turns a rule off):
+ *   { trackHours, artistMinutes, artistItems, titleMinutes, relax }
+ */
+export async function getSeparationRules() {
+  return getSetting(SEPARATION_SETTING);
+}
+
+/**
+ * Change separation rules; unknown keys are ignored. Throws on invalid input.
+ */
+export async function updateSeparationRules(patch = {}) {
+  const data = {};
+  for (const key of RULE_KEYS) {
+    if (patch[key] === undefined) continue;
+    const value = Number(patch[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+    data[key] = key === "artistItems" ? Math.floor(value) : value;
+  }
+  if (patch.relax !== undefined) {
+    if (typeof patch.relax !== "boolean") {
+      throw new Error("relax must be true or false");
+    }
+    data.relax = patch.relax;
+  }
+  return updateSetting(SEPARATION_SETTING, data);
+}
+
+/**
+ * Artist as compared by the rules: case-insensitive, featured artists
+ * dropped ("Artist feat. Guest" is "artist").
+ */
+export function artistKey(author) {
+  return String(author || "")
+    .toLowerCase()
+    .replace(/\s+(feat\.?|ft\.?|featuring)\s.*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Title as compared across versions: "Song (Radio Edit)", "Song - Live" and
+ * "Song [Remix]" are all "song".
+ */
+export function titleKey(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .replace(/\s+-\s.*$/, "")
+    .replace(/\s+(feat\.?|ft\.?|featuring)\s.*$/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function toPlay(media, at) {
+  return {
+    mediaId: media.id,
+    artist: artistKey(media.author),
+    title: titleKey(media.title),
+    at,
+  };
+}
+
+/**
+ * Separation state for one resolution starting at `at`: what aired before
+ * (from History) and what has been queued since. Queued items are assumed
+ * to air back to back, so each one starts where the previous one ended.
+ *
+ * Returns { rules, add(media), advanceTo(date), filter(candidates) }.
+ */
+export async function createSeparationContext({ at = new Date() } = {}) {
+  const rules = await getSeparationRules();
+  const start = new Date(at);
+  const windowMs = Math.max(
+    (rules.trackHours || 0) * 60 * MINUTE_MS,
+    (rules.artistMinutes || 0) * MINUTE_MS,
+    (rules.titleMinutes || 0) * MINUTE_MS
+  );
+  const include = {
+    media: { select: { id: true, author: true, title: true } },
+  };
+
+  const [inWindow, lastItems] = await Promise.all([
+    windowMs
+      ? prisma.history.findMany({
+          where: {
+            datetime: { gte: new Date(start.getTime() - windowMs), lte: start },
+          },
+          include,
+        })
+      : [],
+    rules.artistItems
+      ? prisma.history.findMany({
+          where: { datetime: { lte: start } },
+          include,
+          orderBy: { datetime: "desc" },
+          take: rules.artistItems,
+        })
+      : [],
+  ]);
+
+  const byId = new Map([...inWindow, ...lastItems].map((h) => [h.id, h]));
+  const plays = Array.from(byId.values())
+    .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))
+    .map((h) => toPlay(h.media, new Date(h.datetime)));
+  let cursor = start.getTime();
+
+  const within = (play, minutes) =>
+    minutes > 0 && cursor - play.at.getTime() < minutes * MINUTE_MS;
+
+  function allows(media, enforced) {
+    const candidate = toPlay(media, null);
+    const recentArtists = rules.artistItems
+      ? plays.slice(-rules.artistItems).map((p) => p.artist)
+      : [];
+
+    if (enforced.includes("track")) {
+      const trackMinutes = (rules.trackHours || 0) * 60;
+      if (
+        plays.some((p) => p.mediaId === media.id && within(p, trackMinutes))
+      ) {
+        return false;
+      }
+    }
+    if (enforced.includes("artist") && candidate.artist) {
+      if (recentArtists.includes(candidate.artist)) return false;
+      if (
+        plays.some(
+          (p) => p.artist === candidate.artist && within(p, rules.artistMinutes)
+        )
+      ) {
+        return false;
+      }
+    }
+    if (enforced.includes("title") && candidate.title) {
+      if (
+        plays.some(
+          (p) => p.title === candidate.title && within(p, rules.titleMinutes)
+        )
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  return {
+    rules,
+
+    /** Record `media` as queued at the current position. */
+    add(media) {
+      plays.push(toPlay(media, new Date(cursor)));
+      cursor += (media.duration || 0) * 1000;
+    },
+
+    /** Move the position forward, e.g. to the start of a later segment. */
+    advanceTo(date) {
+      cursor = Math.max(cursor, new Date(date).getTime());
+    },
+
+    /**
+     * Candidates that fit the rules at the current position. When none do
+     * and `relax` is on, title, then artist, then track rules are dropped
+     * until some do. Returns { candidates, relaxed } (names dropped rules).
+     */
+    filter(candidates) {
+      const steps =
+        rules.relax === false ? RELAX_STEPS.slice(0, 1) : RELAX_STEPS;
+      const relaxed = [];
+      for (const step of steps) {
+        if (step.dropped) relaxed.push(step.dropped);
+        const fitting = candidates.filter((m) => allows(m, step.rules));
+        if (fitting.length) return { candidates: fitting, relaxed };
+      }
+      return { candidates: [], relaxed };
+    },
+  };
+}
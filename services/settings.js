@@ -0,0 +1,51 @@
+// src/services/settings.js
+import { cfg } from "../config/config.js";
+import { prisma } from "./prisma.js";
+
+/**
+ * Defaults per setting key. Stored values are shallow-merged over these,
+ * so new fields get a sensible value without a data migration.
+ * Per-output keys ("fallback:<output>") share the default of their base key.
+ */
+const DEFAULTS = {
+  fallback: cfg.scheduler.fallback,
+  separation: cfg.separation,
+  station: cfg.station,
+};
+
+// Single-process cache; the scheduler reads settings on every tick
+const _cache = new Map();
+
+export async function getSetting(key) {
+  if (_cache.has(key)) return _cache.get(key);
+
+  let stored = null;
+  try {
+    const row = await prisma.setting.findUnique({ where: { key } });
+    stored = row?.value ?? null;
+  } catch (e) {
+    console.warn(`[Settings] Failed to load "${key}":`, e?.message || e);
+  }
+
+  const defaults = DEFAULTS[key] || DEFAULTS[key.split(":")[0]] || {};
+  const value = { ...defaults, ...(stored || {}) };
+  _cache.set(key, value);
+  return value;
+}
+
+/**
+ * Merge `patch` into the stored setting and return the new value.
+ */
+export async function updateSetting(key, patch) {
+  const current = await getSetting(key);
+  const value = { ...current, ...patch };
+
+  await prisma.setting.upsert({
+    where: { key },
+    create: { key, value },
+    update: { value },
+  });
+
+  _cache.set(key, value);
+  return value;
+}
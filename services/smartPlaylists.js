@@ -0,0 +1,218 @@
+// src/services/smartPlaylists.js
+import { prisma } from "./prisma.js";
+import {
+  WEIGHTED_CATEGORY,
+  normalizeMediaFilter,
+  randomCriteriaWhere,
+  serializeRandomCriteria,
+} from "./randomCriteria.js";
+
+export const SMART_ORDERS = ["RANDOM", "NEWEST", "LEAST_PLAYED"];
+
+const MEDIA_TYPES = ["SONG", "JINGLE", "SPOT"];
+// Longest list a smart playlist may produce
+const MAX_SMART_ITEMS = 500;
+
+function parseLimit(value, key) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`smart ${key} must be a positive integer`);
+  }
+  return n;
+}
+
+function normalizeSmartFilter(raw) {
+  if (raw === undefined || raw === null) raw = {};
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid smart filter");
+  }
+  const { type, playCountMin, playCountMax, ...rest } = raw;
+
+  const filter = {};
+  if (type != null && type !== "") {
+    filter.type = String(type).toUpperCase();
+    if (!MEDIA_TYPES.includes(filter.type)) {
+      throw new Error(`Invalid smart filter type: ${type}`);
+    }
+  }
+
+  const media = serializeRandomCriteria(
+    normalizeMediaFilter(rest, "smart filter")
+  );
+  if (media?.category === WEIGHTED_CATEGORY) {
+    throw new Error("smart filter: category must be a category id");
+  }
+  for (const [key, value] of Object.entries(media || {})) {
+    if (value !== null) filter[key] = value;
+  }
+
+  for (const [key, value] of [
+    ["playCountMin", playCountMin],
+    ["playCountMax", playCountMax],
+  ]) {
+    if (value === undefined || value === null || value === "") continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`smart filter: ${key} must be a non-negative integer`);
+    }
+    filter[key] = n;
+  }
+  if (
+    filter.playCountMin != null &&
+    filter.playCountMax != null &&
+    filter.playCountMin > filter.playCountMax
+  ) {
+    throw new Error("smart filter: playCountMin is after playCountMax");
+  }
+
+  return filter;
+}
+
+/**
+ * Normalize a playlist's smart definition from request body.
+ *
+ * Accepts:
+ *   - undefined → null (leave untouched)
+ *   - null      → a regular playlist again
+ *   - { filter, order?, maxItems?, targetSeconds? }
+ *       filter: { type?, language?, yearFrom?, yearTo?, bpmMin?, bpmMax?,
+ *                 durationMin?, durationMax?, uploadedWithinDays?,
+ *                 uploadedFrom?, uploadedTo?, category?,
+ *                 playCountMin?, playCountMax? }
+ *       order:  "RANDOM" (default) | "NEWEST" | "LEAST_PLAYED"
+ *       maxItems and/or targetSeconds (at least one) bound its length
+ *
+ * Returns the Playlist columns to write, or null. Throws on invalid input.
+ */
+export function normalizeSmartPlaylistFromBody(raw) {
+  if (raw === undefined) return null;
+  if (raw === null) {
+    return {
+      smart: false,
+      smartFilter: null,
+      smartOrder: "RANDOM",
+      smartMaxItems: null,
+      smartTargetSeconds: null,
+    };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid smart playlist definition");
+  }
+
+  const order = String(raw.order || "RANDOM").toUpperCase();
+  if (!SMART_ORDERS.includes(order)) {
+    throw new Error(`Invalid smart order: ${raw.order}`);
+  }
+
+  const maxItems = parseLimit(raw.maxItems, "maxItems");
+  const targetSeconds = parseLimit(raw.targetSeconds, "targetSeconds");
+  if (!maxItems && !targetSeconds) {
+    throw new Error("A smart playlist needs maxItems or targetSeconds");
+  }
+  if (maxItems > MAX_SMART_ITEMS) {
+    throw new Error(`smart maxItems must be at most ${MAX_SMART_ITEMS}`);
+  }
+
+  return {
+    smart: true,
+    smartFilter: normalizeSmartFilter(raw.filter),
+    smartOrder: order,
+    smartMaxItems: maxItems,
+    smartTargetSeconds: targetSeconds,
+  };
+}
+
+/**
+ * Client-facing view of a playlist's smart definition, or null for a
+ * regular playlist.
+ */
+export function serializeSmartPlaylist(playlist) {
+  if (!playlist?.smart) return null;
+  return {
+    filter: playlist.smartFilter || {},
+    order: playlist.smartOrder,
+    maxItems: playlist.smartMaxItems ?? null,
+    targetSeconds: playlist.smartTargetSeconds ?? null,
+  };
+}
+
+function shuffle(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Media a smart playlist stands for right now (upload windows counted back
+ * from `at`), in its order and within its bounds. With a target duration,
+ * tracks that would overrun it are passed over for shorter ones.
+ */
+export async function evaluateSmartPlaylist(
+  playlist,
+  { at = new Date() } = {}
+) {
+  const filter = playlist.smartFilter || {};
+  const where = randomCriteriaWhere(filter, new Date(at));
+  if (filter.type) where.type = filter.type;
+  if (filter.category != null) where.rotationCategoryId = filter.category;
+
+  let media = await prisma.media.findMany({ where });
+
+  const needsPlays =
+    filter.playCountMin != null ||
+    filter.playCountMax != null ||
+    playlist.smartOrder === "LEAST_PLAYED";
+  const plays = new Map();
+  if (needsPlays && media.length) {
+    const rows = await prisma.history.groupBy({
+      by: ["mediaId"],
+      where: { mediaId: { in: media.map((m) => m.id) } },
+      _count: { _all: true },
+      _max: { datetime: true },
+    });
+    rows.forEach((r) =>
+      plays.set(r.mediaId, {
+        count: r._count._all,
+        last: r._max.datetime?.getTime() ?? 0,
+      })
+    );
+  }
+  const playsOf = (m) => plays.get(m.id) || { count: 0, last: 0 };
+
+  media = media.filter(
+    (m) =>
+      (filter.playCountMin == null ||
+        playsOf(m).count >= filter.playCountMin) &&
+      (filter.playCountMax == null || playsOf(m).count <= filter.playCountMax)
+  );
+
+  // Shuffled first so equal ranks come out in random order
+  media = shuffle(media);
+  if (playlist.smartOrder === "NEWEST") {
+    media.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+  } else if (playlist.smartOrder === "LEAST_PLAYED") {
+    media.sort(
+      (a, b) =>
+        playsOf(a).count - playsOf(b).count || playsOf(a).last - playsOf(b).last
+    );
+  }
+
+  const maxItems = Math.min(
+    playlist.smartMaxItems || MAX_SMART_ITEMS,
+    MAX_SMART_ITEMS
+  );
+  const target = playlist.smartTargetSeconds || 0;
+  const picked = [];
+  let total = 0;
+  for (const m of media) {
+    if (picked.length >= maxItems || (target && total >= target)) break;
+    if (target && total + (m.duration || 0) > target) continue;
+    picked.push(m);
+    total += m.duration || 0;
+  }
+  return picked;
+}
@@ -0,0 +1,138 @@
+// src/services/stationTime.js
+import dayjs from "dayjs";
+import timezone from "dayjs/plugin/timezone.js";
+import utc from "dayjs/plugin/utc.js";
+import { cfg } from "../config/config.js";
+import { getSetting, updateSetting } from "./settings.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const STATION_SETTING = "station";
+const WALL_CLOCK_FORMAT = "YYYY-MM-DDTHH:mm:ss.SSS";
+// "2026-03-29T02:30" / "2026-03-29 02:30:00": no offset, read in station zone
+const WALL_CLOCK_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/;
+
+// Kept in sync with the stored setting; recurrence math needs it synchronously
+let _timezone = cfg.station.timezone;
+
+export function isValidTimezone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * IANA zone the station's schedules, recurrence and "today" are in.
+ */
+export function getStationTimezone() {
+  return _timezone;
+}
+
+/**
+ * Load the stored station settings (call once at startup).
+ */
+export async function loadStationSettings() {
+  const settings = await getSetting(STATION_SETTING);
+  if (isValidTimezone(settings.timezone)) _timezone = settings.timezone;
+  return { ...settings, timezone: _timezone };
+}
+
+/**
+ * Change station settings. `patch.timezone` must be an IANA zone name
+ * ("Europe/Prague"). Throws on invalid input.
+ */
+export async function updateStationSettings(patch = {}) {
+  const data = {};
+  if (patch.timezone !== undefined) {
+    if (!isValidTimezone(patch.timezone)) {
+      throw new Error(`Invalid timezone: ${patch.timezone}`);
+    }
+    data.timezone = patch.timezone;
+  }
+
+  const settings = await updateSetting(STATION_SETTING, data);
+  _timezone = settings.timezone;
+  return settings;
+}
+
+/**
+ * `date` as a dayjs in the station's zone.
+ */
+export function stationTime(date = new Date()) {
+  return dayjs(date).tz(_timezone);
+}
+
+/**
+ * Wall-clock reading of `date` in the station's zone, as a zone-less dayjs
+ * (UTC mode) that is safe to do calendar arithmetic on.
+ */
+export function toWallClock(date) {
+  return dayjs.utc(stationTime(date).format(WALL_CLOCK_FORMAT));
+}
+
+/**
+ * Instant at which the station's clocks show `wall` (see toWallClock).
+ * Times skipped by a DST switch move forward by the gap.
+ */
+export function fromWallClock(wall) {
+  return dayjs.tz(wall.format(WALL_CLOCK_FORMAT), _timezone).toDate();
+}
+
+/**
+ * Parse a date/time from a request. Strings with an offset or "Z" (and Date
+ * objects, timestamps) are absolute; bare wall-clock strings such as
+ * "2026-03-29T20:00" are station local time. Returns an invalid Date on
+ * unparseable input, like `new Date()`.
+ */
+export function parseStationDateTime(raw) {
+  if (typeof raw === "string" && WALL_CLOCK_RE.test(raw.trim())) {
+    const parsed = dayjs.tz(raw.trim().replace(" ", "T"), _timezone);
+    return parsed.isValid() ? parsed.toDate() : new Date(NaN);
+  }
+  return new Date(raw);
+}
+
+/**
+ * Station wall-clock time of day ("HH:mm:ss") of `date`, as stored in
+ * Schedule.localTime.
+ */
+export function stationLocalTime(date) {
+  return stationTime(date).format("HH:mm:ss");
+}
+
+/**
+ * Station local ISO time with its offset, e.g. "2026-10-25T02:30:00+01:00".
+ */
+export function formatStationTime(date) {
+  if (!date) return null;
+  return stationTime(date).format("YYYY-MM-DDTHH:mm:ssZ");
+}
+
+/**
+ * The station's calendar day containing `date` (or the "YYYY-MM-DD" day
+ * given): { date: "YYYY-MM-DD", start, end }, `end` exclusive. Days a DST
+ * switch falls on are 23 or 25 hours long.
+ */
+export function stationDay(date = new Date()) {
+  const day =
+    typeof date === "string"
+      ? dayjs.utc(date)
+      : toWallClock(date).startOf("day");
+  if (
+    typeof date === "string" &&
+    (!/^\d{4}-\d{2}-\d{2}$/.test(date) || day.format("YYYY-MM-DD") !== date)
+  ) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  return {
+    date: day.format("YYYY-MM-DD"),
+    start: fromWallClock(day.startOf("day")),
+    end: fromWallClock(day.startOf("day").add(1, "day")),
+  };
+}
@@ -0,0 +1,285 @@
+// src/services/timeline.js
+import { itemDurationMs } from "./hardTiming.js";
+import { prisma } from "./prisma.js";
+import { listOccurrences } from "./recurrence.js";
+import { resolveScheduleOccurrence } from "./scheduleResolution.js";
+import { getScheduleRunner, preemptionAction } from "./scheduler.js";
+
+export const MAX_TIMELINE_DAYS = 7;
+const MAX_OCCURRENCES = 500;
+
+/**
+ * Expand pending schedules into the occurrences that start before `to`.
+ * Overdue occurrences (still pending, start in the past) are kept: they are
+ * due and will air as soon as the runner picks them up.
+ */
+async function collectOccurrences(output, from, to, now, skip) {
+  const schedules = await prisma.schedule.findMany({
+    where: { archivedAt: null, output, datetime: { lt: to } },
+    include: { playlist: { select: { title: true } } },
+    orderBy: { datetime: "asc" },
+  });
+
+  const occurrences = [];
+  for (const schedule of schedules) {
+    listOccurrences(schedule, to, MAX_OCCURRENCES).forEach(
+      (occurrenceAt, n) => {
+        const isSkipped =
+          skip &&
+          skip.scheduleId === schedule.id &&
+          skip.occurrenceAt?.getTime() === occurrenceAt.getTime();
+        const overdue = n === 0 && occurrenceAt <= now && from <= now;
+        if (!isSkipped && (occurrenceAt >= from || overdue)) {
+          occurrences.push({ schedule, occurrenceAt });
+        }
+      }
+    );
+  }
+
+  return occurrences
+    .sort(
+      (a, b) =>
+        a.occurrenceAt - b.occurrenceAt ||
+        (b.schedule.priority || 0) - (a.schedule.priority || 0)
+    )
+    .slice(0, MAX_OCCURRENCES);
+}
+
+function projectItems(items, start) {
+  let cursor = start.getTime();
+  return items.map((m, index) => {
+    const startMs = cursor;
+    cursor += itemDurationMs(m);
+    return {
+      index,
+      mediaId: m.id,
+      kind: m.kind || "FIXED",
+      randomType: m.randomType || null,
+      type: m.type,
+      author: m.author,
+      title: m.title,
+      fileName: m.fileName,
+      duration: m.duration,
+      start: new Date(startMs),
+      end: new Date(cursor),
+      status: "scheduled",
+    };
+  });
+}
+
+/**
+ * Shorten an entry so it is off air at `at`: items starting at or after
+ * `at` are dropped, the one spanning it is cut.
+ */
+function truncateEntry(entry, at) {
+  const atMs = at.getTime();
+  for (const item of entry.items) {
+    if (item.status === "dropped") continue;
+    if (item.start.getTime() >= atMs) {
+      item.status = "dropped";
+    } else if (item.end.getTime() > atMs) {
+      item.status = "trimmed";
+      item.end = new Date(atMs);
+    }
+  }
+  if (entry.projectedEnd > at) entry.projectedEnd = new Date(atMs);
+}
+
+function itemSpanning(entry, at) {
+  return entry.items.find(
+    (it) =>
+      it.status !== "dropped" &&
+      it.start.getTime() <= at.getTime() &&
+      it.end.getTime() > at.getTime()
+  );
+}
+
+/**
+ * Timeline entry for the schedule currently on air, projected from the
+ * item that is playing now.
+ */
+function buildOnAirEntry(runner, now) {
+  const playlist = runner.getCurrentSchedulePlaylist();
+  const status = runner.getStatus();
+  if (!playlist || !status.runningJob) return null;
+
+  const current = runner.getCurrentPlayingMedia();
+  const currentIndex = current?.index ?? status.runningJob.currentIndex ?? 0;
+  const currentStart = current?.startTime ? new Date(current.startTime) : now;
+
+  const items = projectItems(
+    playlist.items.slice(currentIndex),
+    currentStart
+  ).map((it, i) => ({
+    ...it,
+    index: currentIndex + i,
+    status: i === 0 ? "on_air" : "scheduled",
+  }));
+
+  const entry = {
+    scheduleId: playlist.scheduleId,
+    playlistId: playlist.playlistId,
+    playlistTitle: playlist.title,
+    occurrenceAt: status.runningJob.occurrenceAt ?? null,
+    priority: playlist.priority || 0,
+    preemption: null,
+    onAir: true,
+    locked: true,
+    projectedStart: currentStart,
+    projectedEnd: items.length ? items[items.length - 1].end : currentStart,
+    hardEndAt: playlist.hardEndAt ?? null,
+    fill: null,
+    items,
+  };
+
+  if (entry.hardEndAt) truncateEntry(entry, new Date(entry.hardEndAt));
+  return entry;
+}
+
+/**
+ * Project the program log of one output for [from, to).
+ *
+ * Upcoming schedule occurrences are resolved (RANDOM slots included) and
+ * their resolution is locked, so the previewed items are the ones that air.
+ * Rotation picks are only counted once the occurrence airs.
+ * Entries are laid out back to back the way the runner would play them:
+ * overlaps are settled by priority/preemption (cut, end of item or wait)
+ * and reported, as are gaps with nothing scheduled.
+ *
+ * Returns { output, from, to, entries, gaps, overlaps }.
+ */
+export async function buildTimeline({ output, from, to }) {
+  const runner = getScheduleRunner(output);
+  if (!runner) throw new Error(`Unknown output: ${output}`);
+
+  const now = new Date();
+  const onAir = buildOnAirEntry(runner, now);
+
+  const occurrences = await collectOccurrences(
+    runner.name,
+    from,
+    to,
+    now,
+    onAir && onAir.occurrenceAt
+      ? {
+          scheduleId: onAir.scheduleId,
+          occurrenceAt: new Date(onAir.occurrenceAt),
+        }
+      : null
+  );
+
+  const entries = onAir ? [onAir] : [];
+  const gaps = [];
+  const overlaps = [];
+  const clockStart = new Date(Math.max(from.getTime(), now.getTime()));
+  let cursor = onAir ? onAir.projectedEnd : clockStart;
+  let prev = onAir;
+
+  for (let i = 0; i < occurrences.length; i++) {
+    const { schedule, occurrenceAt } = occurrences[i];
+
+    const { resolved } = await resolveScheduleOccurrence({
+      scheduleId: schedule.id,
+      playlistId: schedule.playlistId,
+      occurrenceAt,
+      rotate: false,
+    });
+    const media = resolved
+      .filter((r) => r.media?.fileName)
+      .map((r) => ({ ...r.media, kind: r.kind, randomType: r.randomType }));
+
+    let start = new Date(
+      Math.max(occurrenceAt.getTime(), clockStart.getTime())
+    );
+
+    if (prev && prev.projectedEnd > start) {
+      const action = preemptionAction(schedule, prev.priority);
+      const overlapSeconds = Math.round((prev.projectedEnd - start) / 1000);
+
+      if (action === "cut") {
+        truncateEntry(prev, start);
+      } else if (action === "item_end") {
+        const spanning = itemSpanning(prev, start);
+        if (spanning) start = spanning.end;
+        truncateEntry(prev, start);
+      } else {
+        start = prev.projectedEnd;
+      }
+
+      overlaps.push({
+        scheduleIds: [prev.scheduleId, schedule.id],
+        at: occurrenceAt,
+        seconds: overlapSeconds,
+        resolution: action,
+      });
+    } else if (start > cursor) {
+      gaps.push({
+        from: cursor,
+        to: start,
+        seconds: Math.round((start - cursor) / 1000),
+      });
+    }
+
+    const items = projectItems(media, start);
+    const entry = {
+      scheduleId: schedule.id,
+      playlistId: schedule.playlistId,
+      playlistTitle: schedule.playlist?.title || `PL${schedule.playlistId}`,
+      occurrenceAt,
+      priority: schedule.priority || 0,
+      preemption: schedule.preemption,
+      onAir: false,
+      locked: true,
+      projectedStart: start,
+      projectedEnd: items.length ? items[items.length - 1].end : start,
+      hardEndAt: null,
+      fill: null,
+      items,
+    };
+
+    if (schedule.hardEnd) {
+      const nextOccurrence = occurrences
+        .slice(i + 1)
+        .find((o) => o.occurrenceAt > occurrenceAt);
+      const hardEndAt = schedule.durationSeconds
+        ? new Date(occurrenceAt.getTime() + schedule.durationSeconds * 1000)
+        : nextOccurrence?.occurrenceAt ?? null;
+
+      if (hardEndAt) {
+        entry.hardEndAt = hardEndAt;
+        truncateEntry(entry, hardEndAt);
+        if (schedule.fillGaps && entry.projectedEnd < hardEndAt) {
+          // Filler is picked by duration when the schedule airs
+          entry.fill = {
+            from: entry.projectedEnd,
+            to: hardEndAt,
+            seconds: Math.round((hardEndAt - entry.projectedEnd) / 1000),
+          };
+          entry.projectedEnd = hardEndAt;
+        }
+      }
+    }
+
+    entries.push(entry);
+    prev = entry;
+    cursor = entry.projectedEnd;
+  }
+
+  if (cursor < to) {
+    gaps.push({
+      from: cursor,
+      to,
+      seconds: Math.round((to - cursor) / 1000),
+    });
+  }
+
+  const fallback = await runner.getFallbackSettings();
+  return {
+    output: runner.name,
+    from,
+    to,
+    entries,
+    gaps: gaps.map((g) => ({ ...g, coveredByFallback: !!fallback.enabled })),
+    overlaps,
+  };
+}
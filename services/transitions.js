@@ -0,0 +1,72 @@
+// src/services/transitions.js
+export const TRANSITION_TYPES = ["CUT", "MIX", "WIPE"];
+
+// Longest transition accepted (frames)
+const MAX_TRANSITION_FRAMES = 250;
+
+function parseTransition(raw, label) {
+  const opts = typeof raw === "string" ? { type: raw } : raw;
+  if (!opts || typeof opts !== "object") {
+    throw new Error(`Invalid ${label}`);
+  }
+
+  const type = String(opts.type || "CUT").toUpperCase();
+  if (!TRANSITION_TYPES.includes(type)) {
+    throw new Error(`Invalid ${label} type: ${opts.type}`);
+  }
+
+  const frames = type === "CUT" ? 0 : parseInt(opts.frames ?? 25, 10);
+  if (Number.isNaN(frames) || frames < 0 || frames > MAX_TRANSITION_FRAMES) {
+    throw new Error(
+      `${label} frames must be between 0 and ${MAX_TRANSITION_FRAMES}`
+    );
+  }
+
+  return { transition: type, transitionFrames: frames };
+}
+
+/**
+ * Normalize a schedule's transition from request body.
+ *
+ * Accepts:
+ *   - undefined → null (leave untouched)
+ *   - null      → back to a plain cut
+ *   - "MIX" | { type: "CUT"|"MIX"|"WIPE", frames? } (frames default to 25)
+ *
+ * Returns the Schedule columns to write, or null. Throws on invalid input.
+ */
+export function normalizeTransitionFromBody(raw) {
+  if (raw === undefined) return null;
+  if (raw === null) return { transition: "CUT", transitionFrames: 0 };
+  return parseTransition(raw, "transition");
+}
+
+/**
+ * Normalize a playlist item's own transition (overrides the schedule's).
+ * Returns { transition, transitionFrames }, both null when not given.
+ */
+export function normalizeItemTransition(raw, index) {
+  if (raw === undefined || raw === null) {
+    return { transition: null, transitionFrames: null };
+  }
+  return parseTransition(raw, `transition for playlist item ${index}`);
+}
+
+/**
+ * Client-facing view of a row's transition: { type, frames }, or null for
+ * a playlist item without its own.
+ */
+export function serializeTransition(row) {
+  if (!row?.transition) return null;
+  return { type: row.transition, frames: row.transitionFrames ?? 0 };
+}
+
+/**
+ * Transition that takes an item on air: its own, else the schedule's.
+ */
+export function transitionForItem(item, schedule) {
+  return (
+    serializeTransition(item) ||
+    serializeTransition(schedule) || { type: "CUT", frames: 0 }
+  );
+}
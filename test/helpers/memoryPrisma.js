@@ -0,0 +1,227 @@
+// test/helpers/memoryPrisma.js
+// In-memory stand-in for the Prisma models the services query directly.
+// Only the parts of the query API the code under test uses are covered:
+// where filters, select/include of the relations below, orderBy, skip/take
+// and the usual model methods.
+
+// model → relation → [related model, local field, related field, many?]
+const RELATIONS = {
+  schedule: { playlist: ["playlist", "playlistId", "id", false] },
+  playlist: { playlistItems: ["playlistItem", "id", "playlistId", true] },
+  playlistItem: { media: ["media", "mediaId", "id", false] },
+  history: { media: ["media", "mediaId", "id", false] },
+};
+
+const OPERATORS = ["equals", "in", "notIn", "not", "lt", "lte", "gt", "gte"];
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !(value instanceof Date);
+
+const valueOf = (value) => (value instanceof Date ? value.getTime() : value);
+
+function matchesValue(value, condition) {
+  if (!isObject(condition)) {
+    return valueOf(value ?? null) === valueOf(condition ?? null);
+  }
+  return Object.entries(condition).every(([op, arg]) => {
+    const v = valueOf(value);
+    switch (op) {
+      case "equals":
+        return matchesValue(value, arg);
+      case "in":
+        return arg.some((a) => valueOf(a) === v);
+      case "notIn":
+        return !arg.some((a) => valueOf(a) === v);
+      case "not":
+        return !matchesValue(value, arg);
+      case "lt":
+        return v != null && v < valueOf(arg);
+      case "lte":
+        return v != null && v <= valueOf(arg);
+      case "gt":
+        return v != null && v > valueOf(arg);
+      case "gte":
+        return v != null && v >= valueOf(arg);
+      default:
+        throw new Error(`Unsupported filter ${op}`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === "AND") {
+      return [].concat(condition).every((w) => matches(row, w));
+    }
+    if (key === "OR") return condition.some((w) => matches(row, w));
+    if (key === "NOT") {
+      return ![].concat(condition).some((w) => matches(row, w));
+    }
+    // Compound unique key, e.g. scheduleId_occurrenceAt: { ... }
+    if (!(key in row) && isObject(condition)) {
+      const fields = Object.keys(condition);
+      if (!fields.some((f) => OPERATORS.includes(f))) {
+        return matches(row, condition);
+      }
+    }
+    return matchesValue(row[key], condition);
+  });
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []);
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[field, direction]] = Object.entries(order);
+      const x = valueOf(a[field]);
+      const y = valueOf(b[field]);
+      if (x === y) continue;
+      const cmp = x == null ? -1 : y == null ? 1 : x < y ? -1 : 1;
+      return direction === "desc" ? -cmp : cmp;
+    }
+    return 0;
+  });
+}
+
+function applyData(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    row[key] =
+      isObject(value) && "increment" in value
+        ? (row[key] || 0) + value.increment
+        : value;
+  }
+  return row;
+}
+
+/**
+ * A client with one model per key of `tables` ({ model: rows }); rows are
+ * kept (and changed) in `tables`. Missing models start empty. Assign the
+ * result onto the services' `prisma` to use it, e.g.
+ *   Object.assign(prisma, createMemoryPrisma({ media: [...] }))
+ */
+export function createMemoryPrisma(tables = {}) {
+  const rowsOf = (model) => (tables[model] ||= []);
+
+  function related(model, row, relation, args) {
+    const [target, localField, field, many] = RELATIONS[model][relation];
+    const linked = rowsOf(target).filter(
+      (r) => valueOf(r[field]) === valueOf(row[localField])
+    );
+    if (!many) {
+      return linked[0] ? shape(target, linked[0], args) : null;
+    }
+    return sortRows(
+      linked.filter((r) => matches(r, args.where)),
+      args.orderBy
+    ).map((r) => shape(target, r, args));
+  }
+
+  function shape(model, row, { select, include } = {}) {
+    const relations = RELATIONS[model] || {};
+    const out = select ? {} : structuredClone(row);
+    for (const [key, value] of Object.entries(select || include || {})) {
+      if (!value) continue;
+      out[key] =
+        key in relations
+          ? related(model, row, key, value === true ? {} : value)
+          : structuredClone(row[key]);
+    }
+    return out;
+  }
+
+  function findAll(model, { where, orderBy, skip = 0, take } = {}) {
+    const rows = sortRows(
+      rowsOf(model).filter((r) => matches(r, where)),
+      orderBy
+    );
+    return rows.slice(skip, take === undefined ? undefined : skip + take);
+  }
+
+  function findOne(model, where) {
+    const row = rowsOf(model).find((r) => matches(r, where));
+    if (!row) throw new Error(`No ${model} record found`);
+    return row;
+  }
+
+  function create(model, data) {
+    const rows = rowsOf(model);
+    const row = {
+      id: Math.max(0, ...rows.map((r) => r.id)) + 1,
+      createdAt: new Date(),
+      ...data,
+    };
+    rows.push(row);
+    return row;
+  }
+
+  function delegate(model) {
+    return {
+      findMany: async (args = {}) =>
+        findAll(model, args).map((r) => shape(model, r, args)),
+      findFirst: async (args = {}) => {
+        const [row] = findAll(model, args);
+        return row ? shape(model, row, args) : null;
+      },
+      findUnique: async (args) => {
+        const [row] = findAll(model, args);
+        return row ? shape(model, row, args) : null;
+      },
+      count: async (args = {}) => findAll(model, args).length,
+      create: async ({ data, ...args }) =>
+        shape(model, create(model, data), args),
+      update: async ({ where, data, ...args }) =>
+        shape(model, applyData(findOne(model, where), data), args),
+      upsert: async ({ where, create: data, update, ...args }) => {
+        const row = rowsOf(model).find((r) => matches(r, where));
+        return shape(
+          model,
+          row ? applyData(row, update) : create(model, data),
+          args
+        );
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = findAll(model, { where });
+        rows.forEach((r) => applyData(r, data));
+        return { count: rows.length };
+      },
+      deleteMany: async ({ where } = {}) => {
+        const kept = rowsOf(model).filter((r) => !matches(r, where));
+        const count = rowsOf(model).length - kept.length;
+        tables[model] = kept;
+        return { count };
+      },
+      groupBy: async ({ by, where, _max = {} }) => {
+        const groups = new Map();
+        for (const row of findAll(model, { where })) {
+          const key = JSON.stringify(by.map((f) => valueOf(row[f])));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(row);
+        }
+        return Array.from(groups.values(), (rows) => ({
+          ...Object.fromEntries(by.map((f) => [f, rows[0][f]])),
+          _max: Object.fromEntries(
+            Object.keys(_max).map((f) => [
+              f,
+              sortRows(rows, { [f]: "desc" })[0][f],
+            ])
+          ),
+        }));
+      },
+    };
+  }
+
+  const client = { $transaction: (queries) => Promise.all(queries) };
+  for (const model of [
+    "schedule",
+    "playlist",
+    "playlistItem",
+    "media",
+    "history",
+    "setting",
+    "rotationCategory",
+    "scheduleResolution",
+  ]) {
+    client[model] = delegate(model);
+  }
+  return client;
+}
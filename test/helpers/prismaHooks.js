@@ -0,0 +1,30 @@
+// test/helpers/prismaHooks.js
+// Module hooks for the tests. The generated Prisma client is replaced with
+// one that has no database: tests hand the code under test an in-memory
+// store instead (see runnerEnv.js) or put in-memory models on the client
+// (see memoryPrisma.js), and anything else reaching for `prisma.*` fails
+// loudly rather than trying to connect.
+
+const OFFLINE_CLIENT = `
+export class PrismaClient {
+  constructor() {
+    return new Proxy(this, {
+      get(target, key) {
+        if (key in target) return target[key];
+        if (typeof key === "symbol" || key === "then") return undefined;
+        throw new Error(\`prisma.\${key} is not available in tests\`);
+      },
+    });
+  }
+}
+`;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.endsWith("/generated/prisma/client.js")) {
+    return {
+      url: `data:text/javascript,${encodeURIComponent(OFFLINE_CLIENT)}`,
+      shortCircuit: true,
+    };
+  }
+  return nextResolve(specifier, context);
+}
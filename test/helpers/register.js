@@ -0,0 +1,6 @@
+// test/helpers/register.js
+// Preloaded by `npm test` (--import) so the services can be imported
+// without a generated Prisma client, see prismaHooks.js
+import { register } from "node:module";
+
+register("./prismaHooks.js", import.meta.url);
@@ -0,0 +1,267 @@
+// test/helpers/runnerEnv.js
+import { cfg } from "../../config/config.js";
+import { createVirtualClock } from "../../services/schedulerSimulation.js";
+
+export const OUTPUT = {
+  name: "main",
+  channel: 1,
+  layer: 10,
+  overlayLayer: 20,
+  isDefault: true,
+};
+
+export const MINUTE = 60 * 1000;
+
+/** A SONG row lasting `seconds`. */
+export function song(id, seconds = 60) {
+  return {
+    id,
+    type: "SONG",
+    title: `Song ${id}`,
+    author: `Artist ${id}`,
+    fileName: `song${id}.mp4`,
+    duration: seconds,
+  };
+}
+
+/** A pending one-off schedule row with the runner's defaults. */
+export function schedule(id, playlistId, datetime, fields = {}) {
+  return {
+    id,
+    playlistId,
+    datetime: new Date(datetime),
+    output: OUTPUT.name,
+    priority: 0,
+    preemption: "HARD_CUT",
+    hardEnd: false,
+    recurrence: "NONE",
+    occurrenceCount: 0,
+    archivedAt: null,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    ...fields,
+  };
+}
+
+/**
+ * Runner environment on a virtual clock starting at `start`: a playout that
+ * records what it is told to play (`plays`), and an in-memory store holding
+ * `schedules`, `media`, `playlists` ({ id: mediaIds }) and `runs` (run log
+ * rows, e.g. one left RUNNING by an earlier process). Writes stay in the
+ * returned rows/arrays for the test to inspect.
+ */
+export function createTestEnvironment({
+  start,
+  schedules = [],
+  media = [],
+  playlists = {},
+  runs = [],
+}) {
+  const clock = createVirtualClock(new Date(start).getTime());
+  const byId = new Map(schedules.map((s) => [s.id, s]));
+  const mediaById = new Map(media.map((m) => [m.id, m]));
+  const runLog = runs.map((r) => ({ ...r }));
+  const history = [];
+  const plays = [];
+  const settings = new Map();
+  let nextRunId = Math.max(0, ...runLog.map((r) => r.id)) + 1;
+
+  const at = () => new Date(clock.now());
+  const findRun = (id) => runLog.find((r) => r.id === id);
+  const claimable = (s, now) =>
+    !s.leaseOwner ||
+    s.leaseOwner === cfg.scheduler.instanceId ||
+    new Date(s.leaseExpiresAt) < now;
+
+  const recorded =
+    (command) =>
+    async (...args) => {
+      if (command === "play") {
+        plays.push({ fileName: args[0], options: args[3] || {}, at: at() });
+      }
+      return { success: true, assumed: true };
+    };
+
+  const playout = Object.fromEntries(
+    [
+      "play",
+      "stop",
+      "pause",
+      "resume",
+      "seek",
+      "fadeVolume",
+      "loadBg",
+      "clearBackground",
+      "announce",
+    ].map((command) => [command, recorded(command)])
+  );
+
+  const snapshotItems = (queue) =>
+    queue.map((m, index) => ({
+      index,
+      mediaId: m.id,
+      kind: m.playlistItemKind || "FIXED",
+      title: m.title,
+      duration: m.duration,
+    }));
+
+  const store = {
+    getDueSchedules: async (outputName, now) =>
+      Array.from(byId.values())
+        .filter(
+          (s) =>
+            !s.archivedAt &&
+            s.output === outputName &&
+            s.datetime <= now &&
+            claimable(s, now)
+        )
+        .sort((a, b) => a.datetime - b.datetime)
+        .map((s) => ({ ...s })),
+    claimSchedule: async (id, datetime, now, until) => {
+      const s = byId.get(id);
+      if (
+        !s ||
+        s.archivedAt ||
+        s.datetime.getTime() !== new Date(datetime).getTime() ||
+        !claimable(s, now)
+      ) {
+        return false;
+      }
+      s.leaseOwner = cfg.scheduler.instanceId;
+      s.leaseExpiresAt = until;
+      return true;
+    },
+    renewScheduleLease: async (id, until) => {
+      const s = byId.get(id);
+      if (s?.leaseOwner !== cfg.scheduler.instanceId) return false;
+      s.leaseExpiresAt = until;
+      return true;
+    },
+    releaseScheduleLease: async (id) => {
+      const s = byId.get(id);
+      if (s?.leaseOwner === cfg.scheduler.instanceId) {
+        s.leaseOwner = null;
+        s.leaseExpiresAt = null;
+      }
+    },
+    findSchedule: async (id) => {
+      const s = byId.get(Number(id));
+      return s ? { ...s } : null;
+    },
+    rescheduleSchedule: async (id, datetime, steps = 1) => {
+      const s = byId.get(id);
+      Object.assign(s, {
+        datetime: new Date(datetime),
+        occurrenceCount: s.occurrenceCount + steps,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+      });
+      return { ...s };
+    },
+    archiveSchedule: async (id, archivedAt) => {
+      const s = byId.get(id);
+      Object.assign(s, { archivedAt, leaseOwner: null, leaseExpiresAt: null });
+      return { ...s };
+    },
+    releaseResolutions: async () => ({ count: 0 }),
+    resolveHardEnd: async () => null,
+
+    findPlaylist: async (id) =>
+      playlists[id] ? { id: Number(id), title: `Playlist ${id}` } : null,
+    getPlaylistQueue: async (playlistId) => {
+      const queue = (playlists[playlistId] || [])
+        .map((mediaId) => mediaById.get(mediaId))
+        .filter(Boolean)
+        .map((m) => ({ ...m, playlistItemKind: "FIXED" }));
+      return {
+        queue,
+        displayItems: snapshotItems(queue),
+        playlistTitle: `Playlist ${playlistId}`,
+      };
+    },
+    findMediaByIds: async (ids) =>
+      ids.map((id) => mediaById.get(id)).filter(Boolean),
+    loadItemTransitions: async () => new Map(),
+    fitQueueToWindow: async (queue) => ({
+      queue,
+      dropped: 0,
+      fillers: 0,
+      overrunMs: 0,
+    }),
+    pickRandomMedia: async () => null,
+
+    getSetting: async (key) => settings.get(key) || { enabled: false },
+    updateSetting: async (key, patch) => {
+      const value = { ...(await store.getSetting(key)), ...patch };
+      settings.set(key, value);
+      return value;
+    },
+    logHistory: async (mediaId, datetime) => {
+      history.push({ mediaId, datetime });
+    },
+
+    findInterruptedRuns: async (runnerOutput) =>
+      runLog
+        .filter(
+          (r) => r.outcome === "RUNNING" && r.output === runnerOutput.name
+        )
+        .sort((a, b) => b.startedAt - a.startedAt),
+    startRun: async ({ queue = [], outcome = "RUNNING", ...fields }) => {
+      const run = {
+        id: nextRunId++,
+        ...fields,
+        startedAt: at(),
+        endedAt: outcome === "RUNNING" ? null : at(),
+        outcome,
+        items: snapshotItems(queue),
+        errors: [],
+        currentIndex: null,
+      };
+      runLog.push(run);
+      return run;
+    },
+    finishRun: async (runId, outcome) => {
+      const run = findRun(runId);
+      if (run?.outcome === "RUNNING") {
+        Object.assign(run, { outcome, endedAt: at() });
+      }
+    },
+    saveRunPosition: async (runId, index, startedAt) => {
+      const run = findRun(runId);
+      if (run) {
+        Object.assign(run, {
+          currentIndex: index,
+          currentItemStartedAt: startedAt,
+        });
+      }
+    },
+    saveRunErrors: async (runId, errors) => {
+      const run = findRun(runId);
+      if (run) run.errors = errors;
+    },
+    saveRunQueue: async (runId, queue) => {
+      const run = findRun(runId);
+      if (run) run.items = snapshotItems(queue);
+    },
+  };
+
+  return {
+    clock,
+    playout,
+    store,
+    schedules: byId,
+    runs: runLog,
+    history,
+    plays,
+  };
+}
+
+/** Start `runner`, fast-forward its clock to `endMs` and stop it. */
+export async function airUntil(env, runner, endMs) {
+  runner.start();
+  try {
+    await env.clock.runUntil(new Date(endMs).getTime());
+  } finally {
+    runner.stop();
+  }
+}
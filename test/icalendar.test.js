@@ -0,0 +1,24 @@
+// test/icalendar.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { recurrenceFromRRule } from "../services/icalendar.js";
+
+describe("recurrenceFromRRule", () => {
+  it("reads BYDAY in any case", () => {
+    assert.deepEqual(recurrenceFromRRule("FREQ=WEEKLY;BYDAY=mo,We"), {
+      frequency: "WEEKLY",
+      interval: 1,
+      days: ["MON", "WED"],
+    });
+    assert.deepEqual(recurrenceFromRRule("freq=weekly;byday=mo,tu,we,th,fr"), {
+      frequency: "WEEKDAYS",
+    });
+  });
+
+  it("rejects unknown days", () => {
+    assert.throws(
+      () => recurrenceFromRRule("FREQ=WEEKLY;BYDAY=MO,XX"),
+      /Unsupported recurrence days/
+    );
+  });
+});
@@ -0,0 +1,28 @@
+// test/recurrence.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { normalizeRecurrenceFromBody } from "../services/recurrence.js";
+
+describe("normalizeRecurrenceFromBody", () => {
+  it("takes WEEKDAYS without an interval", () => {
+    assert.equal(
+      normalizeRecurrenceFromBody({ frequency: "weekdays", interval: 1 })
+        .recurrenceInterval,
+      1
+    );
+    assert.throws(
+      () => normalizeRecurrenceFromBody({ frequency: "WEEKDAYS", interval: 2 }),
+      /WEEKDAYS recurrence has no interval/
+    );
+  });
+
+  it("keeps the interval of a weekly rule on workdays", () => {
+    const rule = normalizeRecurrenceFromBody({
+      frequency: "WEEKLY",
+      interval: 2,
+      days: "MON,TUE,WED,THU,FRI",
+    });
+    assert.equal(rule.recurrenceInterval, 2);
+    assert.equal(rule.recurrenceDays, "MON,TUE,WED,THU,FRI");
+  });
+});
@@ -0,0 +1,65 @@
+// test/scheduler.breakIn.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { createScheduleRunner } from "../services/scheduler.js";
+import {
+  MINUTE,
+  OUTPUT,
+  createTestEnvironment,
+  schedule,
+  song,
+} from "./helpers/runnerEnv.js";
+
+const T0 = new Date("2026-03-02T10:00:00Z").getTime();
+
+// #1 airs three one-minute songs from T0; playlist 5 is two 20 s songs
+function onAir() {
+  const env = createTestEnvironment({
+    start: T0,
+    media: [song(1), song(2), song(3), song(20, 20), song(21, 20)],
+    playlists: { 1: [1, 2, 3], 5: [20, 21], 6: [] },
+    schedules: [schedule(1, 1, T0)],
+  });
+  return { env, runner: createScheduleRunner(OUTPUT, env) };
+}
+
+describe("break-in", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("plays a playlist and resumes the suspended schedule", async () => {
+    const { env, runner } = onAir();
+    runner.start();
+    try {
+      await env.clock.runUntil(T0 + 30 * 1000);
+      const status = await runner.startBreakIn({ playlistId: 5 });
+      assert.equal(status.total, 2);
+      assert.equal(status.suspendedScheduleId, 1);
+      await env.clock.runUntil(T0 + 5 * MINUTE);
+    } finally {
+      runner.stop();
+    }
+
+    assert.deepEqual(
+      env.plays.map((p) => p.fileName),
+      [
+        "song1.mp4",
+        "song20.mp4",
+        "song21.mp4",
+        "song1.mp4",
+        "song2.mp4",
+        "song3.mp4",
+      ]
+    );
+    assert.ok(env.plays[3].at.getTime() >= T0 + 70 * 1000);
+    assert.equal(env.runs[0].outcome, "COMPLETED");
+  });
+
+  it("rejects an empty or unknown playlist", async () => {
+    const { runner } = onAir();
+
+    await assert.rejects(runner.startBreakIn({ playlistId: 6 }), /empty/);
+    await assert.rejects(runner.startBreakIn({ playlistId: 9 }), /not found/);
+    assert.equal(runner.getStatus().breakIn, null);
+  });
+});
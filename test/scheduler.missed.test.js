@@ -0,0 +1,62 @@
+// test/scheduler.missed.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { createScheduleRunner } from "../services/scheduler.js";
+import {
+  MINUTE,
+  OUTPUT,
+  airUntil,
+  createTestEnvironment,
+  schedule,
+  song,
+} from "./helpers/runnerEnv.js";
+
+const T0 = new Date("2026-03-02T10:00:00Z").getTime();
+const SKIP_LATE = { missedPolicy: "SKIP", missedGraceMinutes: 1 };
+
+describe("missed-event policy", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("skips a schedule whose start passed while the runner was down", async () => {
+    const env = createTestEnvironment({
+      start: T0,
+      media: [song(1)],
+      playlists: { 1: [1] },
+      schedules: [schedule(1, 1, T0 - 10 * MINUTE, SKIP_LATE)],
+    });
+    const runner = createScheduleRunner(OUTPUT, env);
+    await airUntil(env, runner, T0 + 5 * MINUTE);
+
+    assert.deepEqual(env.plays, []);
+    assert.equal(env.runs[0].outcome, "MISSED");
+    assert.ok(env.schedules.get(1).archivedAt);
+  });
+
+  it("airs a schedule kept waiting behind a higher priority one", async () => {
+    const env = createTestEnvironment({
+      start: T0,
+      media: [song(1, 600), song(2)],
+      playlists: { 1: [1], 2: [2] },
+      schedules: [
+        schedule(1, 1, T0, { priority: 5 }),
+        schedule(2, 2, T0 + MINUTE, SKIP_LATE),
+      ],
+    });
+    const runner = createScheduleRunner(OUTPUT, env);
+    await airUntil(env, runner, T0 + 15 * MINUTE);
+
+    assert.deepEqual(
+      env.plays.map((p) => p.fileName),
+      ["song1.mp4", "song2.mp4"]
+    );
+    assert.ok(env.plays[1].at.getTime() >= T0 + 10 * MINUTE);
+    assert.deepEqual(
+      env.runs.map((r) => [r.scheduleId, r.outcome]),
+      [
+        [1, "COMPLETED"],
+        [2, "COMPLETED"],
+      ]
+    );
+  });
+});
@@ -0,0 +1,128 @@
+// test/scheduler.preemption.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { createScheduleRunner } from "../services/scheduler.js";
+import {
+  MINUTE,
+  OUTPUT,
+  airUntil,
+  createTestEnvironment,
+  schedule,
+  song,
+} from "./helpers/runnerEnv.js";
+
+const T0 = new Date("2026-03-02T10:00:00Z").getTime();
+
+// #1 airs three one-minute songs from T0; #2 (one song) is due 90 s in
+function airTakeover(preemption) {
+  const env = createTestEnvironment({
+    start: T0,
+    media: [song(1), song(2), song(3), song(10, 30)],
+    playlists: { 1: [1, 2, 3], 2: [10] },
+    schedules: [
+      schedule(1, 1, T0),
+      schedule(2, 2, T0 + 1.5 * MINUTE, { preemption }),
+    ],
+  });
+  const runner = createScheduleRunner(OUTPUT, env);
+  const events = [];
+  runner.onEvent((event, data) => events.push({ event, ...data }));
+  return { env, runner, events };
+}
+
+const played = (env) => env.plays.map((p) => p.fileName);
+const outcomeOf = (env, scheduleId) =>
+  env.runs.find((r) => r.scheduleId === scheduleId)?.outcome;
+
+describe("deferred preemption", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("END_OF_ITEM takes over when the current item ends", async () => {
+    const { env, runner, events } = airTakeover("END_OF_ITEM");
+    await airUntil(env, runner, T0 + 5 * MINUTE);
+
+    assert.deepEqual(played(env), ["song1.mp4", "song2.mp4", "song10.mp4"]);
+    const takeover = env.plays[2].at.getTime();
+    assert.ok(takeover >= T0 + 2 * MINUTE && takeover < T0 + 2.1 * MINUTE);
+    assert.equal(outcomeOf(env, 1), "PREEMPTED");
+    assert.equal(outcomeOf(env, 2), "COMPLETED");
+    assert.ok(env.schedules.get(2).archivedAt);
+    assert.equal(
+      events.filter((e) => e.event === "schedule_deferred").length,
+      1
+    );
+  });
+
+  it("END_OF_PLAYLIST runs once the current playlist is over", async () => {
+    const { env, runner } = airTakeover("END_OF_PLAYLIST");
+    await airUntil(env, runner, T0 + 5 * MINUTE);
+
+    assert.deepEqual(played(env), [
+      "song1.mp4",
+      "song2.mp4",
+      "song3.mp4",
+      "song10.mp4",
+    ]);
+    assert.equal(outcomeOf(env, 1), "COMPLETED");
+    assert.equal(outcomeOf(env, 2), "COMPLETED");
+  });
+
+  it("QUEUE_AFTER runs after the current playlist", async () => {
+    const { env, runner } = airTakeover("QUEUE_AFTER");
+    await airUntil(env, runner, T0 + 5 * MINUTE);
+
+    assert.deepEqual(played(env).slice(-1), ["song10.mp4"]);
+    assert.equal(outcomeOf(env, 2), "COMPLETED");
+    assert.ok(env.schedules.get(2).archivedAt);
+  });
+});
+
+// Hour clocks generate back-to-back END_OF_ITEM schedules, one per segment
+describe("clock segments", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  function segments(starts) {
+    const env = createTestEnvironment({
+      start: T0,
+      media: [song(1, 65), song(2, 65), song(3, 65), song(4, 65), song(5)],
+      playlists: { 1: [1, 2], 2: [3, 4], 3: [5] },
+      schedules: starts.map((at, i) =>
+        schedule(i + 1, i + 1, at, { preemption: "END_OF_ITEM" })
+      ),
+    });
+    return { env, runner: createScheduleRunner(OUTPUT, env) };
+  }
+
+  it("hand over from one segment to the next", async () => {
+    // Each segment runs 10 s over into the next one
+    const { env, runner } = segments([T0, T0 + 2 * MINUTE, T0 + 4 * MINUTE]);
+    await airUntil(env, runner, T0 + 10 * MINUTE);
+
+    assert.deepEqual(played(env), [
+      "song1.mp4",
+      "song2.mp4",
+      "song3.mp4",
+      "song4.mp4",
+      "song5.mp4",
+    ]);
+    for (const id of [1, 2, 3]) {
+      assert.equal(outcomeOf(env, id), "COMPLETED");
+      assert.ok(env.schedules.get(id).archivedAt);
+    }
+    const lastStart = env.plays[4].at.getTime();
+    assert.ok(lastStart >= T0 + 260 * 1000 && lastStart < T0 + 265 * 1000);
+  });
+
+  it("keep a late segment to one item when the next is due", async () => {
+    // #2 and #3 both come due while #1 is still on air
+    const { env, runner } = segments([T0, T0 + 20 * 1000, T0 + 40 * 1000]);
+    await airUntil(env, runner, T0 + 10 * MINUTE);
+
+    assert.deepEqual(played(env), ["song1.mp4", "song3.mp4", "song5.mp4"]);
+    assert.equal(outcomeOf(env, 1), "PREEMPTED");
+    assert.equal(outcomeOf(env, 2), "PREEMPTED");
+    assert.equal(outcomeOf(env, 3), "COMPLETED");
+  });
+});
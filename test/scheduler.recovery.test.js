@@ -0,0 +1,91 @@
+// test/scheduler.recovery.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { cfg } from "../config/config.js";
+import { createScheduleRunner } from "../services/scheduler.js";
+import {
+  MINUTE,
+  OUTPUT,
+  airUntil,
+  createTestEnvironment,
+  schedule,
+  song,
+} from "./helpers/runnerEnv.js";
+
+const T0 = new Date("2026-03-02T10:00:00Z").getTime();
+const STARTED = T0 - 1.5 * MINUTE;
+
+/**
+ * Schedule #1 (three one-minute songs) went on air 90 s before T0 and was
+ * 30 s into its second song when the instance airing it went away.
+ */
+function interrupted(lease) {
+  return createTestEnvironment({
+    start: T0,
+    media: [song(1), song(2), song(3)],
+    playlists: { 1: [1, 2, 3] },
+    schedules: [schedule(1, 1, STARTED, lease)],
+    runs: [
+      {
+        id: 7,
+        scheduleId: 1,
+        playlistId: 1,
+        playlistTitle: "Playlist 1",
+        scheduledFor: new Date(STARTED),
+        output: OUTPUT.name,
+        outcome: "RUNNING",
+        startedAt: new Date(STARTED),
+        items: [1, 2, 3].map((mediaId, index) => ({ index, mediaId })),
+        errors: [],
+        currentIndex: 1,
+        currentItemStartedAt: new Date(T0 - 0.5 * MINUTE),
+      },
+    ],
+  });
+}
+
+const seekFrames = (seconds) => seconds * cfg.caspar.fps;
+
+describe("interrupted runs", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("resumes its own run after a restart", async () => {
+    const env = interrupted({
+      leaseOwner: cfg.scheduler.instanceId,
+      leaseExpiresAt: new Date(T0 + 10 * 1000),
+    });
+    const runner = createScheduleRunner(OUTPUT, env);
+    await airUntil(env, runner, T0 + 5 * MINUTE);
+
+    assert.deepEqual(
+      env.plays.map((p) => p.fileName),
+      ["song2.mp4", "song3.mp4"]
+    );
+    assert.equal(env.plays[0].options.seek, seekFrames(30));
+    // Resumed into the same run log entry
+    assert.equal(env.runs.length, 1);
+    assert.equal(env.runs[0].outcome, "COMPLETED");
+    assert.ok(env.schedules.get(1).archivedAt);
+  });
+
+  it("takes over a run whose lease expired on another instance", async () => {
+    const env = interrupted({
+      leaseOwner: "other-instance",
+      leaseExpiresAt: new Date(T0 + 20 * 1000),
+    });
+    const runner = createScheduleRunner(OUTPUT, env);
+    await airUntil(env, runner, T0 + 5 * MINUTE);
+
+    assert.deepEqual(
+      env.plays.map((p) => p.fileName),
+      ["song2.mp4", "song3.mp4"]
+    );
+    // Not before the other instance's lease ran out
+    assert.ok(env.plays[0].at.getTime() >= T0 + 20 * 1000);
+    assert.ok(env.plays[0].options.seek >= seekFrames(50));
+    assert.equal(env.runs.length, 1);
+    assert.equal(env.runs[0].outcome, "COMPLETED");
+    assert.ok(env.schedules.get(1).archivedAt);
+  });
+});
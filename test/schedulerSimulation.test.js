@@ -0,0 +1,53 @@
+// test/schedulerSimulation.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { prisma } from "../services/prisma.js";
+import { DEFAULT_OUTPUT } from "../services/scheduler.js";
+import {
+  MAX_SIMULATION_HOURS,
+  simulateSchedule,
+} from "../services/schedulerSimulation.js";
+import { createMemoryPrisma } from "./helpers/memoryPrisma.js";
+import { MINUTE, schedule, song } from "./helpers/runnerEnv.js";
+
+const HOUR = 60 * MINUTE;
+
+describe("simulateSchedule", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("runs a fully programmed window of the longest span", async () => {
+    // Every hour is one schedule of fifteen back-to-back four-minute songs
+    const from = new Date(Math.ceil(Date.now() / HOUR) * HOUR);
+    const media = Array.from({ length: 15 }, (_, i) => song(i + 1, 240));
+    Object.assign(
+      prisma,
+      createMemoryPrisma({
+        media,
+        playlist: [{ id: 1, title: "Hour", smart: false }],
+        playlistItem: media.map((m, order) => ({
+          id: m.id,
+          playlistId: 1,
+          order,
+          kind: "FIXED",
+          mediaId: m.id,
+        })),
+        schedule: Array.from({ length: MAX_SIMULATION_HOURS }, (_, h) =>
+          schedule(h + 1, 1, from.getTime() + h * HOUR, {
+            output: DEFAULT_OUTPUT,
+          })
+        ),
+      })
+    );
+
+    const { stats } = await simulateSchedule({
+      output: DEFAULT_OUTPUT,
+      from,
+      hours: MAX_SIMULATION_HOURS,
+    });
+
+    assert.equal(stats.schedulesStarted, MAX_SIMULATION_HOURS);
+    assert.equal(stats.itemsPlayed, MAX_SIMULATION_HOURS * 15);
+    assert.equal(stats.fallbacksStarted, 0);
+  });
+});
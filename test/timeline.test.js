@@ -0,0 +1,135 @@
+// test/timeline.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { prisma } from "../services/prisma.js";
+import { resolveScheduleOccurrence } from "../services/scheduleResolution.js";
+import {
+  DEFAULT_OUTPUT,
+  createLiveEnvironment,
+  createScheduleRunner,
+} from "../services/scheduler.js";
+import { buildTimeline } from "../services/timeline.js";
+import { createMemoryPrisma } from "./helpers/memoryPrisma.js";
+import {
+  MINUTE,
+  OUTPUT,
+  airUntil,
+  createTestEnvironment,
+  schedule,
+  song,
+} from "./helpers/runnerEnv.js";
+
+// Previews run on the wall clock, so the schedule is an hour from now
+const AT = Math.ceil(Date.now() / MINUTE) * MINUTE + 60 * MINUTE;
+const ROTATION = 1;
+
+function rotationSong(id) {
+  return { ...song(id), rotationCategoryId: ROTATION, rotationPickedAt: null };
+}
+
+// Playlist 1: a fixed song, a free RANDOM song and a rotation pick
+function station() {
+  const tables = {
+    media: [
+      song(1),
+      song(2),
+      song(3),
+      song(4),
+      rotationSong(5),
+      rotationSong(6),
+      rotationSong(7),
+    ],
+    playlist: [{ id: 1, title: "Drive", smart: false, updatedAt: new Date(0) }],
+    playlistItem: [
+      { id: 11, playlistId: 1, order: 0, kind: "FIXED", mediaId: 1 },
+      { id: 12, playlistId: 1, order: 1, kind: "RANDOM", randomType: "SONG" },
+      {
+        id: 13,
+        playlistId: 1,
+        order: 2,
+        kind: "RANDOM",
+        randomType: "SONG",
+        randomCategoryId: ROTATION,
+      },
+    ],
+    rotationCategory: [{ id: ROTATION, name: "Gold", weight: 1, pickCount: 0 }],
+    schedule: [schedule(1, 1, AT, { output: DEFAULT_OUTPUT })],
+  };
+  Object.assign(prisma, createMemoryPrisma(tables));
+  return tables;
+}
+
+async function preview() {
+  const { entries } = await buildTimeline({
+    output: DEFAULT_OUTPUT,
+    from: new Date(),
+    to: new Date(AT + 60 * MINUTE),
+  });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].locked, true);
+  return entries[0].items.map((it) => it.fileName);
+}
+
+describe("timeline preview", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("locks the picks that air", async () => {
+    const tables = station();
+
+    const first = await preview();
+    const second = await preview();
+    assert.equal(first.length, 3);
+    assert.deepEqual(second, first);
+    assert.equal(tables.rotationCategory[0].pickCount, 0);
+
+    const env = createTestEnvironment({
+      start: AT,
+      schedules: tables.schedule,
+    });
+    env.store.getPlaylistQueue = createLiveEnvironment().store.getPlaylistQueue;
+    const runner = createScheduleRunner(
+      { ...OUTPUT, name: DEFAULT_OUTPUT },
+      env
+    );
+    await airUntil(env, runner, AT + 5 * MINUTE);
+
+    assert.deepEqual(
+      env.plays.map((p) => p.fileName),
+      first
+    );
+    // Rotation moves on once, when the occurrence airs
+    assert.equal(tables.rotationCategory[0].pickCount, 1);
+    const rotated = tables.media.filter((m) => m.rotationPickedAt);
+    assert.deepEqual(
+      rotated.map((m) => m.fileName),
+      [first[2]]
+    );
+    assert.ok(tables.scheduleResolution[0].rotatedAt);
+  });
+
+  it("keeps the lock of a slot with nothing to pick", async () => {
+    const tables = station();
+    tables.playlistItem.push({
+      id: 14,
+      playlistId: 1,
+      order: 3,
+      kind: "RANDOM",
+      randomType: "JINGLE",
+    });
+
+    const first = await preview();
+    assert.equal(first.length, 3);
+    const { reused, resolved } = await resolveScheduleOccurrence({
+      scheduleId: 1,
+      playlistId: 1,
+      occurrenceAt: new Date(AT),
+      rotate: false,
+    });
+    assert.equal(reused, true);
+    assert.deepEqual(
+      resolved.map((r) => r.media.fileName),
+      first
+    );
+  });
+});
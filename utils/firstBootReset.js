@@ -15,6 +15,7 @@ export async function runFirstBootReset() {
 
     await prisma.$transaction([
       prisma.history.deleteMany(),
+      prisma.scheduleRun.deleteMany(),
       prisma.schedule.deleteMany(),
       prisma.playlistItem.deleteMany(),
       prisma.playlist.deleteMany(),